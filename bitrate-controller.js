@@ -0,0 +1,175 @@
+// Fits the video we send to each peer to the upload we have. In a mesh every
+// peer gets its own encoding, so the more peers there are the less each one
+// gets, and a viewer's requested layer (how big our tile is on their screen)
+// is just different RTCRtpSender parameters on the sender for that peer. A
+// shared screen is a second video sender with its own, sharper-but-slower settings.
+export class BitrateController {
+    static LAYERS = {
+        high: { scale: 1, fps: 30, maxKbps: Infinity },
+        medium: { scale: 2, fps: 24, maxKbps: 600 },
+        low: { scale: 4, fps: 15, maxKbps: 150 }
+    };
+    static AUDIO_ONLY_KBPS = 100; // below this measured upload, video does more harm than good
+    static AUDIO_ONLY_LOSS = 20; // percent
+    static AUDIO_ONLY_SAMPLES = 3; // consecutive bad samples, on every peer, before switching
+    static AUDIO_ONLY_RETRY_MS = 30000;
+
+    constructor(onAudioOnlyChange) {
+        this.onAudioOnlyChange = onAudioOnlyChange; // called with true or false
+        this.layerRequests = new Map(); // clientId -> layer that peer asked us for
+        this.bandwidth = new Map(); // clientId -> measured available upload in kbps
+        this.applied = new Map(); // clientId -> { camera, screen } last parameters set, to skip repeats
+        this.audioOnly = false;
+        this.badSamples = new Map(); // clientId -> consecutive bad samples sending to that peer
+        this.retryTimer = null;
+    }
+
+    // What a typical home uplink sustains per peer, by mesh size
+    static budgetFor(peerCount) {
+        if (peerCount <= 1) return 2500;
+        if (peerCount <= 2) return 1500;
+        if (peerCount <= 4) return 800;
+        if (peerCount <= 7) return 450;
+        return 250;
+    }
+
+    setLayerRequest(clientId, layer) {
+        if (layer in BitrateController.LAYERS || layer === 'off') {
+            this.layerRequests.set(clientId, layer);
+        }
+    }
+
+    // A new peer connection starts from default parameters
+    forgetApplied(clientId) {
+        this.applied.delete(clientId);
+    }
+
+    removePeer(clientId) {
+        this.layerRequests.delete(clientId);
+        this.bandwidth.delete(clientId);
+        this.applied.delete(clientId);
+        this.badSamples.delete(clientId);
+    }
+
+    updateStats(clientId, stats) {
+        if (stats.availableOutgoingKbps !== null) {
+            this.bandwidth.set(clientId, stats.availableOutgoingKbps);
+        }
+        if (this.audioOnly) return;
+
+        // Only what happens to our own packets says anything about our upload
+        const starved = stats.availableOutgoingKbps !== null && stats.availableOutgoingKbps < BitrateController.AUDIO_ONLY_KBPS;
+        const lossy = (stats.sendLossPercent ?? 0) > BitrateController.AUDIO_ONLY_LOSS;
+        this.badSamples.set(clientId, starved || lossy ? (this.badSamples.get(clientId) || 0) + 1 : 0);
+
+        // One peer's bad path is handled by its own bitrate; a bad upload shows on all of them
+        const counts = [...this.badSamples.values()];
+        if (counts.every(count => count >= BitrateController.AUDIO_ONLY_SAMPLES)) {
+            this.setAudioOnly(true);
+        }
+    }
+
+    setAudioOnly(audioOnly) {
+        clearTimeout(this.retryTimer);
+        this.badSamples.clear();
+        if (audioOnly === this.audioOnly) return;
+
+        this.audioOnly = audioOnly;
+        if (audioOnly) {
+            // Bandwidth estimates stall without video to probe with, so just try again later
+            this.retryTimer = setTimeout(() => this.setAudioOnly(false), BitrateController.AUDIO_ONLY_RETRY_MS);
+        }
+        this.onAudioOnlyChange(audioOnly);
+    }
+
+    computeTarget(clientId, peerCount, isScreen) {
+        // Layer requests are about our camera tile; a shared screen keeps going, at 5 fps if need be
+        const requested = this.layerRequests.get(clientId) || 'medium';
+        const layer = isScreen ? (this.audioOnly ? 'low' : 'high') : this.audioOnly ? 'off' : requested;
+        if (layer === 'off') {
+            return { active: false };
+        }
+
+        const settings = BitrateController.LAYERS[layer];
+        const measured = this.bandwidth.get(clientId);
+        let maxKbps = Math.min(settings.maxKbps, BitrateController.budgetFor(peerCount), measured ? measured * 0.85 : Infinity);
+        let scale = settings.scale;
+        let fps = settings.fps;
+
+        if (isScreen) {
+            // Text must stay sharp: keep full resolution and give up frames instead
+            return {
+                active: true,
+                maxKbps: Math.round(Math.max(maxKbps, 300)),
+                scale: 1,
+                fps: layer === 'low' ? 5 : 15,
+                degradationPreference: 'maintain-resolution'
+            };
+        }
+
+        // Too little bandwidth for the resolution asked for
+        if (maxKbps < 150) {
+            scale = Math.max(scale, 4);
+            fps = Math.min(fps, 15);
+        } else if (maxKbps < 400) {
+            scale = Math.max(scale, 2);
+        }
+        return {
+            active: true,
+            // Steps of 50 kbps, so small swings in the estimate don't reconfigure the encoder
+            maxKbps: Math.max(50, Math.round(maxKbps / 50) * 50),
+            scale: scale,
+            fps: fps,
+            degradationPreference: 'balanced'
+        };
+    }
+
+    async applyAll(peers, screenTracks = []) {
+        for (const [clientId, peerConnection] of peers) {
+            for (const sender of peerConnection.getSenders()) {
+                if (sender.track?.kind !== 'video') continue;
+                await this.apply(clientId, sender, peers.size, screenTracks.includes(sender.track));
+            }
+        }
+    }
+
+    async apply(clientId, sender, peerCount, isScreen) {
+        const parameters = sender.getParameters();
+        // Nothing to set until the connection has been negotiated
+        if (!parameters.encodings || parameters.encodings.length === 0) return;
+
+        const target = this.computeTarget(clientId, peerCount, isScreen);
+        const key = JSON.stringify(target);
+        const source = isScreen ? 'screen' : 'camera';
+        const applied = this.applied.get(clientId) || {};
+        if (applied[source] === key) return;
+
+        for (const encoding of parameters.encodings) {
+            encoding.active = target.active;
+            if (target.active) {
+                encoding.maxBitrate = target.maxKbps * 1000;
+                encoding.scaleResolutionDownBy = target.scale;
+                encoding.maxFramerate = target.fps;
+            }
+        }
+        if (target.degradationPreference) {
+            parameters.degradationPreference = target.degradationPreference;
+        }
+
+        try {
+            await sender.setParameters(parameters);
+            this.applied.set(clientId, { ...this.applied.get(clientId), [source]: key });
+        } catch (error) {
+            console.log('Could not set sender parameters for:', clientId, error);
+        }
+    }
+
+    reset() {
+        clearTimeout(this.retryTimer);
+        this.layerRequests.clear();
+        this.bandwidth.clear();
+        this.applied.clear();
+        this.audioOnly = false;
+        this.badSamples.clear();
+    }
+}
@@ -0,0 +1,352 @@
+import asyncio
+import json
+import time
+from collections import deque
+from typing import Awaitable, Callable, Dict, List, Optional
+
+try:
+    import redis.asyncio as aioredis
+    from redis.exceptions import WatchError
+    REDIS_AVAILABLE = True
+except ImportError:
+    # redis is optional; without it there is only the single-process broker
+    REDIS_AVAILABLE = False
+
+# Called with (room_id, envelope) for every message published to a room
+MessageHandler = Callable[[str, dict], Awaitable[None]]
+# Called with (room_id, client_id, member) for a member whose worker stopped heartbeating
+GhostHandler = Callable[[str, str, dict], Awaitable[None]]
+
+
+class MemoryBroker:
+    """Room membership and messages for a single worker process
+
+    Publishing hands the envelope straight back to this worker, so with one
+    worker everything behaves as if there were no broker at all.
+    """
+
+    name = "memory"
+
+    def __init__(self, worker_id: str):
+        self.worker_id = worker_id
+        self.members: Dict[str, Dict[str, dict]] = {}  # room_id -> client_id -> member
+        self.settings: Dict[str, dict] = {}  # room_id -> room settings, access control included
+        self.bans: Dict[str, set] = {}  # room_id -> banned client IDs and tickets
+        self.hands: Dict[str, List[str]] = {}  # room_id -> client IDs with a raised hand, longest waiting first
+        self.transcripts: Dict[str, deque] = {}  # room_id -> final captions, oldest first
+        self.on_message: Optional[MessageHandler] = None
+
+    async def start(self, on_message: MessageHandler, on_ghost: GhostHandler):
+        # Every member lives in this process, so there are never ghosts
+        self.on_message = on_message
+
+    async def stop(self):
+        pass
+
+    async def publish(self, room_id: str, envelope: dict):
+        if self.on_message:
+            await self.on_message(room_id, envelope)
+
+    async def set_member(self, room_id: str, client_id: str, member: dict):
+        self.members.setdefault(room_id, {})[client_id] = {**member, "worker": self.worker_id}
+
+    async def remove_member(self, room_id: str, client_id: str, worker: str = None) -> bool:
+        """Returns whether the client was a member (held by `worker`, when given)"""
+        room = self.members.get(room_id, {})
+        if client_id not in room or worker not in (None, room[client_id]["worker"]):
+            return False
+        del room[client_id]
+        if not room:
+            # The last one out closes the room
+            self.members.pop(room_id, None)
+            self.settings.pop(room_id, None)
+            self.bans.pop(room_id, None)
+            self.hands.pop(room_id, None)
+            self.transcripts.pop(room_id, None)
+        return True
+
+    async def get_members(self, room_id: str) -> Dict[str, dict]:
+        return dict(self.members.get(room_id, {}))
+
+    async def is_member(self, room_id: str, client_id: str) -> bool:
+        return client_id in self.members.get(room_id, {})
+
+    async def create_room(self, room_id: str, settings: dict) -> bool:
+        """Store a new room's settings. Returns False if the room already exists."""
+        if room_id in self.settings:
+            return False
+        self.settings[room_id] = settings
+        return True
+
+    async def get_room(self, room_id: str) -> Optional[dict]:
+        settings = self.settings.get(room_id)
+        return dict(settings) if settings else None
+
+    async def update_room(self, room_id: str, changes: dict) -> Optional[dict]:
+        """Apply changes to a room's settings and return them, or None if the room is gone"""
+        if room_id not in self.settings:
+            return None
+        self.settings[room_id] = {**self.settings[room_id], **changes}
+        return dict(self.settings[room_id])
+
+    async def add_ban(self, room_id: str, *values: str):
+        self.bans.setdefault(room_id, set()).update(values)
+
+    async def is_banned(self, room_id: str, *values: str) -> bool:
+        return any(value in self.bans.get(room_id, ()) for value in values)
+
+    async def set_hand(self, room_id: str, client_id: str, raised: bool) -> bool:
+        """Raise a hand at the back of the queue or take it down. Returns whether anything changed."""
+        queue = self.hands.get(room_id, [])
+        if raised == (client_id in queue):
+            return False
+        if raised:
+            self.hands.setdefault(room_id, queue).append(client_id)
+        else:
+            queue.remove(client_id)
+        return True
+
+    async def pop_hand(self, room_id: str) -> Optional[str]:
+        """Take down the hand that has waited longest, and return whose it was"""
+        queue = self.hands.get(room_id)
+        return queue.pop(0) if queue else None
+
+    async def get_hands(self, room_id: str) -> List[str]:
+        return list(self.hands.get(room_id, []))
+
+    async def add_caption(self, room_id: str, caption: dict, limit: int):
+        self.transcripts.setdefault(room_id, deque(maxlen=limit)).append(caption)
+
+    async def get_transcript(self, room_id: str) -> List[dict]:
+        return list(self.transcripts.get(room_id, []))
+
+    async def list_rooms(self) -> Dict[str, dict]:
+        """{room_id: {"settings", "user_count"}} for every room with members"""
+        return {
+            room_id: {"settings": self.settings.get(room_id, {}), "user_count": len(members)}
+            for room_id, members in self.members.items()
+        }
+
+    async def cluster_status(self) -> Dict:
+        return {
+            "workers": 1,
+            "rooms": len(self.members),
+            "clients": sum(len(members) for members in self.members.values())
+        }
+
+
+# remove_member for Redis, in one step so no join can slip in between the last member
+# leaving and the room being cleared.
+# KEYS: members, rooms, settings, banned, hands, transcript. ARGV: client_id, worker or "", room_id.
+REMOVE_MEMBER_SCRIPT = """
+local data = redis.call('HGET', KEYS[1], ARGV[1])
+if not data or (ARGV[2] ~= '' and cjson.decode(data).worker ~= ARGV[2]) then
+    return 0
+end
+redis.call('HDEL', KEYS[1], ARGV[1])
+if redis.call('EXISTS', KEYS[1]) == 0 then
+    redis.call('SREM', KEYS[2], ARGV[3])
+    redis.call('DEL', KEYS[3], KEYS[4], KEYS[5], KEYS[6])
+end
+return 1
+"""
+
+
+class RedisBroker:
+    """Room membership and messages shared by every worker through Redis
+
+    Layout, all under `prefix`:
+      rooms                 set of room IDs with members
+      room:<id>:members     hash of client_id -> member JSON, including the worker that holds them
+      room:<id>:settings    room settings JSON, access control included; created with SET NX,
+                            so exactly one joiner opens the room and becomes its host
+      room:<id>:banned      set of banned client IDs and tickets
+      room:<id>:hands       sorted set of client IDs with a raised hand, scored by when it went up
+      room:<id>:transcript  list of final caption JSON, oldest first
+      workers               set of worker IDs that have heartbeated
+      worker:<id>           heartbeat key, expiring after heartbeat_ttl seconds
+      room:<id>             pub/sub channel for the room's envelopes
+
+    Each worker subscribes to every room channel and delivers only to the
+    sockets it holds. A worker whose heartbeat key has expired is taken to be
+    dead, and its members are removed by whichever live worker notices first.
+    """
+
+    name = "redis"
+
+    def __init__(self, worker_id: str, url: str, prefix: str = "videochat:",
+                 heartbeat_seconds: float = 5, heartbeat_ttl: float = 15):
+        if not REDIS_AVAILABLE:
+            raise RuntimeError("BROKER=redis needs the redis package: pip install redis")
+        self.worker_id = worker_id
+        self.redis = aioredis.from_url(url, decode_responses=True)
+        self.prefix = prefix
+        self.heartbeat_seconds = heartbeat_seconds
+        self.heartbeat_ttl = heartbeat_ttl
+        self.pubsub = None
+        self.tasks = []
+        self.remove_member_script = self.redis.register_script(REMOVE_MEMBER_SCRIPT)
+
+    def key(self, *parts: str) -> str:
+        return self.prefix + ":".join(parts)
+
+    async def start(self, on_message: MessageHandler, on_ghost: GhostHandler):
+        self.pubsub = self.redis.pubsub()
+        await self.pubsub.psubscribe(self.key("room", "*"))
+        await self.beat()
+        self.tasks = [
+            asyncio.create_task(self.listen(on_message)),
+            asyncio.create_task(self.heartbeat(on_ghost))
+        ]
+
+    async def stop(self):
+        for task in self.tasks:
+            task.cancel()
+        # Members held here leave now rather than after the heartbeat expires
+        await self.redis.delete(self.key("worker", self.worker_id))
+        await self.pubsub.aclose()
+        await self.redis.aclose()
+
+    async def listen(self, on_message: MessageHandler):
+        channel_prefix = self.key("room", "")
+        async for message in self.pubsub.listen():
+            if message["type"] != "pmessage":
+                continue
+            try:
+                await on_message(message["channel"][len(channel_prefix):], json.loads(message["data"]))
+            except Exception as e:
+                # One bad delivery mustn't stop the subscription
+                print(f"Broker delivery error: {e}")
+
+    async def beat(self):
+        await self.redis.set(self.key("worker", self.worker_id), int(time.time()), ex=int(self.heartbeat_ttl))
+        await self.redis.sadd(self.key("workers"), self.worker_id)
+
+    async def heartbeat(self, on_ghost: GhostHandler):
+        while True:
+            await asyncio.sleep(self.heartbeat_seconds)
+            try:
+                await self.beat()
+                await self.reap(on_ghost)
+            except Exception as e:
+                print(f"Broker heartbeat error: {e}")
+
+    async def reap(self, on_ghost: GhostHandler):
+        """Remove the members of workers whose heartbeat has expired"""
+        dead = {
+            worker for worker in await self.redis.smembers(self.key("workers"))
+            if not await self.redis.exists(self.key("worker", worker))
+        }
+        if not dead:
+            return
+
+        for room_id in await self.redis.smembers(self.key("rooms")):
+            members = await self.redis.hgetall(self.key("room", room_id, "members"))
+            for client_id, data in members.items():
+                member = json.loads(data)
+                # Only the worker whose removal succeeds announces it
+                if member.get("worker") in dead and await self.remove_member(room_id, client_id):
+                    await on_ghost(room_id, client_id, member)
+        await self.redis.srem(self.key("workers"), *dead)
+
+    async def publish(self, room_id: str, envelope: dict):
+        await self.redis.publish(self.key("room", room_id), json.dumps(envelope))
+
+    async def set_member(self, room_id: str, client_id: str, member: dict):
+        await self.redis.hset(self.key("room", room_id, "members"), client_id,
+                              json.dumps({**member, "worker": self.worker_id}))
+        await self.redis.sadd(self.key("rooms"), room_id)
+
+    async def remove_member(self, room_id: str, client_id: str, worker: str = None) -> bool:
+        """Returns whether the client was a member (held by `worker`, when given)"""
+        # The last one out closes the room
+        keys = [self.key("room", room_id, "members"), self.key("rooms")] + [
+            self.key("room", room_id, part) for part in ("settings", "banned", "hands", "transcript")
+        ]
+        return await self.remove_member_script(keys=keys, args=[client_id, worker or "", room_id]) == 1
+
+    async def get_members(self, room_id: str) -> Dict[str, dict]:
+        members = await self.redis.hgetall(self.key("room", room_id, "members"))
+        return {client_id: json.loads(data) for client_id, data in members.items()}
+
+    async def is_member(self, room_id: str, client_id: str) -> bool:
+        return await self.redis.hexists(self.key("room", room_id, "members"), client_id)
+
+    async def create_room(self, room_id: str, settings: dict) -> bool:
+        """Store a new room's settings. Returns False if the room already exists, on any worker."""
+        return bool(await self.redis.set(self.key("room", room_id, "settings"), json.dumps(settings), nx=True))
+
+    async def get_room(self, room_id: str) -> Optional[dict]:
+        settings = await self.redis.get(self.key("room", room_id, "settings"))
+        return json.loads(settings) if settings else None
+
+    async def update_room(self, room_id: str, changes: dict) -> Optional[dict]:
+        """Apply changes to a room's settings and return them, or None if the room is gone"""
+        settings_key = self.key("room", room_id, "settings")
+        async with self.redis.pipeline(transaction=True) as pipe:
+            while True:
+                try:
+                    # Retried if another worker changed the settings in between
+                    await pipe.watch(settings_key)
+                    current = await pipe.get(settings_key)
+                    if current is None:
+                        await pipe.unwatch()
+                        return None
+                    settings = {**json.loads(current), **changes}
+                    pipe.multi()
+                    pipe.set(settings_key, json.dumps(settings))
+                    await pipe.execute()
+                    return settings
+                except WatchError:
+                    continue
+
+    async def add_ban(self, room_id: str, *values: str):
+        await self.redis.sadd(self.key("room", room_id, "banned"), *values)
+
+    async def is_banned(self, room_id: str, *values: str) -> bool:
+        return any(await self.redis.smismember(self.key("room", room_id, "banned"), list(values)))
+
+    async def set_hand(self, room_id: str, client_id: str, raised: bool) -> bool:
+        """Raise a hand at the back of the queue or take it down. Returns whether anything changed."""
+        hands_key = self.key("room", room_id, "hands")
+        if raised:
+            return await self.redis.zadd(hands_key, {client_id: time.time()}, nx=True) == 1
+        return await self.redis.zrem(hands_key, client_id) == 1
+
+    async def pop_hand(self, room_id: str) -> Optional[str]:
+        """Take down the hand that has waited longest, and return whose it was"""
+        popped = await self.redis.zpopmin(self.key("room", room_id, "hands"))
+        return popped[0][0] if popped else None
+
+    async def get_hands(self, room_id: str) -> List[str]:
+        return await self.redis.zrange(self.key("room", room_id, "hands"), 0, -1)
+
+    async def add_caption(self, room_id: str, caption: dict, limit: int):
+        transcript_key = self.key("room", room_id, "transcript")
+        await self.redis.rpush(transcript_key, json.dumps(caption))
+        await self.redis.ltrim(transcript_key, -limit, -1)
+
+    async def get_transcript(self, room_id: str) -> List[dict]:
+        return [json.loads(caption) for caption in await self.redis.lrange(self.key("room", room_id, "transcript"), 0, -1)]
+
+    async def list_rooms(self) -> Dict[str, dict]:
+        """{room_id: {"settings", "user_count"}} for every room with members, across all workers"""
+        rooms = {}
+        for room_id in await self.redis.smembers(self.key("rooms")):
+            user_count = await self.redis.hlen(self.key("room", room_id, "members"))
+            if user_count:
+                settings = await self.redis.get(self.key("room", room_id, "settings"))
+                rooms[room_id] = {"settings": json.loads(settings) if settings else {}, "user_count": user_count}
+        return rooms
+
+    async def cluster_status(self) -> Dict:
+        workers = [
+            worker for worker in await self.redis.smembers(self.key("workers"))
+            if await self.redis.exists(self.key("worker", worker))
+        ]
+        rooms = await self.list_rooms()
+        return {
+            "workers": len(workers),
+            "rooms": len(rooms),
+            "clients": sum(room["user_count"] for room in rooms.values())
+        }
@@ -0,0 +1,184 @@
+// Samples getStats() on every peer connection to work out bitrate, packet loss,
+// jitter, round-trip time, resolution and the candidate type in use, and keeps
+// running totals for an anonymous end-of-call summary.
+export class CallStatsMonitor {
+    static INTERVAL_MS = 2000;
+
+    constructor(peers, onSample) {
+        this.peers = peers; // the app's live clientId -> RTCPeerConnection map
+        this.onSample = onSample; // called with (clientId, stats) after each sample
+        this.previous = new Map(); // clientId -> counters from the last sample
+        this.totals = new Map(); // clientId -> running totals for the summary
+        this.timer = null;
+        this.startedAt = null;
+    }
+
+    start() {
+        this.stop();
+        this.startedAt = Date.now();
+        this.timer = setInterval(() => this.sampleAll(), CallStatsMonitor.INTERVAL_MS);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.previous.clear();
+    }
+
+    reset() {
+        this.stop();
+        this.totals.clear();
+        this.startedAt = null;
+    }
+
+    async sampleAll() {
+        for (const [clientId, peerConnection] of this.peers) {
+            if (peerConnection.connectionState !== 'connected') continue;
+            try {
+                const stats = this.parse(clientId, await peerConnection.getStats());
+                this.accumulate(clientId, stats);
+                this.onSample(clientId, stats);
+            } catch (error) {
+                console.log('Could not read stats for:', clientId, error);
+            }
+        }
+    }
+
+    parse(clientId, report) {
+        const byId = new Map();
+        report.forEach(stat => byId.set(stat.id, stat));
+
+        const counters = { at: Date.now(), bytesSent: 0, bytesReceived: 0, packetsReceived: 0, packetsLost: 0 };
+        let jitter = null;
+        let sendLoss = null; // worst fraction of our packets the peer reports losing
+        let inboundVideo = null;
+        let outboundVideo = null;
+        let pair = null;
+
+        for (const stat of byId.values()) {
+            if (stat.type === 'outbound-rtp') {
+                counters.bytesSent += stat.bytesSent || 0;
+                if (stat.kind === 'video' && stat.frameWidth) outboundVideo = stat;
+            } else if (stat.type === 'inbound-rtp') {
+                counters.bytesReceived += stat.bytesReceived || 0;
+                counters.packetsReceived += stat.packetsReceived || 0;
+                counters.packetsLost += Math.max(stat.packetsLost || 0, 0);
+                // Audio jitter is what people notice; video's is the fallback
+                if (stat.jitter !== undefined && (stat.kind === 'audio' || jitter === null)) jitter = stat.jitter;
+                if (stat.kind === 'video' && stat.frameWidth) inboundVideo = stat;
+            } else if (stat.type === 'remote-inbound-rtp') {
+                if (stat.fractionLost !== undefined) sendLoss = Math.max(sendLoss ?? 0, stat.fractionLost);
+            } else if (stat.type === 'transport' && stat.selectedCandidatePairId) {
+                pair = byId.get(stat.selectedCandidatePairId);
+            }
+        }
+        // Firefox has no transport stats; the nominated pair is the one in use
+        if (!pair) {
+            pair = [...byId.values()].find(stat => stat.type === 'candidate-pair' && stat.nominated && stat.state === 'succeeded');
+        }
+
+        const previous = this.previous.get(clientId);
+        this.previous.set(clientId, counters);
+
+        const seconds = previous ? (counters.at - previous.at) / 1000 : 0;
+        const rate = (key) => {
+            const delta = previous ? counters[key] - previous[key] : -1;
+            // Counters restart with a new peer connection
+            return seconds > 0 && delta >= 0 ? Math.round(delta * 8 / seconds / 1000) : null;
+        };
+        const lost = previous ? counters.packetsLost - previous.packetsLost : -1;
+        const received = previous ? counters.packetsReceived - previous.packetsReceived : -1;
+
+        const stats = {
+            sendKbps: rate('bytesSent'),
+            receiveKbps: rate('bytesReceived'),
+            lossPercent: lost >= 0 && received >= 0 && lost + received > 0 ?
+                Math.round(lost / (lost + received) * 1000) / 10 : null,
+            // From the peer's receiver reports: what they lose of what we send
+            sendLossPercent: sendLoss !== null ? Math.round(sendLoss * 1000) / 10 : null,
+            jitterMs: jitter !== null ? Math.round(jitter * 1000) : null,
+            rttMs: pair?.currentRoundTripTime !== undefined ? Math.round(pair.currentRoundTripTime * 1000) : null,
+            availableOutgoingKbps: pair?.availableOutgoingBitrate !== undefined ? Math.round(pair.availableOutgoingBitrate / 1000) : null,
+            candidateType: this.describeCandidatePair(pair, byId),
+            sendVideo: this.describeVideo(outboundVideo),
+            receiveVideo: this.describeVideo(inboundVideo)
+        };
+        stats.quality = this.rateQuality(stats);
+        return stats;
+    }
+
+    describeCandidatePair(pair, byId) {
+        if (!pair) return null;
+
+        // The least direct side decides how the media actually travels
+        const types = [byId.get(pair.localCandidateId), byId.get(pair.remoteCandidateId)]
+            .map(candidate => candidate?.candidateType);
+        return ['relay', 'srflx', 'prflx', 'host'].find(type => types.includes(type)) || null;
+    }
+
+    describeVideo(stat) {
+        if (!stat) return null;
+        return { width: stat.frameWidth, height: stat.frameHeight, fps: Math.round(stat.framesPerSecond || 0) };
+    }
+
+    rateQuality(stats) {
+        const loss = stats.lossPercent ?? 0;
+        const rtt = stats.rttMs ?? 0;
+        if (loss > 8 || rtt > 500) return 'poor';
+        if (loss > 2 || rtt > 250) return 'fair';
+        return 'good';
+    }
+
+    accumulate(clientId, stats) {
+        if (!this.totals.has(clientId)) {
+            this.totals.set(clientId, {
+                samples: 0, rttSum: 0, rttSamples: 0, rttMax: 0, lossSum: 0, lossSamples: 0,
+                jitterSum: 0, jitterSamples: 0, sendSum: 0, receiveSum: 0, rateSamples: 0,
+                candidateType: null, maxHeight: 0
+            });
+        }
+        const totals = this.totals.get(clientId);
+        totals.samples++;
+        if (stats.rttMs !== null) {
+            totals.rttSum += stats.rttMs;
+            totals.rttSamples++;
+            totals.rttMax = Math.max(totals.rttMax, stats.rttMs);
+        }
+        if (stats.lossPercent !== null) {
+            totals.lossSum += stats.lossPercent;
+            totals.lossSamples++;
+        }
+        if (stats.jitterMs !== null) {
+            totals.jitterSum += stats.jitterMs;
+            totals.jitterSamples++;
+        }
+        if (stats.sendKbps !== null && stats.receiveKbps !== null) {
+            totals.sendSum += stats.sendKbps;
+            totals.receiveSum += stats.receiveKbps;
+            totals.rateSamples++;
+        }
+        totals.candidateType = stats.candidateType || totals.candidateType;
+        totals.maxHeight = Math.max(totals.maxHeight, stats.receiveVideo?.height || 0);
+    }
+
+    getSummary() {
+        // No names, IDs, room or addresses: only numbers about each connection
+        const average = (sum, count) => count > 0 ? Math.round(sum / count * 10) / 10 : null;
+        const connections = [...this.totals.values()].filter(totals => totals.samples > 0).map(totals => ({
+            candidate_type: totals.candidateType,
+            samples: totals.samples,
+            avg_rtt_ms: average(totals.rttSum, totals.rttSamples),
+            max_rtt_ms: totals.rttSamples > 0 ? totals.rttMax : null,
+            avg_loss_percent: average(totals.lossSum, totals.lossSamples),
+            avg_jitter_ms: average(totals.jitterSum, totals.jitterSamples),
+            avg_send_kbps: average(totals.sendSum, totals.rateSamples),
+            avg_receive_kbps: average(totals.receiveSum, totals.rateSamples),
+            max_receive_height: totals.maxHeight || null
+        }));
+
+        return {
+            duration_seconds: this.startedAt ? Math.round((Date.now() - this.startedAt) / 1000) : 0,
+            connections: connections
+        };
+    }
+}
@@ -0,0 +1,31 @@
+// Hands the microphone's audio to a local caption engine, run on the audio
+// thread. Channels are mixed down to mono and batched, so the main thread only
+// sees a few messages a second.
+class CaptionCaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this.chunk = new Float32Array(options.processorOptions.chunkSamples);
+        this.filled = 0;
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (!input || input.length === 0) return true;
+
+        for (let i = 0; i < input[0].length; i++) {
+            let sum = 0;
+            for (const channel of input) sum += channel[i];
+            this.chunk[this.filled++] = sum / input.length;
+
+            if (this.filled === this.chunk.length) {
+                // Transferred, so a fresh buffer takes its place
+                this.port.postMessage(this.chunk, [this.chunk.buffer]);
+                this.chunk = new Float32Array(this.chunk.length);
+                this.filled = 0;
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('caption-capture', CaptionCaptureProcessor);
@@ -0,0 +1,192 @@
+// Live captions of our own microphone. Each participant transcribes only the
+// track they send, so every caption has exactly one speaker. The browser's
+// speech recognition (Web Speech API) is used where there is one; otherwise a
+// local engine running in a Worker, such as a Vosk or whisper.cpp WASM build,
+// is fed the microphone's PCM through an AudioWorklet. Browsers may send what the
+// Web Speech API hears to their vendor's servers, so calls that must keep audio on
+// the device (end-to-end encrypted rooms) only caption with a local engine.
+//
+// A local engine is any Worker script, served from the page's own origin, that takes
+//   { type: 'start', sampleRate, language } and then { type: 'audio', samples } (mono Float32Array)
+// and answers with
+//   { type: 'partial', text }, { type: 'final', text } or { type: 'error', message }.
+export class LiveCaptions {
+    static LOCAL_ENGINE_URL = null; // default for the localEngineUrl option
+    static MAX_TEXT_LENGTH = 500; // per segment; the server's limit leaves room for encryption
+    static INTERIM_INTERVAL_MS = 300; // how often a segment still being spoken is re-sent
+    static AUDIO_CHUNK_SECONDS = 0.25; // PCM batched this long before it goes to the local engine
+
+    constructor(onCaption, onError, options = {}) {
+        this.onCaption = onCaption; // called with { id, text, final, durationMs } for each update to a segment
+        this.onError = onError; // called with a message when captioning has to stop
+        // Worker script of a local engine, for browsers without speech recognition and for on-device captions
+        this.localEngineUrl = options.localEngineUrl || LiveCaptions.LOCAL_ENGINE_URL;
+        this.track = null;
+        this.onDevice = false; // whether the running engine must keep the audio on this device
+        this.engine = null; // { stop } of whichever engine is running
+        this.generation = 0; // bumped on stop, so an engine that finishes loading late is dropped
+        this.segmentCount = 0;
+        this.segment = null; // { id, startedAt, sentAt } of the segment being spoken
+    }
+
+    static speechRecognition() {
+        return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+    }
+
+    hasLocalEngine() {
+        return Boolean(this.localEngineUrl) && typeof AudioWorkletNode !== 'undefined';
+    }
+
+    // With onDevice, only an engine that keeps the audio in this browser counts
+    isSupported({ onDevice = false } = {}) {
+        return (!onDevice && Boolean(LiveCaptions.speechRecognition())) || this.hasLocalEngine();
+    }
+
+    async start(track, { onDevice = false } = {}) {
+        if (this.track === track && this.onDevice === onDevice) return;
+        this.stop();
+        this.track = track;
+        this.onDevice = onDevice;
+        const generation = this.generation;
+        try {
+            const engine = !onDevice && LiveCaptions.speechRecognition() ?
+                this.startSpeechRecognition(track) :
+                await this.startLocalEngine(track);
+            if (generation !== this.generation) {
+                engine.stop();
+                return;
+            }
+            this.engine = engine;
+        } catch (error) {
+            console.error('Could not start captions:', error);
+            this.fail('Captions could not start');
+        }
+    }
+
+    stop() {
+        this.generation += 1;
+        this.engine?.stop();
+        this.engine = null;
+        this.track = null;
+        this.segment = null;
+    }
+
+    fail(message) {
+        this.stop();
+        this.onError(message);
+    }
+
+    // Text for the segment being spoken; a final one closes it
+    update(text, final) {
+        text = text.trim().slice(0, LiveCaptions.MAX_TEXT_LENGTH);
+        if (!text) return;
+
+        const now = Date.now();
+        if (!this.segment) {
+            this.segmentCount += 1;
+            this.segment = { id: `s${this.segmentCount}`, startedAt: now, sentAt: 0 };
+        }
+        const segment = this.segment;
+        if (final) {
+            this.segment = null;
+        } else if (now - segment.sentAt < LiveCaptions.INTERIM_INTERVAL_MS) {
+            return;
+        }
+
+        segment.sentAt = now;
+        this.onCaption({ id: segment.id, text: text, final: final, durationMs: now - segment.startedAt });
+    }
+
+    startSpeechRecognition(track) {
+        const recognition = new (LiveCaptions.speechRecognition())();
+        recognition.continuous = true;
+        recognition.interimResults = true;
+        recognition.lang = navigator.language;
+        let running = true;
+
+        recognition.onresult = (event) => {
+            // Earlier results are already final; only the newest is still changing
+            for (let i = event.resultIndex; i < event.results.length; i++) {
+                const result = event.results[i];
+                this.update(result[0].transcript, result.isFinal);
+            }
+        };
+        recognition.onerror = (event) => {
+            // A pause or our own abort; anything else would only fail again on restart
+            if (event.error === 'no-speech' || event.error === 'aborted') return;
+            running = false;
+            console.warn('Speech recognition error:', event.error);
+            this.fail(event.error === 'not-allowed' || event.error === 'service-not-allowed' ?
+                'Captions are blocked; allow speech recognition for this site to use them' :
+                'Captions stopped: speech recognition is not available right now');
+        };
+        // Recognition ends itself after a silence or a network hiccup; carry on until stopped
+        recognition.onend = () => {
+            this.segment = null;
+            if (running) this.listen(recognition, track);
+        };
+        this.listen(recognition, track);
+
+        return {
+            stop: () => {
+                running = false;
+                recognition.abort();
+            }
+        };
+    }
+
+    listen(recognition, track) {
+        // Browsers that can't take a track listen to the default microphone, which is usually the same one
+        try {
+            recognition.start(track);
+        } catch (error) {
+            recognition.start();
+        }
+    }
+
+    async startLocalEngine(track) {
+        if (!this.hasLocalEngine()) {
+            throw new Error('No speech recognition engine is available');
+        }
+
+        const worker = new Worker(this.localEngineUrl);
+        const audioContext = new AudioContext();
+        await audioContext.audioWorklet.addModule(new URL('caption-capture-worklet.js', import.meta.url));
+        await audioContext.resume();
+
+        // Not connected to the speakers; the PCM only goes to the engine
+        const input = audioContext.createMediaStreamSource(new MediaStream([track]));
+        const capture = new AudioWorkletNode(audioContext, 'caption-capture', {
+            processorOptions: { chunkSamples: Math.round(audioContext.sampleRate * LiveCaptions.AUDIO_CHUNK_SECONDS) }
+        });
+        input.connect(capture);
+
+        worker.onmessage = (event) => {
+            const message = event.data;
+            if (message.type === 'partial' || message.type === 'final') {
+                this.update(message.text || '', message.type === 'final');
+            } else if (message.type === 'error') {
+                console.error('Caption engine error:', message.message);
+                this.fail('Captions stopped: the speech recognition engine failed');
+            }
+        };
+        worker.onerror = (event) => {
+            console.error('Caption engine error:', event.message);
+            this.fail('Captions stopped: the speech recognition engine failed');
+        };
+        worker.postMessage({ type: 'start', sampleRate: audioContext.sampleRate, language: navigator.language });
+        capture.port.onmessage = (event) => {
+            worker.postMessage({ type: 'audio', samples: event.data }, [event.data.buffer]);
+        };
+
+        return {
+            stop: () => {
+                input.disconnect();
+                capture.disconnect();
+                capture.port.onmessage = null;
+                worker.terminate();
+                audioContext.close();
+            }
+        };
+    }
+}
@@ -0,0 +1,186 @@
+import itertools
+import json
+import sqlite3
+from collections import deque
+from typing import Dict, List, Optional, Tuple
+
+# Version of the chat message format sent to clients; bump when fields change
+# v1: id, from, username, message, timestamp
+# v2: adds to (direct messages), reply_to, edited_at, deleted, reactions, read_by
+CHAT_SCHEMA_VERSION = 2
+
+
+def new_message(sender: str, username: str, text: str, timestamp: str,
+                to: Optional[str] = None, reply_to: Optional[int] = None) -> dict:
+    """A chat message in the current schema, before it has an ID"""
+    return {
+        "v": CHAT_SCHEMA_VERSION,
+        "from": sender,
+        "username": username,
+        "message": text,
+        "timestamp": timestamp,
+        "to": to,
+        "reply_to": reply_to,
+        "edited_at": None,
+        "deleted": False,
+        "reactions": {},  # emoji -> [client_id, ...]
+        "read_by": []
+    }
+
+
+def visible_to(message: dict, client_id: Optional[str]) -> bool:
+    """Direct messages are only for their sender and recipient"""
+    return message.get("to") is None or client_id in (message["to"], message["from"])
+
+
+class MemoryChatStore:
+    """Keeps the last `max_per_room` messages of each room in process memory"""
+
+    def __init__(self, max_per_room: int = 500):
+        self.max_per_room = max_per_room
+        self.rooms: Dict[str, deque] = {}
+        self.ids = itertools.count(1)
+
+    def add(self, room_id: str, message: dict) -> dict:
+        """Store a message and return it with its server-assigned ID"""
+        stored = {"id": next(self.ids), **message}
+        self.rooms.setdefault(room_id, deque(maxlen=self.max_per_room)).append(stored)
+        return stored
+
+    def get(self, room_id: str, message_id: int) -> Optional[dict]:
+        for message in self.rooms.get(room_id, ()):
+            if message["id"] == message_id:
+                return message
+        return None
+
+    def update(self, room_id: str, message_id: int, changes: dict) -> Optional[dict]:
+        """Apply changes to a stored message and return the new version"""
+        message = self.get(room_id, message_id)
+        if message is not None:
+            message.update(changes)
+        return message
+
+    def history(self, room_id: str, limit: int, before_id: Optional[int] = None,
+                viewer: Optional[str] = None) -> Tuple[List[dict], bool]:
+        """Up to `limit` messages older than `before_id` that `viewer` may see, oldest first, and whether more exist"""
+        messages = [
+            message for message in self.rooms.get(room_id, ())
+            if (before_id is None or message["id"] < before_id) and visible_to(message, viewer)
+        ]
+        return messages[-limit:], len(messages) > limit
+
+    def room_closed(self, room_id: str):
+        # Nothing outlives the room when history is only in memory
+        self.rooms.pop(room_id, None)
+
+
+class SQLiteChatStore:
+    """Keeps the last `max_per_room` messages of each room in a SQLite file, across restarts"""
+
+    # Columns added after v1, with their definitions, for upgrading older databases
+    V2_COLUMNS = {
+        "recipient": "TEXT",
+        "reply_to": "INTEGER",
+        "edited_at": "TEXT",
+        "deleted": "INTEGER NOT NULL DEFAULT 0",
+        "reactions": "TEXT NOT NULL DEFAULT '{}'",
+        "read_by": "TEXT NOT NULL DEFAULT '[]'"
+    }
+
+    def __init__(self, path: str, max_per_room: int = 500):
+        self.max_per_room = max_per_room
+        self.db = sqlite3.connect(path, check_same_thread=False)
+        self.db.row_factory = sqlite3.Row
+        self.db.execute("""
+            CREATE TABLE IF NOT EXISTS chat_messages (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                room TEXT NOT NULL,
+                sender TEXT NOT NULL,
+                username TEXT NOT NULL,
+                message TEXT NOT NULL,
+                timestamp TEXT NOT NULL
+            )
+        """)
+        self.db.execute("CREATE INDEX IF NOT EXISTS chat_messages_room ON chat_messages (room, id)")
+
+        existing = {row["name"] for row in self.db.execute("PRAGMA table_info(chat_messages)")}
+        for column, definition in self.V2_COLUMNS.items():
+            if column not in existing:
+                self.db.execute(f"ALTER TABLE chat_messages ADD COLUMN {column} {definition}")
+        self.db.commit()
+
+    def add(self, room_id: str, message: dict) -> dict:
+        """Store a message and return it with its server-assigned ID"""
+        cursor = self.db.execute(
+            """INSERT INTO chat_messages (room, sender, username, message, timestamp, recipient, reply_to)
+               VALUES (?, ?, ?, ?, ?, ?, ?)""",
+            (room_id, message["from"], message["username"], message["message"], message["timestamp"],
+             message.get("to"), message.get("reply_to"))
+        )
+        # Trim the room back down to its bound
+        self.db.execute("""
+            DELETE FROM chat_messages WHERE room = ? AND id <= (
+                SELECT id FROM chat_messages WHERE room = ? ORDER BY id DESC LIMIT 1 OFFSET ?
+            )
+        """, (room_id, room_id, self.max_per_room))
+        self.db.commit()
+        return {"id": cursor.lastrowid, **message}
+
+    def get(self, room_id: str, message_id: int) -> Optional[dict]:
+        row = self.db.execute(
+            "SELECT * FROM chat_messages WHERE room = ? AND id = ?", (room_id, message_id)
+        ).fetchone()
+        return self.from_row(row) if row else None
+
+    def update(self, room_id: str, message_id: int, changes: dict) -> Optional[dict]:
+        """Apply changes to a stored message and return the new version"""
+        columns = {
+            "message": lambda value: value,
+            "edited_at": lambda value: value,
+            "deleted": lambda value: int(value),
+            "reactions": json.dumps,
+            "read_by": json.dumps
+        }
+        updates = {key: columns[key](value) for key, value in changes.items() if key in columns}
+        if updates:
+            assignments = ", ".join(f"{key} = ?" for key in updates)
+            self.db.execute(
+                f"UPDATE chat_messages SET {assignments} WHERE room = ? AND id = ?",
+                (*updates.values(), room_id, message_id)
+            )
+            self.db.commit()
+        return self.get(room_id, message_id)
+
+    def history(self, room_id: str, limit: int, before_id: Optional[int] = None,
+                viewer: Optional[str] = None) -> Tuple[List[dict], bool]:
+        """Up to `limit` messages older than `before_id` that `viewer` may see, oldest first, and whether more exist"""
+        rows = self.db.execute(
+            """SELECT * FROM chat_messages
+               WHERE room = ? AND id < ? AND (recipient IS NULL OR recipient = ? OR sender = ?)
+               ORDER BY id DESC LIMIT ?""",
+            (room_id, before_id if before_id is not None else 2 ** 63 - 1, viewer, viewer, limit + 1)
+        ).fetchall()
+
+        messages = [self.from_row(row) for row in reversed(rows[:limit])]
+        return messages, len(rows) > limit
+
+    @staticmethod
+    def from_row(row: sqlite3.Row) -> dict:
+        return {
+            "id": row["id"],
+            "v": CHAT_SCHEMA_VERSION,
+            "from": row["sender"],
+            "username": row["username"],
+            "message": row["message"],
+            "timestamp": row["timestamp"],
+            "to": row["recipient"],
+            "reply_to": row["reply_to"],
+            "edited_at": row["edited_at"],
+            "deleted": bool(row["deleted"]),
+            "reactions": json.loads(row["reactions"]),
+            "read_by": json.loads(row["read_by"])
+        }
+
+    def room_closed(self, room_id: str):
+        # History is kept for when the room is used again
+        pass
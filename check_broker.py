@@ -0,0 +1,150 @@
+"""Exercise a room broker end to end: BROKER=memory (default) or BROKER=redis
+
+    BROKER=redis REDIS_URL=redis://localhost:6379/0 python check_broker.py
+
+Against Redis, two brokers stand in for two workers, and everything is written
+under a throwaway prefix that is cleared afterwards. Exits non-zero on the
+first check that fails.
+"""
+import asyncio
+import os
+import secrets
+import sys
+
+from broker import REDIS_AVAILABLE, MemoryBroker, RedisBroker
+
+BROKER = os.environ.get("BROKER", "memory")
+REDIS_URL = os.environ.get("REDIS_URL", "redis://localhost:6379/0")
+
+
+def check(condition: bool, what: str):
+    if not condition:
+        raise AssertionError(what)
+    print(f"ok  {what}")
+
+
+async def run(first, second):
+    """`second` is another worker's broker on the same cluster, or `first` again for memory"""
+    delivered = []
+
+    async def on_message(room_id: str, envelope: dict):
+        delivered.append((room_id, envelope))
+
+    async def on_ghost(room_id: str, client_id: str, member: dict):
+        pass
+
+    await first.start(on_message, on_ghost)
+    if second is not first:
+        await second.start(on_message, on_ghost)
+    try:
+        room = "check-" + secrets.token_hex(4)
+
+        # Opening a room: exactly one joiner wins
+        check(await first.create_room(room, {"host": "a", "locked": False}), "first create_room opens the room")
+        check(not await second.create_room(room, {"host": "b", "locked": False}), "second create_room loses")
+        check((await second.get_room(room))["host"] == "a", "settings are shared")
+        check((await second.update_room(room, {"locked": True}))["locked"], "update_room applies changes")
+        check(await first.update_room("check-missing", {"locked": True}) is None, "update_room on no room is None")
+
+        # Membership
+        await first.set_member(room, "a", {"name": "Ann"})
+        await second.set_member(room, "b", {"name": "Bob"})
+        members = await first.get_members(room)
+        check(set(members) == {"a", "b"}, "members from both workers are listed")
+        check(members["b"]["worker"] == second.worker_id, "a member records the worker that holds it")
+        check(await first.is_member(room, "b"), "is_member sees the other worker's member")
+        check((await first.list_rooms())[room]["user_count"] == 2, "list_rooms counts members")
+
+        # Messages reach every worker
+        await first.publish(room, {"type": "ping"})
+        for _ in range(50):
+            if len(delivered) >= (1 if second is first else 2):
+                break
+            await asyncio.sleep(0.05)
+        check(len(delivered) == (1 if second is first else 2), "publish reaches every worker")
+
+        # Bans, hands and the transcript
+        await first.add_ban(room, "client:c", "ticket:t")
+        check(await second.is_banned(room, "client:x", "ticket:t"), "a banned ticket is seen by every worker")
+        check(not await second.is_banned(room, "client:x"), "others are not banned")
+        check(await first.set_hand(room, "b", True), "raising a hand changes it")
+        check(not await first.set_hand(room, "b", True), "raising it again does not")
+        await second.set_hand(room, "a", True)
+        check(await first.get_hands(room) == ["b", "a"], "hands are kept in the order they went up")
+        check(await first.pop_hand(room) == "b", "pop_hand takes the longest waiting")
+        check(await first.set_hand(room, "a", False), "lowering a hand changes it")
+        check(await first.pop_hand(room) is None, "pop_hand on no hands is None")
+        for index in range(5):
+            await first.add_caption(room, {"text": str(index)}, 3)
+        check([caption["text"] for caption in await second.get_transcript(room)] == ["2", "3", "4"],
+              "the transcript keeps the latest captions")
+
+        # Leaving
+        check(not await first.remove_member(room, "b", worker="check-none"),
+              "remove_member for another worker leaves the member alone")
+        check(await first.remove_member(room, "a"), "remove_member reports a member")
+        check(not await first.remove_member(room, "a"), "and does not report one twice")
+        check(await first.get_room(room) is not None, "the room stays open while anyone is in it")
+
+        # The last one out closes the room, and a no-op removal never does
+        empty = "check-" + secrets.token_hex(4)
+        await first.create_room(empty, {"host": "d"})
+        check(not await first.remove_member(empty, "nobody"), "removing a non-member reports nothing")
+        check(await first.get_room(empty) is not None, "and leaves a room nobody has entered yet")
+        await first.set_member(empty, "d", {})
+        await first.remove_member(empty, "d")
+        await first.remove_member(room, "b")
+        check(await first.get_room(room) is None, "the last one out clears the settings")
+        check(not await first.is_banned(room, "ticket:t"), "and the bans")
+        check(await first.get_hands(room) == [] and await first.get_transcript(room) == [],
+              "and the hands and transcript")
+        check(room not in await second.list_rooms(), "and the room leaves the list")
+        check(await second.create_room(room, {"host": "e"}), "the next joiner opens it afresh")
+
+        # A leave racing a join clears all of the room or none of it
+        for _ in range(20):
+            await first.add_ban(room, "ticket:t")
+            await first.set_member(room, "e", {"name": "Eve"})
+            await asyncio.gather(first.remove_member(room, "e"), second.set_member(room, "f", {"name": "Fay"}))
+            settings = await second.get_room(room)
+            if bool(settings) != await second.is_banned(room, "ticket:t"):
+                raise AssertionError("a leave racing a join half-closed the room")
+            await second.remove_member(room, "f")
+            await first.create_room(room, {"host": "e"})
+        check(True, "a leave racing a join clears all of the room or none of it")
+        await first.set_member(room, "e", {})
+        await first.remove_member(room, "e")
+    finally:
+        if second is not first:
+            await second.stop()
+        await first.stop()
+
+
+async def main() -> int:
+    if BROKER == "memory":
+        broker = MemoryBroker("check")
+        await run(broker, broker)
+        return 0
+    if BROKER != "redis":
+        print(f"Unknown BROKER {BROKER!r}; use memory or redis")
+        return 2
+    if not REDIS_AVAILABLE:
+        print("Skipped: BROKER=redis needs the redis package: pip install redis")
+        return 0
+
+    prefix = f"videochat-check-{secrets.token_hex(4)}:"
+    first = RedisBroker("check-1", REDIS_URL, prefix=prefix, heartbeat_seconds=60)
+    second = RedisBroker("check-2", REDIS_URL, prefix=prefix, heartbeat_seconds=60)
+    try:
+        await run(first, second)
+    finally:
+        cleaner = RedisBroker("check-clean", REDIS_URL, prefix=prefix)
+        keys = [key async for key in cleaner.redis.scan_iter(prefix + "*")]
+        if keys:
+            await cleaner.redis.delete(*keys)
+        await cleaner.redis.aclose()
+    return 0
+
+
+if __name__ == "__main__":
+    sys.exit(asyncio.run(main()))
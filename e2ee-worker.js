@@ -0,0 +1,102 @@
+// Encrypts outgoing and decrypts incoming encoded media frames with AES-GCM.
+// Frames arrive either through RTCRtpScriptTransform or as streams posted from
+// createEncodedStreams. An encrypted frame is [clear header][ciphertext][12-byte IV].
+// Each sender has its own key, derived from the room's media secret and its
+// client ID, so random IVs stay far from AES-GCM's limit of 2^32 per key.
+const IV_LENGTH = 12;
+
+// The first bytes stay readable so the packetizer and decoder can still parse
+// them: 10 bytes of a VP8 key frame, 3 of a delta frame, 1 of an Opus frame.
+// Other video codecs don't survive this, so RoomEncryption keeps video on VP8.
+const CLEAR_BYTES = { key: 10, delta: 3 };
+
+let secret = null; // HKDF key of the room's media secret
+const keys = new Map(); // clientId -> promise of that sender's AES-GCM key
+const failing = new Set(); // clientIds already reported as undecryptable
+
+function keyFor(clientId) {
+    if (!keys.has(clientId)) {
+        keys.set(clientId, crypto.subtle.deriveKey({
+            name: 'HKDF',
+            hash: 'SHA-256',
+            salt: new Uint8Array(),
+            info: new TextEncoder().encode(`media:${clientId}`)
+        }, secret, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']));
+    }
+    return keys.get(clientId);
+}
+
+function clearByteCount(frame) {
+    return Math.min(CLEAR_BYTES[frame.type] ?? 1, frame.data.byteLength);
+}
+
+async function encryptFrame(frame, controller, clientId) {
+    // Never fall back to sending media in the clear
+    if (!secret) return;
+    const key = await keyFor(clientId);
+
+    const data = new Uint8Array(frame.data);
+    const header = data.subarray(0, clearByteCount(frame));
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv: iv, additionalData: header }, key, data.subarray(header.length)
+    ));
+
+    const output = new Uint8Array(header.length + ciphertext.length + IV_LENGTH);
+    output.set(header, 0);
+    output.set(ciphertext, header.length);
+    output.set(iv, header.length + ciphertext.length);
+    frame.data = output.buffer;
+    controller.enqueue(frame);
+}
+
+async function decryptFrame(frame, controller, clientId) {
+    if (!secret) return;
+    const key = await keyFor(clientId);
+
+    const data = new Uint8Array(frame.data);
+    const header = data.subarray(0, clearByteCount(frame));
+    try {
+        const iv = data.subarray(data.length - IV_LENGTH);
+        const plaintext = new Uint8Array(await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: iv, additionalData: header }, key, data.subarray(header.length, data.length - IV_LENGTH)
+        ));
+
+        const output = new Uint8Array(header.length + plaintext.length);
+        output.set(header, 0);
+        output.set(plaintext, header.length);
+        frame.data = output.buffer;
+        controller.enqueue(frame);
+        failing.delete(clientId);
+    } catch (error) {
+        // Drop the frame; the sender has another passphrase or no encryption at all
+        if (!failing.has(clientId)) {
+            failing.add(clientId);
+            self.postMessage({ type: 'decrypt_error', clientId: clientId });
+        }
+    }
+}
+
+function transform(operation, clientId, readable, writable) {
+    const transformer = new TransformStream({
+        transform: (frame, controller) => operation === 'encrypt' ?
+            encryptFrame(frame, controller, clientId) :
+            decryptFrame(frame, controller, clientId)
+    });
+    readable.pipeThrough(transformer).pipeTo(writable);
+}
+
+self.onrtctransform = (event) => {
+    const { operation, clientId } = event.transformer.options;
+    transform(operation, clientId, event.transformer.readable, event.transformer.writable);
+};
+
+self.onmessage = async (event) => {
+    const message = event.data;
+    if (message.type === 'key') {
+        secret = await crypto.subtle.importKey('raw', message.secret, 'HKDF', false, ['deriveKey']);
+        keys.clear();
+    } else if (message.type === 'transform') {
+        transform(message.operation, message.clientId, message.readable, message.writable);
+    }
+};
@@ -0,0 +1,153 @@
+// End-to-end encryption for one room. Everyone derives the same keys from a
+// passphrase shared outside the app, so the server only ever relays ciphertext
+// for chat, and media frames are encrypted again inside the browser on top of DTLS.
+export class RoomEncryption {
+    static PBKDF2_ITERATIONS = 310000;
+    static CHAT_PREFIX = 'e2ee1:'; // marks an encrypted chat message, with the format version
+
+    constructor(chatKey, mediaSecret, safetyNumber, clientId) {
+        this.chatKey = chatKey; // AES-GCM CryptoKey
+        this.mediaSecret = mediaSecret; // raw bytes; the media worker derives each sender's key from them
+        this.clientId = clientId; // ours, which names the key our media is sent with
+        this.safetyNumber = safetyNumber;
+        this.worker = null;
+        this.attached = new WeakSet(); // senders and receivers that already have a transform
+        this.onDecryptError = null; // called with a clientId whose media we cannot decrypt
+    }
+
+    static async fromPassphrase(passphrase, roomId, clientId) {
+        const encoder = new TextEncoder();
+        const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+        // Salting with the room ID gives every room its own keys for the same passphrase
+        const secret = await crypto.subtle.deriveBits({
+            name: 'PBKDF2',
+            hash: 'SHA-256',
+            salt: encoder.encode(`video-chat-e2ee:${roomId}`),
+            iterations: RoomEncryption.PBKDF2_ITERATIONS
+        }, material, 256);
+
+        // Separate keys for chat, media and the safety number
+        const base = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveBits']);
+        const derive = (info) => crypto.subtle.deriveBits({
+            name: 'HKDF',
+            hash: 'SHA-256',
+            salt: new Uint8Array(),
+            info: encoder.encode(info)
+        }, base, 256);
+
+        const chatKey = await crypto.subtle.importKey('raw', await derive('chat'), 'AES-GCM', false, ['encrypt', 'decrypt']);
+        const mediaSecret = await derive('media');
+        const safetyNumber = RoomEncryption.formatSafetyNumber(new Uint8Array(await derive('safety-number')));
+        return new RoomEncryption(chatKey, mediaSecret, safetyNumber, clientId);
+    }
+
+    static formatSafetyNumber(bytes) {
+        // Six groups of five digits, easy to read out loud
+        const view = new DataView(bytes.buffer);
+        const groups = [];
+        for (let i = 0; i < 6; i++) {
+            groups.push(String(view.getUint32(i * 4) % 100000).padStart(5, '0'));
+        }
+        return groups.join(' ');
+    }
+
+    static supportsMedia() {
+        return 'RTCRtpScriptTransform' in globalThis || 'createEncodedStreams' in RTCRtpSender.prototype;
+    }
+
+    // Chrome's older API only works on peer connections created with encodedInsertableStreams
+    get needsEncodedStreams() {
+        return !('RTCRtpScriptTransform' in globalThis) && 'createEncodedStreams' in RTCRtpSender.prototype;
+    }
+
+    static isEncrypted(text) {
+        return typeof text === 'string' && text.startsWith(RoomEncryption.CHAT_PREFIX);
+    }
+
+    async encryptText(text) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: iv }, this.chatKey, new TextEncoder().encode(text)
+        ));
+
+        const bytes = new Uint8Array(iv.length + ciphertext.length);
+        bytes.set(iv, 0);
+        bytes.set(ciphertext, iv.length);
+        return RoomEncryption.CHAT_PREFIX + btoa(String.fromCharCode(...bytes));
+    }
+
+    async decryptText(envelope) {
+        // null when the message was encrypted with a different passphrase or tampered with
+        try {
+            const bytes = Uint8Array.from(atob(envelope.slice(RoomEncryption.CHAT_PREFIX.length)), char => char.charCodeAt(0));
+            const plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: bytes.subarray(0, 12) }, this.chatKey, bytes.subarray(12)
+            );
+            return new TextDecoder().decode(plaintext);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    setupSender(sender, peerConnection) {
+        RoomEncryption.preferVp8(peerConnection.getTransceivers().find(transceiver => transceiver.sender === sender));
+        this.attachTransform(sender, 'encrypt', this.clientId);
+    }
+
+    setupReceiver(receiver, clientId, transceiver) {
+        RoomEncryption.preferVp8(transceiver);
+        this.attachTransform(receiver, 'decrypt', clientId);
+    }
+
+    // The worker leaves a VP8 header in the clear; an H.264 or AV1 frame would come out unreadable
+    static preferVp8(transceiver) {
+        if (!transceiver?.setCodecPreferences || transceiver.receiver.track.kind !== 'video') return;
+        const codecs = RTCRtpReceiver.getCapabilities?.('video')?.codecs || [];
+        const vp8 = codecs.filter(codec => codec.mimeType.toLowerCase() === 'video/vp8');
+        if (vp8.length === 0) return;
+        // Retransmission and error correction still apply to VP8
+        const repair = codecs.filter(codec => ['video/rtx', 'video/red', 'video/ulpfec'].includes(codec.mimeType.toLowerCase()));
+        transceiver.setCodecPreferences([...vp8, ...repair]);
+    }
+
+    attachTransform(target, operation, clientId) {
+        if (!RoomEncryption.supportsMedia() || this.attached.has(target)) return;
+        this.attached.add(target);
+
+        const worker = this.getWorker();
+        if ('RTCRtpScriptTransform' in globalThis) {
+            target.transform = new RTCRtpScriptTransform(worker, { operation: operation, clientId: clientId });
+        } else {
+            const { readable, writable } = target.createEncodedStreams();
+            worker.postMessage({
+                type: 'transform',
+                operation: operation,
+                clientId: clientId,
+                readable: readable,
+                writable: writable
+            }, [readable, writable]);
+        }
+    }
+
+    getWorker() {
+        // One worker handles every sender and receiver in the call
+        if (!this.worker) {
+            // Next to this module, wherever the page that imports it lives
+            this.worker = new Worker(new URL('e2ee-worker.js', import.meta.url));
+            this.worker.onmessage = (event) => {
+                if (event.data.type === 'decrypt_error' && this.onDecryptError) {
+                    this.onDecryptError(event.data.clientId);
+                }
+            };
+            this.worker.postMessage({ type: 'key', secret: this.mediaSecret });
+        }
+        return this.worker;
+    }
+
+    close() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
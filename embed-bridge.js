@@ -0,0 +1,88 @@
+// Lets the page that embeds us in an iframe drive the call and follow its events
+// with postMessage. The parent says { videoChat: 'connect' } first; from then on
+// only its origin receives events or may send commands:
+//
+//     frame.contentWindow.postMessage({ videoChat: 'connect' }, 'https://calls.example.com');
+//     frame.contentWindow.postMessage({ videoChat: 'command', id: 1, command: 'setAudioEnabled', args: [false] }, origin);
+//     // back: { videoChat: 'ready', clientId }, { videoChat: 'result', id, result | error },
+//     //       { videoChat: 'event', event, data } for every VideoChatClient event
+//
+// The server only lets origins in its EMBED_ORIGINS frame the app.
+import { VideoChatClient } from './video-chat-client.js';
+
+export class EmbedBridge {
+    // What the parent may ask for; nothing else on the client is reachable
+    static COMMANDS = {
+        startLocalMedia: (client) => client.startLocalMedia(),
+        join: (client, options) => client.join(options),
+        leave: (client) => client.leave(),
+        setAudioEnabled: (client, enabled) => client.setAudioEnabled(Boolean(enabled)),
+        setVideoEnabled: (client, enabled) => client.setVideoEnabled(Boolean(enabled)),
+        shareScreen: (client) => client.shareScreen(),
+        stopScreenShare: (client) => client.stopScreenShare(),
+        sendChat: (client, text, options) => client.sendChat(String(text), options),
+        raiseHand: (client, raised = true) => client.raiseHand(Boolean(raised)),
+        sendReaction: (client, emoji) => client.sendReaction(emoji),
+        getParticipants: (client) => [...client.participants.values()]
+    };
+
+    constructor(client, target = window.parent) {
+        this.client = client;
+        this.target = target;
+        this.origin = null; // set by the parent's connect, and never changed after
+
+        window.addEventListener('message', (event) => this.handleMessage(event));
+        for (const event of Object.keys(VideoChatClient.EVENTS)) {
+            client.on(event, (data) => this.post({ videoChat: 'event', event: event, data: EmbedBridge.describeEvent(event, data) }));
+        }
+    }
+
+    async handleMessage(event) {
+        if (event.source !== this.target || typeof event.data?.videoChat !== 'string') return;
+
+        if (event.data.videoChat === 'connect') {
+            // Whoever connects first owns the bridge; a later navigation of the parent can't take it over
+            if (this.origin !== null && this.origin !== event.origin) return;
+            this.origin = event.origin;
+            this.post({ videoChat: 'ready', clientId: this.client.clientId });
+            return;
+        }
+        if (event.origin !== this.origin || event.data.videoChat !== 'command') return;
+
+        const { id, command, args } = event.data;
+        const handler = Object.hasOwn(EmbedBridge.COMMANDS, command) ? EmbedBridge.COMMANDS[command] : null;
+        if (!handler) {
+            this.post({ videoChat: 'result', id: id, error: `Unknown command: ${command}` });
+            return;
+        }
+
+        try {
+            const result = await handler(this.client, ...(Array.isArray(args) ? args : []));
+            this.post({ videoChat: 'result', id: id, result: EmbedBridge.toPlain(result) });
+        } catch (error) {
+            this.post({ videoChat: 'result', id: id, error: error.message });
+        }
+    }
+
+    post(message) {
+        if (this.origin === null) return;
+        this.target.postMessage(message, this.origin);
+    }
+
+    // Transfers carry the file and its chunks, which the parent has no use for
+    static describeEvent(event, data) {
+        if (event === 'fileTransfer') {
+            const { id, clientId, direction, name, size, mime, bytes, state, error } = data;
+            return { id, clientId, direction, name, size, mime, bytes, state, error };
+        }
+        return EmbedBridge.toPlain(data);
+    }
+
+    // Streams can't cross windows, so the parent gets what they hold instead
+    static toPlain(value) {
+        if (value === undefined) return null;
+        return JSON.parse(JSON.stringify(value, (key, item) => item instanceof MediaStream ?
+            { id: item.id, kinds: item.getTracks().map(track => track.kind) } :
+            item));
+    }
+}
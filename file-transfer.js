@@ -0,0 +1,305 @@
+// Peer-to-peer file transfer over each peer connection's "files" data channel.
+// Control messages are JSON strings; file data is sent as binary frames of
+// [16-byte transfer ID][chunk], so several transfers can share one channel.
+export class FileTransferManager {
+    static CHUNK_SIZE = 16 * 1024;
+    static BUFFER_HIGH = 4 * 1024 * 1024; // pause sending above this much queued data
+    static BUFFER_LOW = 1024 * 1024; // resume once the queue drains to this
+    static MAX_FILE_SIZE = 500 * 1024 * 1024;
+    static TRANSFER_ID_PATTERN = /^[0-9a-f]{32}$/; // 16 random bytes, as generateTransferId makes them
+
+    constructor(onUpdate) {
+        this.onUpdate = onUpdate; // called with a transfer whenever its state or progress changes
+        this.channels = new Map(); // clientId -> RTCDataChannel
+        this.transfers = new Map(); // transferId -> transfer
+    }
+
+    attachChannel(clientId, channel) {
+        channel.binaryType = 'arraybuffer';
+        channel.bufferedAmountLowThreshold = FileTransferManager.BUFFER_LOW;
+        channel.onmessage = (event) => {
+            if (typeof event.data === 'string') {
+                let message;
+                try {
+                    message = JSON.parse(event.data);
+                } catch (error) {
+                    console.error(`Ignoring a malformed file message from ${clientId}:`, error);
+                    return;
+                }
+                if (message !== null && typeof message === 'object') this.handleControl(clientId, message);
+            } else {
+                this.handleChunk(clientId, event.data);
+            }
+        };
+        this.channels.set(clientId, channel);
+    }
+
+    detachPeer(clientId) {
+        this.channels.delete(clientId);
+        for (const transfer of this.transfers.values()) {
+            if (transfer.clientId === clientId && this.isActive(transfer)) {
+                this.setState(transfer, 'failed', 'Connection closed');
+            }
+        }
+    }
+
+    isActive(transfer) {
+        return ['offered', 'waiting', 'transferring', 'verifying'].includes(transfer.state);
+    }
+
+    // One transfer per recipient, all offered once the file is hashed
+    async sendFile(clientIds, file) {
+        const transfers = clientIds.map(clientId => ({
+            id: this.generateTransferId(),
+            clientId: clientId,
+            direction: 'send',
+            file: file,
+            name: file.name,
+            size: file.size,
+            mime: file.type || 'application/octet-stream',
+            sha256: null,
+            bytes: 0,
+            state: 'waiting',
+            error: null,
+            url: null
+        }));
+        for (const transfer of transfers) {
+            this.transfers.set(transfer.id, transfer);
+            if (file.size > FileTransferManager.MAX_FILE_SIZE) {
+                this.setState(transfer, 'failed', 'File is too large');
+            } else {
+                this.notify(transfer, true);
+            }
+        }
+        if (file.size > FileTransferManager.MAX_FILE_SIZE) return transfers;
+
+        // Read and hashed once, however many people it goes to
+        const sha256 = await this.hash(await file.arrayBuffer());
+        for (const transfer of transfers) {
+            // Cancelled while we were hashing
+            if (transfer.state !== 'waiting') continue;
+
+            transfer.sha256 = sha256;
+            if (file.type.startsWith('image/')) {
+                transfer.url = URL.createObjectURL(file);
+            }
+
+            if (!this.sendControl(transfer.clientId, {
+                type: 'offer',
+                transferId: transfer.id,
+                name: transfer.name,
+                size: transfer.size,
+                mime: transfer.mime,
+                sha256: transfer.sha256
+            })) {
+                this.setState(transfer, 'failed', 'Not connected');
+            }
+        }
+        return transfers;
+    }
+
+    accept(transferId) {
+        const transfer = this.transfers.get(transferId);
+        if (!transfer || transfer.state !== 'offered') return;
+
+        transfer.chunks = [];
+        this.setState(transfer, 'transferring');
+        this.sendControl(transfer.clientId, { type: 'accept', transferId: transferId });
+    }
+
+    decline(transferId) {
+        const transfer = this.transfers.get(transferId);
+        if (!transfer || transfer.state !== 'offered') return;
+
+        this.setState(transfer, 'declined');
+        this.sendControl(transfer.clientId, { type: 'decline', transferId: transferId });
+    }
+
+    cancel(transferId) {
+        const transfer = this.transfers.get(transferId);
+        if (!transfer || !this.isActive(transfer)) return;
+
+        transfer.chunks = null;
+        this.setState(transfer, 'cancelled');
+        this.sendControl(transfer.clientId, { type: 'cancel', transferId: transferId });
+    }
+
+    clear() {
+        for (const transfer of this.transfers.values()) {
+            // Stops any send loop without reporting, since the chat is going away too
+            if (this.isActive(transfer)) transfer.state = 'cancelled';
+            if (transfer.url) URL.revokeObjectURL(transfer.url);
+        }
+        this.transfers.clear();
+        this.channels.clear();
+    }
+
+    sendControl(clientId, message) {
+        const channel = this.channels.get(clientId);
+        if (channel?.readyState !== 'open') return false;
+        channel.send(JSON.stringify(message));
+        return true;
+    }
+
+    handleControl(clientId, message) {
+        const transfer = this.transfers.get(message.transferId);
+
+        switch (message.type) {
+            case 'offer':
+                // A peer picks the ID, so it must not land on one of ours or any other transfer
+                if (typeof message.transferId !== 'string' || !FileTransferManager.TRANSFER_ID_PATTERN.test(message.transferId) ||
+                    transfer) break;
+                // Received chunks are held in memory until the file is complete, so the size limit applies this way too
+                if (!Number.isSafeInteger(message.size) || message.size < 0 || message.size > FileTransferManager.MAX_FILE_SIZE) break;
+                this.transfers.set(message.transferId, {
+                    id: message.transferId,
+                    clientId: clientId,
+                    direction: 'receive',
+                    name: String(message.name),
+                    size: message.size,
+                    mime: String(message.mime),
+                    sha256: String(message.sha256),
+                    bytes: 0,
+                    state: 'offered',
+                    error: null,
+                    url: null,
+                    chunks: null
+                });
+                this.notify(this.transfers.get(message.transferId), true);
+                break;
+
+            case 'accept':
+                if (transfer?.state === 'waiting' && transfer.clientId === clientId) {
+                    this.setState(transfer, 'transferring');
+                    this.pump(transfer);
+                }
+                break;
+
+            case 'decline':
+                if (transfer?.state === 'waiting' && transfer.clientId === clientId) {
+                    this.setState(transfer, 'declined');
+                }
+                break;
+
+            case 'cancel':
+                if (transfer && transfer.clientId === clientId && this.isActive(transfer)) {
+                    transfer.chunks = null;
+                    this.setState(transfer, 'cancelled');
+                }
+                break;
+
+            case 'complete':
+                if (transfer?.state === 'transferring' && transfer.direction === 'receive' && transfer.clientId === clientId) {
+                    this.verify(transfer);
+                }
+                break;
+
+            case 'result':
+                if (transfer?.direction === 'send' && transfer.clientId === clientId && this.isActive(transfer)) {
+                    this.setState(transfer, message.ok ? 'done' : 'failed', message.ok ? null : 'Checksum mismatch');
+                }
+                break;
+        }
+    }
+
+    handleChunk(clientId, buffer) {
+        // Too short to hold a transfer ID
+        if (buffer.byteLength < 16) return;
+        const transferId = this.bytesToHex(new Uint8Array(buffer, 0, 16));
+        const transfer = this.transfers.get(transferId);
+        if (transfer?.state !== 'transferring' || transfer.direction !== 'receive' || transfer.clientId !== clientId) return;
+
+        const chunk = buffer.slice(16);
+        transfer.chunks.push(chunk);
+        transfer.bytes += chunk.byteLength;
+
+        if (transfer.bytes > transfer.size) {
+            this.cancel(transfer.id);
+            return;
+        }
+        this.notify(transfer);
+    }
+
+    async pump(transfer) {
+        const channel = this.channels.get(transfer.clientId);
+        const header = this.hexToBytes(transfer.id);
+
+        for (let offset = 0; offset < transfer.size; offset += FileTransferManager.CHUNK_SIZE) {
+            if (transfer.state !== 'transferring') return;
+            if (channel.readyState !== 'open') {
+                this.setState(transfer, 'failed', 'Connection closed');
+                return;
+            }
+
+            // Backpressure: let the channel drain instead of buffering the whole file
+            if (channel.bufferedAmount > FileTransferManager.BUFFER_HIGH) {
+                await new Promise(resolve => {
+                    channel.addEventListener('bufferedamountlow', resolve, { once: true });
+                });
+                if (transfer.state !== 'transferring') return;
+            }
+
+            const chunk = await transfer.file.slice(offset, offset + FileTransferManager.CHUNK_SIZE).arrayBuffer();
+            const frame = new Uint8Array(header.byteLength + chunk.byteLength);
+            frame.set(header, 0);
+            frame.set(new Uint8Array(chunk), header.byteLength);
+            channel.send(frame.buffer);
+
+            transfer.bytes = offset + chunk.byteLength;
+            this.notify(transfer);
+        }
+
+        // The receiver's checksum result moves us to done or failed
+        this.setState(transfer, 'verifying');
+        this.sendControl(transfer.clientId, { type: 'complete', transferId: transfer.id });
+    }
+
+    async verify(transfer) {
+        this.setState(transfer, 'verifying');
+        const blob = new Blob(transfer.chunks, { type: transfer.mime });
+        transfer.chunks = null;
+
+        const ok = blob.size === transfer.size &&
+            await this.hash(await blob.arrayBuffer()) === transfer.sha256;
+        if (ok) {
+            transfer.url = URL.createObjectURL(blob);
+        }
+        this.setState(transfer, ok ? 'done' : 'failed', ok ? null : 'Checksum mismatch');
+        this.sendControl(transfer.clientId, { type: 'result', transferId: transfer.id, ok: ok });
+    }
+
+    setState(transfer, state, error = null) {
+        transfer.state = state;
+        transfer.error = error;
+        this.notify(transfer, true);
+    }
+
+    notify(transfer, force = false) {
+        // Progress is reported at most ten times a second; state changes always
+        const now = Date.now();
+        if (!force && now - (transfer.notifiedAt || 0) < 100) return;
+        transfer.notifiedAt = now;
+        this.onUpdate(transfer);
+    }
+
+    async hash(buffer) {
+        const digest = await crypto.subtle.digest('SHA-256', buffer);
+        return this.bytesToHex(new Uint8Array(digest));
+    }
+
+    generateTransferId() {
+        return this.bytesToHex(crypto.getRandomValues(new Uint8Array(16)));
+    }
+
+    bytesToHex(bytes) {
+        return [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    hexToBytes(hex) {
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+}
@@ -1,202 +1,1766 @@
-import asyncio
-import json
-import uuid
-from datetime import datetime
-from fastapi import FastAPI, WebSocket, WebSocketDisconnect, Request
-from fastapi.responses import HTMLResponse, FileResponse
-from fastapi.staticfiles import StaticFiles
-from fastapi.templating import Jinja2Templates
-from typing import Dict, List
-
-app = FastAPI(title="Video Chat App")
-
-# Serve static files
-app.mount("/static", StaticFiles(directory="static"), name="static")
-templates = Jinja2Templates(directory="templates")
-
-# Connection management
-class ConnectionManager:
-    def __init__(self):
-        # Store active connections: {room_id: {client_id: websocket}}
-        self.active_rooms: Dict[str, Dict[str, WebSocket]] = {}
-        # Store client info: {client_id: {"room": room_id, "name": username}}
-        self.client_info: Dict[str, Dict] = {}
-    
-    async def connect(self, websocket: WebSocket, client_id: str, room_id: str, username: str):
-        await websocket.accept()
-        
-        # Initialize room if not exists
-        if room_id not in self.active_rooms:
-            self.active_rooms[room_id] = {}
-        
-        # Store connection
-        self.active_rooms[room_id][client_id] = websocket
-        self.client_info[client_id] = {
-            "room": room_id,
-            "name": username,
-            "joined_at": datetime.now().isoformat()
-        }
-        
-        # Notify others in room
-        await self.broadcast_to_room(room_id, {
-            "type": "user_joined",
-            "client_id": client_id,
-            "username": username,
-            "timestamp": datetime.now().isoformat()
-        }, exclude_client_id=client_id)
-        
-        # Send room info to new user
-        room_clients = list(self.active_rooms[room_id].keys())
-        existing_users = [
-            {
-                "client_id": cid,
-                "username": self.client_info[cid]["name"]
-            }
-            for cid in room_clients if cid != client_id
-        ]
-        
-        await websocket.send_json({
-            "type": "room_joined",
-            "room_id": room_id,
-            "client_id": client_id,
-            "existing_users": existing_users,
-            "timestamp": datetime.now().isoformat()
-        })
-    
-    async def disconnect(self, client_id: str):
-        if client_id in self.client_info:
-            room_id = self.client_info[client_id]["room"]
-            
-            # Remove from room
-            if room_id in self.active_rooms and client_id in self.active_rooms[room_id]:
-                del self.active_rooms[room_id][client_id]
-                
-                # Notify others
-                await self.broadcast_to_room(room_id, {
-                    "type": "user_left",
-                    "client_id": client_id,
-                    "username": self.client_info[client_id]["name"],
-                    "timestamp": datetime.now().isoformat()
-                })
-                
-                # Clean up empty room
-                if not self.active_rooms[room_id]:
-                    del self.active_rooms[room_id]
-            
-            # Remove client info
-            del self.client_info[client_id]
-    
-    async def send_to_client(self, client_id: str, message: dict):
-        if client_id in self.client_info:
-            room_id = self.client_info[client_id]["room"]
-            if room_id in self.active_rooms and client_id in self.active_rooms[room_id]:
-                websocket = self.active_rooms[room_id][client_id]
-                await websocket.send_json(message)
-    
-    async def broadcast_to_room(self, room_id: str, message: dict, exclude_client_id: str = None):
-        if room_id in self.active_rooms:
-            for client_id, websocket in self.active_rooms[room_id].items():
-                if client_id != exclude_client_id:
-                    await websocket.send_json(message)
-    
-    async def relay_message(self, from_client_id: str, to_client_id: str, message: dict):
-        """Relay a message from one client to another"""
-        if (to_client_id in self.client_info and 
-            from_client_id in self.client_info):
-            
-            # Verify they're in the same room
-            if (self.client_info[from_client_id]["room"] == 
-                self.client_info[to_client_id]["room"]):
-                
-                await self.send_to_client(to_client_id, {
-                    **message,
-                    "from": from_client_id
-                })
-
-manager = ConnectionManager()
-
-@app.get("/")
-async def get_root(request: Request):
-    """Serve the main page"""
-    return templates.TemplateResponse("index.html", {"request": request})
-
-@app.get("/health")
-async def health_check():
-    """Health check endpoint"""
-    return {"status": "ok", "timestamp": datetime.now().isoformat()}
-
-@app.websocket("/ws/{client_id}")
-async def websocket_endpoint(websocket: WebSocket, client_id: str):
-    """WebSocket endpoint for signaling"""
-    try:
-        # First message should be join information
-        data = await websocket.receive_json()
-        
-        if data["type"] == "join":
-            room_id = data.get("room_id", "default")
-            username = data.get("username", f"User_{client_id[:6]}")
-            
-            # Connect to room
-            await manager.connect(websocket, client_id, room_id, username)
-            
-            # Handle subsequent messages
-            while True:
-                data = await websocket.receive_json()
-                message_type = data.get("type")
-                
-                if message_type == "signal":
-                    # Relay WebRTC signaling messages
-                    to_client_id = data.get("to")
-                    if to_client_id:
-                        await manager.relay_message(client_id, to_client_id, {
-                            "type": "signal",
-                            "signal": data.get("signal"),
-                            "signal_type": data.get("signal_type")  # offer, answer, candidate
-                        })
-                
-                elif message_type == "chat":
-                    # Broadcast chat messages
-                    room_id = manager.client_info[client_id]["room"]
-                    await manager.broadcast_to_room(room_id, {
-                        "type": "chat",
-                        "from": client_id,
-                        "username": manager.client_info[client_id]["name"],
-                        "message": data.get("message"),
-                        "timestamp": datetime.now().isoformat()
-                    })
-                
-                elif message_type == "ping":
-                    # Respond to ping
-                    await websocket.send_json({
-                        "type": "pong",
-                        "timestamp": datetime.now().isoformat()
-                    })
-    
-    except WebSocketDisconnect:
-        await manager.disconnect(client_id)
-    except Exception as e:
-        print(f"WebSocket error: {e}")
-        await manager.disconnect(client_id)
-
-@app.get("/api/rooms")
-async def list_rooms():
-    """List all active rooms (for monitoring)"""
-    rooms_info = {}
-    for room_id, clients in manager.active_rooms.items():
-        rooms_info[room_id] = {
-            "user_count": len(clients),
-            "users": [
-                {
-                    "client_id": cid,
-                    "username": manager.client_info[cid]["name"]
-                }
-                for cid in clients.keys()
-            ]
-        }
-    return rooms_info
-
-if __name__ == "__main__":
-    import uvicorn
-    print("Starting Video Chat Server...")
-    print("Open http://localhost:8000 in your browser")
+import asyncio
+import base64
+import hashlib
+import hmac
+import json
+import math
+import os
+import re
+import secrets
+import time
+import uuid
+from datetime import datetime, timedelta, timezone
+from fastapi import FastAPI, HTTPException, WebSocket, WebSocketDisconnect, Request
+from fastapi.middleware.cors import CORSMiddleware
+from fastapi.responses import HTMLResponse, FileResponse, Response
+from fastapi.staticfiles import StaticFiles
+from fastapi.templating import Jinja2Templates
+from typing import Callable, Dict, List, Optional
+
+from broker import MemoryBroker, RedisBroker
+from chat_store import CHAT_SCHEMA_VERSION, MemoryChatStore, SQLiteChatStore, new_message, visible_to
+from meeting_store import MeetingStore
+from sfu import SFU_AVAILABLE, MediaForwarder
+
+app = FastAPI(title="Video Chat App")
+
+# Serve static files
+app.mount("/static", StaticFiles(directory="static"), name="static")
+templates = Jinja2Templates(directory="templates")
+
+# How long a dropped client's slot is held for a session resume
+SESSION_GRACE_SECONDS = 30
+
+# Signs the room tickets a browser keeps between visits, so a removed participant stays out even
+# with a new client ID. Random per process by default; set it when running several workers.
+TICKET_SECRET = os.environ.get("TICKET_SECRET", "").encode() or secrets.token_bytes(32)
+
+# ICE configuration, read from the environment
+# ICE_MODE: "default" uses STUN/TURN below, "offline" uses host candidates only (LAN)
+ICE_MODE = os.environ.get("ICE_MODE", "default")
+STUN_URLS = [url for url in os.environ.get(
+    "STUN_URLS",
+    "stun:stun.l.google.com:19302,stun:stun1.l.google.com:19302,stun:stun2.l.google.com:19302"
+).split(",") if url]
+TURN_URLS = [url for url in os.environ.get("TURN_URLS", "").split(",") if url]
+# Shared secret with coturn's static-auth-secret (use-auth-secret REST API)
+TURN_SECRET = os.environ.get("TURN_SECRET", "")
+TURN_CREDENTIAL_TTL = int(os.environ.get("TURN_CREDENTIAL_TTL", "3600"))
+
+# Chat history: CHAT_STORE is "memory" (default) or "sqlite" (kept in CHAT_DB_PATH across restarts)
+CHAT_STORE = os.environ.get("CHAT_STORE", "memory")
+CHAT_DB_PATH = os.environ.get("CHAT_DB_PATH", "chat_history.db")
+CHAT_HISTORY_LIMIT = int(os.environ.get("CHAT_HISTORY_LIMIT", "500"))  # kept per room
+CHAT_BACKFILL_COUNT = 50  # sent with room_joined, and the most per chat_history page
+MAX_REACTION_LENGTH = 8  # an emoji, including modifiers and joiners
+
+# Reactions that float over a participant's tile
+TILE_REACTIONS = {"👍", "👏", "❤️", "😂", "😮", "🎉"}
+TILE_REACTION_COOLDOWN_SECONDS = 0.5  # per client, so nobody floods the room
+
+# Live captions, transcribed in each speaker's browser; final ones make up the room's transcript,
+# which is kept while the room is open so late joiners get what they missed
+TRANSCRIPT_LIMIT = int(os.environ.get("TRANSCRIPT_LIMIT", "1000"))  # final captions kept per room
+MAX_CAPTION_DURATION_MS = 60000  # the longest a single caption segment can have been spoken for
+# Worker script of a local speech recognition engine (see captions.js), e.g. /static/vosk-captions.js.
+# Browsers without Web Speech caption with it, and so does everyone in an end-to-end encrypted room,
+# where the browser's own recognition would send their voice off the device. Served from this origin.
+CAPTION_ENGINE_URL = os.environ.get("CAPTION_ENGINE_URL", "")
+
+# Scheduled meetings, kept in a SQLite file across restarts
+MEETINGS_DB_PATH = os.environ.get("MEETINGS_DB_PATH", "meetings.db")
+MAX_MEETING_TITLE_LENGTH = 200
+MAX_MEETING_DURATION = timedelta(hours=24)
+UPCOMING_MEETINGS_LIMIT = 20  # listed on the join screen
+
+# Anonymous end-of-call quality summaries, one JSON object per line
+CALL_SUMMARY_PATH = os.environ.get("CALL_SUMMARY_PATH", "call_summaries.jsonl")
+CALL_SUMMARY_MAX_CONNECTIONS = 50
+CALL_SUMMARY_MAX_BODY = 64 * 1024  # bytes in one request; 50 connections need far less
+CALL_SUMMARY_MAX_FILE_BYTES = int(os.environ.get("CALL_SUMMARY_MAX_FILE_BYTES", str(50 * 1024 * 1024)))  # then new ones are refused
+CALL_SUMMARY_COOLDOWN_SECONDS = 10  # per address; a client sends one as it leaves a call
+CANDIDATE_TYPES = {"host", "srflx", "prflx", "relay"}
+
+# Rooms with more members than this switch from mesh to the built-in SFU (needs aiortc).
+# 0 keeps every room mesh. Once switched, a room stays SFU until it empties.
+# To try it locally: pip install aiortc, then run with SFU_THRESHOLD=2.
+SFU_THRESHOLD = int(os.environ.get("SFU_THRESHOLD", "0"))
+SFU_PEER_ID = "sfu"  # how clients address the media server; reserved as a client ID
+
+# Other sites allowed to use the app: frame it, or call the API from video-chat-client.js.
+# A comma-separated list of origins, e.g. https://intranet.example.com. Encrypted media and
+# captions run in workers and worklets, which browsers only load from the page's own origin,
+# so a site using the client SDK directly should serve the .js files itself.
+EMBED_ORIGINS = [origin.strip().rstrip("/") for origin in os.environ.get("EMBED_ORIGINS", "").split(",") if origin.strip()]
+
+# Pub/sub between uvicorn workers: BROKER is "memory" (a single worker, default) or "redis"
+# (any number of workers sharing REDIS_URL). Membership, signaling, broadcasts, the room list,
+# room settings (host, password, lock, lobby and bans), raised hands and transcripts are then
+# cluster-wide, and lobby guests wait on whichever worker they reached. The SFU stays with the
+# worker each client is connected to, and chat needs CHAT_STORE=sqlite for message IDs to match
+# across workers.
+# To try it locally: pip install redis, start redis-server, check the broker with
+# BROKER=redis python check_broker.py, then run BROKER=redis uvicorn main:app --workers 2.
+BROKER = os.environ.get("BROKER", "memory")
+REDIS_URL = os.environ.get("REDIS_URL", "redis://localhost:6379/0")
+PRESENCE_HEARTBEAT_SECONDS = int(os.environ.get("PRESENCE_HEARTBEAT_SECONDS", "5"))
+PRESENCE_TTL_SECONDS = PRESENCE_HEARTBEAT_SECONDS * 3  # a worker silent this long is presumed dead
+WORKER_ID = uuid.uuid4().hex[:12]
+
+# Video quality a viewer can ask a sender for, depending on how big the tile is
+VIDEO_LAYERS = {"high", "medium", "low", "off"}
+
+# Media state every participant shares with the room
+DEFAULT_MEDIA_STATE = {"audio": True, "video": True, "screen": False, "recording": False, "e2ee": False}
+MAX_PRESENTATION_TRACKS = 2  # screen video plus tab or system audio
+
+# Limits on what clients send, checked against MESSAGE_SCHEMA before anything is relayed or stored
+MAX_FRAME_LENGTH = 256 * 1024  # characters in one WebSocket frame; SDP for many tracks is the largest
+ROOM_ID_PATTERN = re.compile(r"[\w \-]{1,64}")  # letters, digits, spaces, - and _
+CLIENT_ID_PATTERN = re.compile(r"[\w\-]{1,64}")
+MAX_USERNAME_LENGTH = 40
+MAX_PASSWORD_LENGTH = 200
+MAX_CHAT_LENGTH = 12000  # 2000 typed characters still fit once end-to-end encrypted
+MAX_CAPTION_LENGTH = 4000  # 500 spoken characters, likewise
+MAX_SDP_LENGTH = 128 * 1024
+MAX_CANDIDATE_LENGTH = 1024
+
+# Connection management
+class ConnectionManager:
+    def __init__(self):
+        # Connections held by this worker: {room_id: {client_id: websocket}}
+        self.active_rooms: Dict[str, Dict[str, WebSocket]] = {}
+        # Info on this worker's clients: {client_id: {"room": room_id, "name": username}}
+        self.client_info: Dict[str, Dict] = {}
+        # Pending slot expiries for dropped clients: {client_id: task}
+        self.grace_tasks: Dict[str, asyncio.Task] = {}
+        # Clients on this worker waiting for the host to admit them: {client_id: {"room", "name", "websocket", "state"}}
+        self.lobby_guests: Dict[str, Dict] = {}
+        # "mesh" (peer to peer) or "sfu" (through self.forwarder) for this worker's rooms: {room_id: topology}
+        self.topologies: Dict[str, str] = {}
+        # Bounded per-room chat log
+        if CHAT_STORE == "sqlite":
+            self.chat_store = SQLiteChatStore(CHAT_DB_PATH, CHAT_HISTORY_LIMIT)
+        else:
+            self.chat_store = MemoryChatStore(CHAT_HISTORY_LIMIT)
+        # Meetings booked ahead, whose rooms open with the settings they were booked with
+        self.meetings = MeetingStore(MEETINGS_DB_PATH)
+        # Media server for rooms above SFU_THRESHOLD, when enabled
+        self.forwarder = MediaForwarder(self.send_to_client, STUN_URLS) if SFU_AVAILABLE and SFU_THRESHOLD > 0 else None
+        # Cluster-wide membership and room messages, shared with the other workers
+        if BROKER == "redis":
+            self.broker = RedisBroker(WORKER_ID, REDIS_URL, heartbeat_seconds=PRESENCE_HEARTBEAT_SECONDS,
+                                      heartbeat_ttl=PRESENCE_TTL_SECONDS)
+        else:
+            self.broker = MemoryBroker(WORKER_ID)
+    
+    @staticmethod
+    async def hash_password(password: str, salt: bytes) -> bytes:
+        # Deliberately slow, so it runs off the event loop rather than stalling every socket on this worker
+        return await asyncio.to_thread(hashlib.pbkdf2_hmac, "sha256", password.encode(), salt, 100_000)
+    
+    @classmethod
+    async def password_matches(cls, holder: Dict, password: str) -> bool:
+        """Check a password against the salt and hash of a room or meeting; no hash means no password"""
+        if not holder["password_hash"]:
+            return True
+        if not password:
+            return False
+        return hmac.compare_digest(
+            await cls.hash_password(password, holder["password_salt"]),
+            holder["password_hash"]
+        )
+    
+    @staticmethod
+    def sign_ticket(room_id: str, ticket_id: str) -> str:
+        signature = hmac.new(TICKET_SECRET, f"{room_id}:{ticket_id}".encode(), hashlib.sha256).hexdigest()
+        return f"{ticket_id}.{signature}"
+    
+    @classmethod
+    def read_ticket(cls, room_id: str, ticket: str = None) -> Optional[str]:
+        """The ticket ID of a room ticket we issued, or None for anything else"""
+        ticket_id = (ticket or "").split(".")[0]
+        if not ticket_id or not hmac.compare_digest(cls.sign_ticket(room_id, ticket_id).encode(), ticket.encode()):
+            return None
+        return ticket_id
+    
+    async def get_settings(self, room_id: str) -> Optional[Dict]:
+        """A room's settings, shared by every worker through the broker; None if the room isn't open"""
+        settings = await self.broker.get_room(room_id)
+        if settings:
+            # Kept as hex so they travel as JSON
+            for key in ("password_salt", "password_hash"):
+                settings[key] = bytes.fromhex(settings[key]) if settings[key] else None
+        return settings
+    
+    async def open_room(self, room_id: str, host_id: str, meeting: Dict = None) -> bool:
+        """Create a room with host_id as its host. Returns False if it is already open, on any worker."""
+        settings = {
+            "host": host_id,
+            "password_salt": None,
+            "password_hash": None,
+            "locked": False,
+            "lobby": False,
+            "private": False,
+            # Whether several people may share their screen at once
+            "multiple_presenters": False
+        }
+        # A scheduled meeting's room opens the way it was booked
+        if meeting:
+            settings.update(meeting["settings"])
+            settings["password_salt"] = meeting["password_salt"].hex() if meeting["password_salt"] else None
+            settings["password_hash"] = meeting["password_hash"].hex() if meeting["password_hash"] else None
+        return await self.broker.create_room(room_id, settings)
+    
+    def public_settings(self, room_id: str, settings: Dict = None) -> Dict:
+        """Room settings as participants see them (never the password itself)"""
+        if not settings:
+            return {}
+        return {
+            "host": settings["host"],
+            "has_password": bool(settings["password_hash"]),
+            "locked": settings["locked"],
+            "lobby": settings["lobby"],
+            "private": settings["private"],
+            "topology": self.topologies.get(room_id, "mesh"),
+            "multiple_presenters": settings["multiple_presenters"]
+        }
+    
+    async def is_host(self, client_id: str) -> bool:
+        info = self.client_info.get(client_id)
+        if not info:
+            return False
+        settings = await self.broker.get_room(info["room"])
+        return bool(settings) and settings["host"] == client_id
+    
+    async def request_join(self, websocket: WebSocket, client_id: str, room_id: str, username: str,
+                           state: dict = None, password: str = None, ticket: str = None, host_key: str = None) -> bool:
+        """Apply the room's access rules to a join. Returns False if the client was turned away."""
+        settings = await self.get_settings(room_id)
+        meeting = self.meetings.by_room(room_id)
+        reason = None
+        # Browsers without a ticket for this room (yet) get a new one with the join
+        ticket_id = self.read_ticket(room_id, ticket) or secrets.token_urlsafe(16)
+        
+        # Whoever booked a meeting hosts it, however many joined before them
+        if meeting and not meeting["cancelled_at"] and host_key_matches(meeting, host_key):
+            opened = await self.open_room(room_id, client_id, meeting)
+            settings = settings if opened else await self.broker.update_room(room_id, {"host": client_id})
+            if opened or settings:
+                await self.connect(websocket, client_id, room_id, username, state, ticket_id)
+                if not opened:
+                    await self.announce_host(room_id, settings)
+                return True
+        
+        # First joiner opens the room and becomes its host. A scheduled meeting's password applies to them too.
+        if not settings:
+            if meeting and meeting["cancelled_at"]:
+                reason = "meeting_cancelled"
+            elif meeting and not await self.password_matches(meeting, password):
+                reason = "wrong_password" if password else "password_required"
+            elif await self.open_room(room_id, client_id, meeting):
+                await self.connect(websocket, client_id, room_id, username, state, ticket_id)
+                return True
+            else:
+                # Someone else opened it first, maybe through another worker, so the room's rules apply
+                settings = await self.get_settings(room_id)
+                if not settings:
+                    reason = "room_closed"
+        
+        if settings:
+            if await self.broker.is_banned(room_id, f"client:{client_id}", f"ticket:{ticket_id}"):
+                reason = "banned"
+            elif not await self.password_matches(settings, password):
+                reason = "wrong_password" if password else "password_required"
+            elif settings["locked"]:
+                reason = "locked"
+        
+        if reason:
+            await websocket.send_json({
+                "type": "join_rejected",
+                "reason": reason,
+                "timestamp": datetime.now().isoformat()
+            })
+            return False
+        
+        if settings["lobby"]:
+            self.lobby_guests[client_id] = {
+                "room": room_id,
+                "name": username,
+                "websocket": websocket,
+                "state": state,
+                "ticket_id": ticket_id
+            }
+            await websocket.send_json({
+                "type": "lobby_waiting",
+                "room_id": room_id,
+                "timestamp": datetime.now().isoformat()
+            })
+            await self.send_to_member(room_id, settings["host"], {
+                "type": "lobby_request",
+                "client_id": client_id,
+                "username": username,
+                "timestamp": datetime.now().isoformat()
+            })
+            return True
+        
+        await self.connect(websocket, client_id, room_id, username, state, ticket_id)
+        return True
+    
+    async def admit_guest(self, host_id: str, guest_id: str, admit: bool):
+        """Host decision on a lobby guest, who may be waiting on another worker"""
+        if not await self.is_host(host_id):
+            return
+        await self.settle_lobby(self.client_info[host_id]["room"], guest_id, admit)
+    
+    async def settle_lobby(self, room_id: str, guest_id: str = None, admit: bool = True, reason: str = "rejected"):
+        """Let in or turn away a room's lobby guest, or all of them when guest_id is None, on every worker"""
+        waiting_here = guest_id in self.lobby_guests
+        await self.decide_lobby(room_id, guest_id, admit, reason)
+        if not waiting_here:
+            await self.broker.publish(room_id, {
+                "worker": WORKER_ID,
+                "lobby": "admit" if admit else "reject",
+                "guest": guest_id,
+                "reason": reason
+            })
+    
+    async def decide_lobby(self, room_id: str, guest_id: str = None, admit: bool = True, reason: str = "rejected"):
+        """settle_lobby for the guests waiting on this worker"""
+        for waiting_id, guest in list(self.lobby_guests.items()):
+            if guest["room"] != room_id or guest_id not in (None, waiting_id):
+                continue
+            del self.lobby_guests[waiting_id]
+            if admit:
+                await self.connect(guest["websocket"], waiting_id, room_id, guest["name"], guest["state"],
+                                   guest["ticket_id"])
+            else:
+                await guest["websocket"].send_json({
+                    "type": "join_rejected",
+                    "reason": reason,
+                    "timestamp": datetime.now().isoformat()
+                })
+                await guest["websocket"].close()
+    
+    async def announce_lobby(self, room_id: str, host_id: str):
+        """Show a new host who is waiting on this worker"""
+        for guest_id, guest in self.lobby_guests.items():
+            if guest["room"] == room_id:
+                await self.send_to_member(room_id, host_id, {
+                    "type": "lobby_request",
+                    "client_id": guest_id,
+                    "username": guest["name"],
+                    "timestamp": datetime.now().isoformat()
+                })
+    
+    async def leave_lobby(self, client_id: str):
+        guest = self.lobby_guests.pop(client_id, None)
+        settings = await self.broker.get_room(guest["room"]) if guest else None
+        if settings:
+            await self.send_to_member(guest["room"], settings["host"], {
+                "type": "lobby_cancelled",
+                "client_id": client_id,
+                "timestamp": datetime.now().isoformat()
+            })
+    
+    async def update_room_settings(self, client_id: str, update: dict):
+        """Host-only changes to password, lock, lobby, visibility and the presenter limit"""
+        if not await self.is_host(client_id):
+            await self.send_to_client(client_id, {
+                "type": "error",
+                "code": "not_host",
+                "message": "Only the host can change room settings"
+            })
+            return
+        
+        room_id = self.client_info[client_id]["room"]
+        changes = {key: update[key] for key in ("locked", "lobby", "private", "multiple_presenters")
+                   if isinstance(update.get(key), bool)}
+        
+        if "password" in update:
+            password = update["password"]
+            if password:
+                salt = secrets.token_bytes(16)
+                changes["password_salt"] = salt.hex()
+                changes["password_hash"] = (await self.hash_password(str(password), salt)).hex()
+            else:
+                changes["password_salt"] = None
+                changes["password_hash"] = None
+        
+        settings = await self.broker.update_room(room_id, changes)
+        if not settings:
+            return
+        
+        # Turning the lobby off lets everyone waiting straight in
+        if not settings["lobby"]:
+            await self.settle_lobby(room_id, None, True)
+        
+        await self.broadcast_to_room(room_id, {
+            "type": "room_settings",
+            "settings": self.public_settings(room_id, settings),
+            "timestamp": datetime.now().isoformat()
+        })
+    
+    async def authorize_moderation(self, host_id: str, target_id: str = None) -> bool:
+        """Moderation is only for the room's host, and only against someone in the same room"""
+        if not await self.is_host(host_id):
+            await self.send_to_client(host_id, {
+                "type": "error",
+                "code": "not_host",
+                "message": "Only the host can moderate this room"
+            })
+            return False
+        if target_id is None:
+            return True
+        # The target may be connected to another worker
+        return target_id != host_id and await self.broker.is_member(self.client_info[host_id]["room"], target_id)
+    
+    async def request_mute(self, host_id: str, target_id: str, kind: str):
+        """Ask a participant to turn off their mic ("audio") or camera ("video")"""
+        if kind not in ("audio", "video") or not await self.authorize_moderation(host_id, target_id):
+            return
+        await self.send_to_member(self.client_info[host_id]["room"], target_id, {
+            "type": "mute_request",
+            "kind": kind,
+            "by": self.client_info[host_id]["name"],
+            "timestamp": datetime.now().isoformat()
+        })
+    
+    async def set_hand(self, client_id: str, raised: bool):
+        """Raise a hand to the back of the room's queue, or take it down"""
+        info = self.client_info.get(client_id)
+        if info and await self.broker.set_hand(info["room"], client_id, raised):
+            await self.broadcast_hand_queue(info["room"])
+    
+    async def lower_hand(self, host_id: str, target_id: str):
+        """Host takes down someone else's hand"""
+        if not await self.authorize_moderation(host_id, target_id):
+            return
+        room_id = self.client_info[host_id]["room"]
+        if await self.broker.set_hand(room_id, target_id, False):
+            await self.broadcast_hand_queue(room_id)
+    
+    async def call_next_hand(self, host_id: str):
+        """Host gives the floor to whoever has waited longest"""
+        if not await self.authorize_moderation(host_id):
+            return
+        room_id = self.client_info[host_id]["room"]
+        called_id = await self.broker.pop_hand(room_id)
+        if called_id is None:
+            return
+        
+        called = (await self.broker.get_members(room_id)).get(called_id, {})
+        await self.broadcast_to_room(room_id, {
+            "type": "hand_called",
+            "client_id": called_id,
+            "username": called.get("username"),
+            "by": self.client_info[host_id]["name"],
+            "timestamp": datetime.now().isoformat()
+        })
+        await self.broadcast_hand_queue(room_id)
+    
+    async def broadcast_hand_queue(self, room_id: str):
+        await self.broadcast_to_room(room_id, {
+            "type": "hand_queue",
+            "queue": await self.broker.get_hands(room_id),
+            "timestamp": datetime.now().isoformat()
+        })
+    
+    async def send_tile_reaction(self, client_id: str, emoji: str):
+        """Float a reaction over a participant's tile for everyone in the room"""
+        info = self.client_info.get(client_id)
+        if not info or emoji not in TILE_REACTIONS:
+            return
+        now = datetime.now()
+        last = info.get("last_reaction_at")
+        if last and (now - last).total_seconds() < TILE_REACTION_COOLDOWN_SECONDS:
+            return
+        
+        info["last_reaction_at"] = now
+        await self.broadcast_to_room(info["room"], {
+            "type": "reaction",
+            "client_id": client_id,
+            "emoji": emoji,
+            "timestamp": now.isoformat()
+        })
+    
+    async def remove_participant(self, host_id: str, target_id: str):
+        """Kick a participant and keep them out for the rest of the session"""
+        if not await self.authorize_moderation(host_id, target_id):
+            return
+        room_id = self.client_info[host_id]["room"]
+        by = self.client_info[host_id]["name"]
+        if self.client_info.get(target_id, {}).get("room") == room_id:
+            await self.expel(room_id, target_id, by)
+        else:
+            # Only the worker holding them knows their room ticket
+            await self.broker.publish(room_id, {"worker": WORKER_ID, "remove": target_id, "by": by})
+    
+    async def expel(self, room_id: str, client_id: str, by: str):
+        """remove_participant for a client on this worker"""
+        # The client ID is the removed client's own choice, so their room ticket is banned as well
+        await self.broker.add_ban(room_id, f"client:{client_id}", f"ticket:{self.client_info[client_id]['ticket_id']}")
+        
+        websocket = self.active_rooms[room_id].get(client_id)
+        await self.send_to_client(client_id, {
+            "type": "removed",
+            "by": by,
+            "timestamp": datetime.now().isoformat()
+        })
+        await self.remove_client(client_id)
+        if websocket is not None:
+            await websocket.close()
+    
+    async def end_meeting(self, host_id: str) -> bool:
+        """Disconnect everyone in the host's room and close it"""
+        if not await self.authorize_moderation(host_id):
+            return False
+        room_id = self.client_info[host_id]["room"]
+        
+        await self.broadcast_to_room(room_id, {
+            "type": "meeting_ended",
+            "by": self.client_info[host_id]["name"],
+            "timestamp": datetime.now().isoformat()
+        })
+        # Every worker closes its own sockets in the room
+        await self.broker.publish(room_id, {"worker": WORKER_ID, "end": True})
+        await self.end_local_meeting(room_id)
+        return True
+    
+    async def end_local_meeting(self, room_id: str):
+        """end_meeting for the members and lobby guests on this worker"""
+        await self.decide_lobby(room_id, None, False, "room_closed")
+        for client_id, websocket in list(self.active_rooms.get(room_id, {}).items()):
+            # Their SFU connection and grace period go with them
+            await self.remove_client(client_id)
+            if websocket is not None:
+                await websocket.close()
+    
+    async def send_caption(self, client_id: str, segment_id: str, text: str, final: bool, duration_ms: int):
+        """Show a caption of a participant's own speech to the room"""
+        info = self.client_info.get(client_id)
+        # Nothing said on a muted microphone reaches the room, so neither do its captions
+        if not info or not info["state"].get("audio"):
+            return
+        
+        end = datetime.now()
+        start = end - timedelta(milliseconds=min(max(duration_ms, 0), MAX_CAPTION_DURATION_MS))
+        caption = {
+            "type": "caption",
+            # Interim captions of a segment share the ID of the final one that replaces them
+            "id": f"{client_id}-{segment_id}",
+            "client_id": client_id,
+            "username": info["name"],
+            "text": text,
+            "final": final,
+            "start": start.isoformat(),
+            "end": end.isoformat(),
+            "timestamp": end.isoformat()
+        }
+        if final:
+            await self.broker.add_caption(info["room"], caption, TRANSCRIPT_LIMIT)
+        await self.broadcast_to_room(info["room"], caption)
+    
+    async def connect(self, websocket: WebSocket, client_id: str, room_id: str, username: str, state: dict = None,
+                      ticket_id: str = None):
+        # A fresh join replaces any session this client ID still holds
+        if client_id in self.client_info:
+            await self.remove_client(client_id)
+        
+        # Store connection; the room's settings were opened by request_join (or are reopened below)
+        self.active_rooms.setdefault(room_id, {})[client_id] = websocket
+        self.client_info[client_id] = {
+            "room": room_id,
+            "name": username,
+            "joined_at": datetime.now().isoformat(),
+            "session_token": secrets.token_urlsafe(32),
+            "ticket_id": ticket_id or secrets.token_urlsafe(16),
+            # Presenting starts with a screen_share request, never with the join
+            "state": self.merge_state(DEFAULT_MEDIA_STATE, {**(state or {}), "screen": False}),
+            "presentation": None
+        }
+        await self.publish_member(client_id)
+        # The room may have emptied and closed while this join was being checked; joining reopens it
+        if not await self.broker.get_room(room_id):
+            await self.open_room(room_id, client_id, self.meetings.by_room(room_id))
+        
+        # Existing members switch before they hear about the newcomer
+        await self.update_topology(room_id, exclude_client_id=client_id)
+        
+        # Notify others in room
+        await self.broadcast_to_room(room_id, {
+            "type": "user_joined",
+            **self.describe_client(client_id),
+            "timestamp": datetime.now().isoformat()
+        }, exclude_client_id=client_id)
+        
+        # Send room info to new user, with recent chat so late joiners can catch up
+        chat_history, chat_has_more = self.chat_store.history(room_id, CHAT_BACKFILL_COUNT, viewer=client_id)
+        await websocket.send_json({
+            "type": "room_joined",
+            "room_id": room_id,
+            "client_id": client_id,
+            "session_token": self.client_info[client_id]["session_token"],
+            "room_ticket": self.sign_ticket(room_id, self.client_info[client_id]["ticket_id"]),
+            "resume_grace_seconds": SESSION_GRACE_SECONDS,
+            "ice_config": make_ice_config(client_id),
+            "existing_users": await self.get_existing_users(room_id, client_id),
+            "settings": self.public_settings(room_id, await self.broker.get_room(room_id)),
+            "hand_queue": await self.broker.get_hands(room_id),
+            "chat_history": chat_history,
+            "chat_has_more": chat_has_more,
+            "chat_schema_version": CHAT_SCHEMA_VERSION,
+            "transcript": await self.broker.get_transcript(room_id),
+            "timestamp": datetime.now().isoformat()
+        })
+    
+    async def update_topology(self, room_id: str, exclude_client_id: str = None):
+        """Move a room that has outgrown mesh onto the SFU"""
+        members = self.active_rooms[room_id]
+        if not self.forwarder or self.topologies.get(room_id) == "sfu" or len(members) <= SFU_THRESHOLD:
+            return
+        # The forwarder re-encodes media, which end-to-end encrypted frames don't allow
+        if any(self.client_info[cid]["state"].get("e2ee") for cid in members):
+            return
+        
+        self.topologies[room_id] = "sfu"
+        await self.send_to_local_room(room_id, {
+            "type": "topology",
+            "topology": "sfu",
+            "timestamp": datetime.now().isoformat()
+        }, exclude_client_id=exclude_client_id)
+    
+    async def handle_sfu_signal(self, client_id: str, data: dict):
+        """Negotiation between a client and the media server"""
+        info = self.client_info.get(client_id)
+        if not self.forwarder or not info or self.topologies.get(info["room"]) != "sfu":
+            return
+        try:
+            await self.forwarder.handle_signal(client_id, info["room"], data.get("signal_type"), data.get("signal") or {})
+        except Exception as e:
+            print(f"SFU signaling error for {client_id}: {e}")
+    
+    async def get_existing_users(self, room_id: str, client_id: str) -> List[Dict]:
+        """Everyone else in the room, on any worker"""
+        members = await self.broker.get_members(room_id)
+        return [
+            {key: value for key, value in member.items() if key != "worker"}
+            for cid, member in members.items() if cid != client_id
+        ]
+    
+    async def publish_member(self, client_id: str):
+        """Share a client's roster entry with the other workers"""
+        await self.broker.set_member(self.client_info[client_id]["room"], client_id, self.describe_client(client_id))
+    
+    def describe_client(self, client_id: str) -> Dict:
+        """Roster entry for a client as other participants see it"""
+        info = self.client_info[client_id]
+        return {
+            "client_id": client_id,
+            "username": info["name"],
+            "joined_at": info["joined_at"],
+            "state": info["state"],
+            "presentation": info["presentation"]
+        }
+    
+    @staticmethod
+    def merge_state(current: dict, update: dict = None) -> dict:
+        """Apply known boolean media flags from a client, ignoring anything else"""
+        merged = dict(current)
+        for key, value in (update or {}).items():
+            if key in DEFAULT_MEDIA_STATE and isinstance(value, bool):
+                merged[key] = value
+        return merged
+    
+    async def set_recording(self, client_id: str, active: bool):
+        """Record who is recording and tell everyone, including late joiners via their roster"""
+        info = self.client_info.get(client_id)
+        if not info:
+            return
+        
+        info["state"] = self.merge_state(info["state"], {"recording": bool(active)})
+        await self.publish_member(client_id)
+        await self.broadcast_to_room(info["room"], {
+            "type": "recording",
+            "client_id": client_id,
+            "username": info["name"],
+            "active": info["state"]["recording"],
+            "timestamp": datetime.now().isoformat()
+        })
+    
+    async def set_screen_share(self, client_id: str, active: bool, presentation: dict = None):
+        """Start or stop a screen share, one presenter at a time unless the host allows more"""
+        info = self.client_info.get(client_id)
+        if not info:
+            return
+        room_id = info["room"]
+        if not active and not info["state"]["screen"]:
+            return
+        
+        if active:
+            presenters = [
+                member for cid, member in (await self.broker.get_members(room_id)).items()
+                if cid != client_id and member["state"].get("screen")
+            ]
+            settings = await self.broker.get_room(room_id) or {}
+            if presenters and not settings.get("multiple_presenters"):
+                await self.send_to_client(client_id, {
+                    "type": "screen_share_denied",
+                    "presenter": presenters[0]["username"],
+                    "timestamp": datetime.now().isoformat()
+                })
+                return
+        
+        info["state"] = self.merge_state(info["state"], {"screen": bool(active)})
+        info["presentation"] = clean_presentation(presentation) if active else None
+        await self.publish_member(client_id)
+        # The sharer hears back too: that is their go-ahead to add the tracks
+        await self.broadcast_to_room(room_id, {
+            "type": "screen_share",
+            "client_id": client_id,
+            "username": info["name"],
+            "active": info["state"]["screen"],
+            "presentation": info["presentation"],
+            "timestamp": datetime.now().isoformat()
+        })
+    
+    async def update_state(self, client_id: str, update: dict):
+        """Store a client's media state and relay it to the rest of the room"""
+        info = self.client_info.get(client_id)
+        if not info:
+            return
+        
+        # Screen sharing goes through set_screen_share, which enforces the presenter limit
+        update = {key: value for key, value in update.items() if key != "screen"}
+        info["state"] = self.merge_state(info["state"], update)
+        await self.publish_member(client_id)
+        await self.broadcast_to_room(info["room"], {
+            "type": "state_update",
+            "client_id": client_id,
+            "state": info["state"],
+            "timestamp": datetime.now().isoformat()
+        }, exclude_client_id=client_id)
+    
+    async def resume(self, websocket: WebSocket, client_id: str, session_token: str) -> bool:
+        """Reattach a dropped client to its held slot. Returns False if the session is gone."""
+        info = self.client_info.get(client_id)
+        if not info or not session_token or not secrets.compare_digest(info["session_token"], session_token):
+            return False
+        
+        grace_task = self.grace_tasks.pop(client_id, None)
+        if grace_task:
+            grace_task.cancel()
+        
+        room_id = info["room"]
+        self.active_rooms[room_id][client_id] = websocket
+        
+        # Chat sent while we were away; the client drops IDs it already has
+        chat_history, chat_has_more = self.chat_store.history(room_id, CHAT_BACKFILL_COUNT, viewer=client_id)
+        await websocket.send_json({
+            "type": "session_resumed",
+            "room_id": room_id,
+            "client_id": client_id,
+            "session_token": info["session_token"],
+            "resume_grace_seconds": SESSION_GRACE_SECONDS,
+            "ice_config": make_ice_config(client_id),
+            "existing_users": await self.get_existing_users(room_id, client_id),
+            "settings": self.public_settings(room_id, await self.broker.get_room(room_id)),
+            "hand_queue": await self.broker.get_hands(room_id),
+            "chat_history": chat_history,
+            "chat_has_more": chat_has_more,
+            "chat_schema_version": CHAT_SCHEMA_VERSION,
+            "transcript": await self.broker.get_transcript(room_id),
+            "timestamp": datetime.now().isoformat()
+        })
+        return True
+    
+    async def disconnect(self, client_id: str, websocket: WebSocket = None):
+        """Hold a dropped client's slot so it can resume within the grace period"""
+        if client_id in self.lobby_guests:
+            await self.leave_lobby(client_id)
+        if client_id not in self.client_info:
+            return
+        
+        room_id = self.client_info[client_id]["room"]
+        room = self.active_rooms.get(room_id, {})
+        
+        # Ignore a late close from a socket that has already been replaced
+        if websocket is not None and room.get(client_id) is not websocket:
+            return
+        
+        room[client_id] = None
+        if client_id not in self.grace_tasks:
+            self.grace_tasks[client_id] = asyncio.create_task(self.expire_session(client_id))
+    
+    async def expire_session(self, client_id: str):
+        try:
+            await asyncio.sleep(SESSION_GRACE_SECONDS)
+        except asyncio.CancelledError:
+            return
+        self.grace_tasks.pop(client_id, None)
+        await self.remove_client(client_id)
+    
+    async def remove_client(self, client_id: str):
+        """Drop a client for good and tell the rest of the room"""
+        grace_task = self.grace_tasks.pop(client_id, None)
+        if grace_task and grace_task is not asyncio.current_task():
+            grace_task.cancel()
+        
+        if client_id in self.client_info:
+            room_id = self.client_info[client_id]["room"]
+            if self.forwarder:
+                await self.forwarder.remove_client(client_id)
+            
+            # Remove from room
+            if room_id in self.active_rooms and client_id in self.active_rooms[room_id]:
+                del self.active_rooms[room_id][client_id]
+                
+                # Notify others, unless they already rejoined through another worker
+                if await self.broker.remove_member(room_id, client_id, worker=WORKER_ID):
+                    await self.broadcast_to_room(room_id, {
+                        "type": "user_left",
+                        "client_id": client_id,
+                        "username": self.client_info[client_id]["name"],
+                        "timestamp": datetime.now().isoformat()
+                    })
+                    await self.hand_over(room_id, client_id)
+                
+                # Clean up empty room
+                if not self.active_rooms[room_id]:
+                    await self.close_room(room_id)
+            
+            # Remove client info
+            del self.client_info[client_id]
+    
+    async def hand_over(self, room_id: str, client_id: str):
+        """Tidy up the shared room after a member has left it for good"""
+        # Their hand comes down with them
+        if await self.broker.set_hand(room_id, client_id, False):
+            await self.broadcast_hand_queue(room_id)
+        
+        settings = await self.broker.get_room(room_id)
+        members = await self.broker.get_members(room_id)
+        if not settings or not members or settings["host"] != client_id:
+            return
+        
+        # Hand the host role to whoever has been here longest, on any worker
+        new_host = min(members, key=lambda cid: members[cid]["joined_at"])
+        settings = await self.broker.update_room(room_id, {"host": new_host})
+        if settings:
+            await self.announce_host(room_id, settings)
+    
+    async def announce_host(self, room_id: str, settings: Dict):
+        """Tell the room it has a new host, and show them who is waiting in the lobby"""
+        await self.broadcast_to_room(room_id, {
+            "type": "room_settings",
+            "settings": self.public_settings(room_id, settings),
+            "timestamp": datetime.now().isoformat()
+        })
+        await self.announce_lobby(room_id, settings["host"])
+        await self.broker.publish(room_id, {"worker": WORKER_ID, "lobby": "announce", "host": settings["host"]})
+    
+    async def close_room(self, room_id: str):
+        """Forget a room this worker no longer holds anyone in. Once nobody is left on any worker,
+        its lobby is turned away."""
+        self.active_rooms.pop(room_id, None)
+        self.topologies.pop(room_id, None)
+        self.chat_store.room_closed(room_id)
+        if not await self.broker.get_members(room_id):
+            await self.settle_lobby(room_id, None, False, "room_closed")
+    
+    async def deliver_chat(self, room_id: str, message: dict, payload: dict):
+        """Send a chat event to everyone allowed to see `message`"""
+        if message.get("to") is None:
+            await self.broadcast_to_room(room_id, payload)
+        else:
+            # Direct messages go through the same-room check in relay_message
+            await self.relay_message(message["from"], message["to"], payload)
+            await self.send_to_client(message["from"], {**payload, "from": message["from"]})
+    
+    async def post_chat(self, client_id: str, text: str, to: str = None, reply_to=None):
+        """Log a chat message under a server-assigned ID and deliver it"""
+        info = self.client_info[client_id]
+        room_id = info["room"]
+        
+        if to is not None and (to == client_id or not await self.broker.is_member(room_id, to)):
+            await self.send_to_client(client_id, {
+                "type": "error",
+                "code": "not_in_room",
+                "message": "That participant is not in this room"
+            })
+            return
+        
+        # Replies must point at a message this sender can see
+        if reply_to is not None:
+            parent = self.chat_store.get(room_id, reply_to)
+            if not parent or not visible_to(parent, client_id):
+                reply_to = None
+        
+        message = self.chat_store.add(room_id, new_message(
+            client_id, info["name"], text, datetime.now().isoformat(), to=to, reply_to=reply_to
+        ))
+        await self.deliver_chat(room_id, message, {"type": "chat", **message})
+    
+    async def change_chat(self, client_id: str, message_id, action: str, value: str = None):
+        """Edit, delete or react to a stored message and tell everyone who can see it"""
+        info = self.client_info[client_id]
+        room_id = info["room"]
+        message = self.chat_store.get(room_id, message_id)
+        if not message or not visible_to(message, client_id) or message["deleted"]:
+            return
+        
+        if action in ("edit", "delete") and message["from"] != client_id:
+            await self.send_to_client(client_id, {
+                "type": "error",
+                "code": "not_allowed",
+                "message": "You can only change your own messages"
+            })
+            return
+        
+        if action == "edit":
+            changes = {"message": value, "edited_at": datetime.now().isoformat()}
+        elif action == "delete":
+            changes = {"message": "", "deleted": True, "reactions": {}}
+        elif action == "react":
+            # Reacting twice with the same emoji takes it back
+            reactions = {emoji: list(ids) for emoji, ids in message["reactions"].items()}
+            reactors = reactions.setdefault(value, [])
+            if client_id in reactors:
+                reactors.remove(client_id)
+            else:
+                reactors.append(client_id)
+            changes = {"reactions": {emoji: ids for emoji, ids in reactions.items() if ids}}
+        else:
+            return
+        
+        message = self.chat_store.update(room_id, message_id, changes)
+        await self.deliver_chat(room_id, message, {"type": "chat_updated", **message})
+    
+    async def mark_chat_read(self, client_id: str, message_ids: List[int]):
+        """Record read receipts and tell each message's audience"""
+        room_id = self.client_info[client_id]["room"]
+        read = []
+        # MESSAGE_SCHEMA already holds this to CHAT_HISTORY_LIMIT, as many as a room keeps
+        for message_id in message_ids:
+            message = self.chat_store.get(room_id, message_id)
+            if not message or not visible_to(message, client_id) or client_id in message["read_by"]:
+                continue
+            self.chat_store.update(room_id, message_id, {"read_by": message["read_by"] + [client_id]})
+            read.append(message)
+        
+        for message in read:
+            await self.deliver_chat(room_id, message, {
+                "type": "chat_read",
+                "id": message["id"],
+                "client_id": client_id,
+                "to": message.get("to")
+            })
+    
+    async def send_typing(self, client_id: str, active: bool, to: str = None):
+        info = self.client_info[client_id]
+        payload = {
+            "type": "typing",
+            "client_id": client_id,
+            "username": info["name"],
+            "active": active,
+            "private": to is not None
+        }
+        if to is None:
+            await self.broadcast_to_room(info["room"], payload, exclude_client_id=client_id)
+        else:
+            await self.relay_message(client_id, to, payload)
+    
+    async def send_chat_history(self, client_id: str, before_id=None, limit: int = CHAT_BACKFILL_COUNT):
+        """One page of older messages for a client scrolling back"""
+        info = self.client_info[client_id]
+        limit = max(1, min(int(limit), CHAT_BACKFILL_COUNT))
+        before_id = int(before_id) if before_id is not None else None
+        messages, has_more = self.chat_store.history(info["room"], limit, before_id, viewer=client_id)
+        await self.send_to_client(client_id, {
+            "type": "chat_history",
+            "messages": messages,
+            "has_more": has_more,
+            "timestamp": datetime.now().isoformat()
+        })
+    
+    async def send_to_client(self, client_id: str, message: dict):
+        if client_id in self.client_info:
+            room_id = self.client_info[client_id]["room"]
+            if room_id in self.active_rooms and client_id in self.active_rooms[room_id]:
+                websocket = self.active_rooms[room_id][client_id]
+                # Messages to a client inside its resume grace period are dropped
+                if websocket is not None:
+                    await websocket.send_json(message)
+    
+    async def send_to_member(self, room_id: str, client_id: str, message: dict):
+        """Send to a member of the room, on this worker or any other"""
+        if self.client_info.get(client_id, {}).get("room") == room_id:
+            await self.send_to_client(client_id, message)
+        else:
+            await self.broker.publish(room_id, {
+                "worker": WORKER_ID,
+                "to": client_id,
+                "message": message
+            })
+    
+    async def broadcast_to_room(self, room_id: str, message: dict, exclude_client_id: str = None):
+        """Send to everyone in the room: our own sockets first, then through the broker to other workers"""
+        await self.send_to_local_room(room_id, message, exclude_client_id)
+        await self.broker.publish(room_id, {
+            "worker": WORKER_ID,
+            "exclude": exclude_client_id,
+            "message": message
+        })
+    
+    async def send_to_local_room(self, room_id: str, message: dict, exclude_client_id: str = None):
+        if room_id in self.active_rooms:
+            for client_id, websocket in list(self.active_rooms[room_id].items()):
+                if client_id != exclude_client_id and websocket is not None:
+                    await websocket.send_json(message)
+    
+    async def relay_message(self, from_client_id: str, to_client_id: str, message: dict):
+        """Relay a message from one client to another, on this worker or any other"""
+        info = self.client_info.get(from_client_id)
+        if not info:
+            return
+        message = {**message, "from": from_client_id}
+        
+        # Verify they're in the same room
+        target = self.client_info.get(to_client_id)
+        if target:
+            if target["room"] == info["room"]:
+                await self.send_to_client(to_client_id, message)
+        elif await self.broker.is_member(info["room"], to_client_id):
+            await self.broker.publish(info["room"], {
+                "worker": WORKER_ID,
+                "to": to_client_id,
+                "message": message
+            })
+    
+    async def receive_envelope(self, room_id: str, envelope: dict):
+        """A room message from the broker, for the sockets this worker holds"""
+        # Our own broadcasts were delivered locally when they were sent
+        if envelope.get("worker") == WORKER_ID:
+            return
+        # Lobby guests, removals and ended meetings are handled by the worker holding the clients
+        if envelope.get("lobby") == "announce":
+            await self.announce_lobby(room_id, envelope["host"])
+            return
+        if envelope.get("lobby"):
+            await self.decide_lobby(room_id, envelope["guest"], envelope["lobby"] == "admit", envelope["reason"])
+            return
+        if envelope.get("end"):
+            await self.end_local_meeting(room_id)
+            return
+        if envelope.get("remove"):
+            if self.client_info.get(envelope["remove"], {}).get("room") == room_id:
+                await self.expel(room_id, envelope["remove"], envelope["by"])
+            return
+        
+        to_client_id = envelope.get("to")
+        if to_client_id is None:
+            await self.send_to_local_room(room_id, envelope["message"], envelope.get("exclude"))
+        elif self.client_info.get(to_client_id, {}).get("room") == room_id:
+            await self.send_to_client(to_client_id, envelope["message"])
+    
+    async def remove_ghost(self, room_id: str, client_id: str, member: dict):
+        """A member left behind by a worker that stopped heartbeating; nobody else will say they left"""
+        await self.broadcast_to_room(room_id, {
+            "type": "user_left",
+            "client_id": client_id,
+            "username": member.get("username"),
+            "timestamp": datetime.now().isoformat()
+        })
+        await self.hand_over(room_id, client_id)
+        if room_id not in self.active_rooms:
+            await self.close_room(room_id)
+
+manager = ConnectionManager()
+
+def make_turn_credentials(client_id: str, ttl: int) -> Dict:
+    """Short-lived TURN credentials in coturn's REST API format"""
+    expires_at = int(time.time()) + ttl
+    username = f"{expires_at}:{client_id}"
+    digest = hmac.new(TURN_SECRET.encode(), username.encode(), hashlib.sha1).digest()
+    return {
+        "username": username,
+        "credential": base64.b64encode(digest).decode(),
+        "expires_at": expires_at
+    }
+
+def make_ice_config(client_id: str = None) -> Dict:
+    """ICE servers for RTCPeerConnection, with TURN credentials for a client connected to a room"""
+    if ICE_MODE == "offline":
+        return {"mode": "offline", "iceServers": [], "ttl": None, "expires_at": None}
+    
+    ice_servers = []
+    if STUN_URLS:
+        ice_servers.append({"urls": STUN_URLS})
+    
+    expires_at = None
+    if TURN_URLS and TURN_SECRET and client_id:
+        turn = make_turn_credentials(client_id, TURN_CREDENTIAL_TTL)
+        ice_servers.append({
+            "urls": TURN_URLS,
+            "username": turn["username"],
+            "credential": turn["credential"]
+        })
+        expires_at = turn["expires_at"]
+    
+    return {
+        "mode": ICE_MODE,
+        "iceServers": ice_servers,
+        "ttl": TURN_CREDENTIAL_TTL if expires_at else None,
+        "expires_at": expires_at
+    }
+
+def clean_presentation(data) -> Dict:
+    """Which of a presenter's streams and tracks are the screen, so viewers can give it its own tile"""
+    data = data if isinstance(data, dict) else {}
+    tracks = data.get("tracks") if isinstance(data.get("tracks"), list) else []
+    return {
+        "stream": str(data.get("stream") or "")[:100],
+        "tracks": [str(track)[:100] for track in tracks[:MAX_PRESENTATION_TRACKS]],
+        "audio": data.get("audio") is True,
+        "started_at": datetime.now().isoformat()
+    }
+
+def clean_call_summary(data) -> Optional[Dict]:
+    """Keep only the numbers we ask for, so nothing identifying can be stored by accident"""
+    if not isinstance(data, dict) or not isinstance(data.get("connections"), list):
+        return None
+    
+    def number(value):
+        if not isinstance(value, (int, float)) or isinstance(value, bool) or not math.isfinite(value) or value < 0:
+            return None
+        return round(float(value), 1)
+    
+    numeric_fields = ("samples", "avg_rtt_ms", "max_rtt_ms", "avg_loss_percent", "avg_jitter_ms",
+                      "avg_send_kbps", "avg_receive_kbps", "max_receive_height")
+    connections = []
+    for connection in data["connections"][:CALL_SUMMARY_MAX_CONNECTIONS]:
+        if not isinstance(connection, dict):
+            continue
+        cleaned = {field: number(connection.get(field)) for field in numeric_fields}
+        candidate_type = connection.get("candidate_type")
+        cleaned["candidate_type"] = candidate_type if candidate_type in CANDIDATE_TYPES else None
+        connections.append(cleaned)
+    
+    return {
+        # The day is enough to spot trends, without tying a summary to a particular call
+        "date": datetime.now().date().isoformat(),
+        "duration_seconds": number(data.get("duration_seconds")),
+        "connections": connections
+    }
+
+def append_call_summary(line: str) -> bool:
+    """Add a line to the summaries file unless it has reached its cap. Blocking, so run it in a thread."""
+    try:
+        size = os.path.getsize(CALL_SUMMARY_PATH)
+    except FileNotFoundError:
+        size = 0
+    if size + len(line.encode()) > CALL_SUMMARY_MAX_FILE_BYTES:
+        return False
+    with open(CALL_SUMMARY_PATH, "a") as summary_file:
+        summary_file.write(line)
+    return True
+
+# When each address last sent a call summary: {host: time.monotonic()}
+call_summary_times: Dict[str, float] = {}
+
+def utc_now() -> str:
+    return datetime.now(timezone.utc).replace(microsecond=0).isoformat()
+
+def parse_meeting_time(value) -> datetime:
+    """An ISO 8601 time with a UTC offset, converted to UTC"""
+    try:
+        parsed = datetime.fromisoformat(str(value).replace("Z", "+00:00"))
+    except ValueError:
+        raise ValueError(f"Invalid time: {value}")
+    if parsed.tzinfo is None:
+        raise ValueError("Times need a UTC offset, like 2024-05-01T09:00:00Z")
+    return parsed.astimezone(timezone.utc).replace(microsecond=0)
+
+async def clean_meeting(data, current: Dict = None) -> Dict:
+    """Checked meeting fields from a request body. Raises ValueError with the reason.
+
+    With `current` this is an update, and anything left out stays as it was.
+    """
+    if not isinstance(data, dict):
+        raise ValueError("Expected a JSON object")
+    current = current or {}
+    changes = {}
+    
+    for field, max_length in (("title", MAX_MEETING_TITLE_LENGTH), ("host", MAX_USERNAME_LENGTH)):
+        if field in data or not current:
+            value = str(data.get(field) or "").strip()
+            if not value or len(value) > max_length:
+                raise ValueError(f"{field} must be 1 to {max_length} characters")
+            changes[field] = value
+    
+    start = parse_meeting_time(data["start"]) if "start" in data else None
+    end = parse_meeting_time(data["end"]) if "end" in data else None
+    if not current and (start is None or end is None):
+        raise ValueError("start and end are required")
+    start = start or datetime.fromisoformat(current["start_at"])
+    end = end or datetime.fromisoformat(current["end_at"])
+    if not start < end <= start + MAX_MEETING_DURATION:
+        raise ValueError("end must be after start, and within 24 hours of it")
+    changes["start_at"] = start.isoformat()
+    changes["end_at"] = end.isoformat()
+    
+    settings = data.get("settings")
+    if settings is not None or not current:
+        settings = settings if isinstance(settings, dict) else {}
+        changes["settings"] = {
+            key: settings.get(key) is True for key in MeetingStore.SETTINGS
+        }
+    
+    if "password" in data:
+        password = str(data["password"] or "")
+        if len(password) > MAX_PASSWORD_LENGTH:
+            raise ValueError("password is too long")
+        salt = secrets.token_bytes(16) if password else None
+        changes["password_salt"] = salt
+        changes["password_hash"] = await ConnectionManager.hash_password(password, salt) if password else None
+    return changes
+
+def describe_meeting(meeting: Dict, base_url: str) -> Dict:
+    """A meeting as the API shows it: no host key or password, but the links to join and save it"""
+    invite_url = f"{base_url}?invite={meeting['invite_token']}"
+    return {
+        "id": meeting["id"],
+        "title": meeting["title"],
+        "host": meeting["host"],
+        "start": meeting["start_at"],
+        "end": meeting["end_at"],
+        "room_id": meeting["room_id"],
+        "settings": meeting["settings"],
+        "has_password": meeting["password_hash"] is not None,
+        "cancelled": meeting["cancelled_at"] is not None,
+        "invite_url": invite_url,
+        "calendar_url": f"{base_url}api/meetings/invite/{meeting['invite_token']}/calendar.ics"
+    }
+
+def meeting_ics(meeting: Dict, invite_url: str) -> str:
+    """An iCalendar (RFC 5545) event for a meeting; the sequence lets calendars apply updates"""
+    def ics_time(value: str) -> str:
+        return datetime.fromisoformat(value).strftime("%Y%m%dT%H%M%SZ")
+    
+    def ics_text(value: str) -> str:
+        # A bare CR would end the line early, so every line break becomes an escaped \n
+        value = value.replace("\r\n", "\n").replace("\r", "\n")
+        return value.replace("\\", "\\\\").replace(";", "\\;").replace(",", "\\,").replace("\n", "\\n")
+    
+    def fold(line: str) -> str:
+        # Lines longer than 75 octets continue on the next line after a space
+        parts, current = [], ""
+        for char in line:
+            if len((current + char).encode()) > 75:
+                parts.append(current)
+                current = " "
+            current += char
+        return "\r\n".join(parts + [current])
+    
+    description = f"Hosted by {meeting['host']}. Join: {invite_url}"
+    lines = [
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "PRODID:-//Video Chat App//Meetings//EN",
+        "METHOD:PUBLISH",
+        "BEGIN:VEVENT",
+        f"UID:{meeting['id']}@videochat",
+        f"SEQUENCE:{meeting['sequence']}",
+        f"DTSTAMP:{ics_time(meeting['updated_at'])}",
+        f"DTSTART:{ics_time(meeting['start_at'])}",
+        f"DTEND:{ics_time(meeting['end_at'])}",
+        f"SUMMARY:{ics_text(meeting['title'])}",
+        f"DESCRIPTION:{ics_text(description)}",
+        f"URL:{invite_url}",
+        f"STATUS:{'CANCELLED' if meeting['cancelled_at'] else 'CONFIRMED'}",
+        "END:VEVENT",
+        "END:VCALENDAR"
+    ]
+    return "\r\n".join(fold(line) for line in lines) + "\r\n"
+
+def host_key_matches(meeting: Dict, host_key: str) -> bool:
+    return bool(host_key) and hmac.compare_digest(hashlib.sha256(host_key.encode()).hexdigest(), meeting["host_key_hash"])
+
+def check_host_key(meeting: Dict, host_key: str):
+    """Only whoever booked a meeting, holding the key returned then, may change it"""
+    if not host_key_matches(meeting, host_key):
+        raise HTTPException(status_code=403, detail="Wrong or missing X-Host-Key")
+
+# Field checks for MESSAGE_SCHEMA; each takes the value (None when missing) and returns whether it is acceptable
+def text(max_length: int, min_length: int = 0, pattern=None) -> Callable:
+    return lambda value: (isinstance(value, str) and min_length <= len(value) <= max_length and
+                          (pattern is None or pattern.fullmatch(value) is not None))
+
+def optional(check: Callable) -> Callable:
+    return lambda value: value is None or check(value)
+
+def one_of(*values) -> Callable:
+    return lambda value: isinstance(value, str) and value in values
+
+def list_of(check: Callable, max_items: int) -> Callable:
+    return lambda value: isinstance(value, list) and len(value) <= max_items and all(check(item) for item in value)
+
+def shape(**checks) -> Callable:
+    """An object whose listed keys pass their checks; other keys are left to the handler"""
+    return lambda value: isinstance(value, dict) and all(check(value.get(key)) for key, check in checks.items())
+
+def boolean(value) -> bool:
+    return isinstance(value, bool)
+
+def integer(value) -> bool:
+    return isinstance(value, int) and not isinstance(value, bool)
+
+def any_object(value) -> bool:
+    return isinstance(value, dict)
+
+client_id_field = text(64, pattern=CLIENT_ID_PATTERN)
+
+# Offers and answers carry SDP, candidates an ICE candidate line; the signal_type says which
+SIGNAL_SHAPES = {
+    "offer": shape(type=one_of("offer"), sdp=text(MAX_SDP_LENGTH)),
+    "answer": shape(type=one_of("answer"), sdp=text(MAX_SDP_LENGTH)),
+    "candidate": shape(candidate=text(MAX_CANDIDATE_LENGTH), sdpMid=optional(text(64)),
+                       sdpMLineIndex=optional(integer), usernameFragment=optional(text(256)))
+}
+
+# Every message type a client may send, with the checks for its fields
+MESSAGE_SCHEMA: Dict[str, Dict[str, Callable]] = {
+    "join": {
+        "room_id": text(64, pattern=ROOM_ID_PATTERN),
+        "username": optional(text(MAX_USERNAME_LENGTH)),
+        "client_id": optional(client_id_field),
+        "state": optional(any_object),
+        "password": optional(text(MAX_PASSWORD_LENGTH)),
+        "ticket": optional(text(256)),
+        # The booked host's key for a scheduled meeting's room, which makes them its host
+        "host_key": optional(text(256))
+    },
+    "resume": {"session_token": optional(text(256)), "client_id": optional(client_id_field)},
+    "signal": {"to": client_id_field, "signal_type": one_of(*SIGNAL_SHAPES), "signal": any_object},
+    "sfu_signal": {"signal_type": one_of(*SIGNAL_SHAPES), "signal": any_object},
+    "layer_request": {"to": client_id_field, "layer": one_of(*VIDEO_LAYERS)},
+    "chat": {
+        "message": text(MAX_CHAT_LENGTH, min_length=1),
+        "to": optional(client_id_field),
+        "reply_to": optional(integer)
+    },
+    "chat_edit": {"id": integer, "message": text(MAX_CHAT_LENGTH, min_length=1)},
+    "chat_delete": {"id": integer},
+    "chat_react": {"id": integer, "emoji": text(MAX_REACTION_LENGTH, min_length=1)},
+    "chat_read": {"ids": list_of(integer, CHAT_HISTORY_LIMIT)},
+    "typing": {"active": boolean, "to": optional(client_id_field)},
+    "chat_history": {"before_id": optional(integer), "limit": optional(integer)},
+    "state_update": {"state": any_object},
+    "ping": {},
+    "ice_config": {},
+    "recording": {"active": boolean},
+    "raise_hand": {"raised": boolean},
+    "lower_hand": {"client_id": client_id_field},
+    "call_next_hand": {},
+    "reaction": {"emoji": text(MAX_REACTION_LENGTH, min_length=1)},
+    "caption": {
+        "id": text(32, min_length=1, pattern=CLIENT_ID_PATTERN),
+        "text": text(MAX_CAPTION_LENGTH, min_length=1),
+        "final": boolean,
+        "duration_ms": integer
+    },
+    "screen_share": {"active": boolean, "presentation": optional(any_object)},
+    "room_settings": {"settings": shape(password=optional(text(MAX_PASSWORD_LENGTH)))},
+    "lobby_admit": {"client_id": client_id_field},
+    "lobby_reject": {"client_id": client_id_field},
+    "mute_participant": {"client_id": client_id_field, "kind": one_of("audio", "video")},
+    "remove_participant": {"client_id": client_id_field},
+    "end_meeting": {},
+    "leave": {}
+}
+
+def message_error(code: str, message: str, message_type: str = None, field: str = None) -> Dict:
+    """The error reply for a frame we won't act on"""
+    return {
+        "type": "error",
+        "code": code,
+        "message": message,
+        "message_type": message_type,
+        "field": field,
+        "timestamp": datetime.now().isoformat()
+    }
+
+def validate_message(data) -> Optional[Dict]:
+    """Check a parsed frame against MESSAGE_SCHEMA. Returns the error reply, or None if it is valid."""
+    if not isinstance(data, dict):
+        return message_error("invalid_message", "Messages must be JSON objects")
+    
+    message_type = data.get("type")
+    if not isinstance(message_type, str) or message_type not in MESSAGE_SCHEMA:
+        return message_error("unknown_type", "Unknown message type",
+                             message_type[:64] if isinstance(message_type, str) else None)
+    
+    for field, check in MESSAGE_SCHEMA[message_type].items():
+        if not check(data.get(field)):
+            return message_error("invalid_field", f"Missing or invalid {field}", message_type, field)
+    
+    if message_type in ("signal", "sfu_signal") and not SIGNAL_SHAPES[data["signal_type"]](data["signal"]):
+        return message_error("invalid_field", f"Malformed {data['signal_type']}", message_type, "signal")
+    return None
+
+async def receive_message(websocket: WebSocket, expected: tuple = None) -> Optional[Dict]:
+    """The next valid frame from a client. Malformed ones get an error reply and come back as None."""
+    frame = await websocket.receive_text()
+    if len(frame) > MAX_FRAME_LENGTH:
+        error = message_error("too_large", "Message is too large")
+    else:
+        try:
+            data = json.loads(frame)
+        except ValueError:
+            data = None
+            error = message_error("invalid_json", "Messages must be JSON")
+        else:
+            error = validate_message(data)
+        if not error and expected and data["type"] not in expected:
+            error = message_error("unexpected_type", "Join a room first", data["type"])
+    
+    if error:
+        await websocket.send_json(error)
+        return None
+    return data
+
+app.add_middleware(CORSMiddleware, allow_origins=EMBED_ORIGINS, allow_methods=["*"], allow_headers=["*"])
+
+@app.middleware("http")
+async def limit_framing(request: Request, call_next):
+    """Only this site and EMBED_ORIGINS may show the app in an iframe"""
+    response = await call_next(request)
+    response.headers["Content-Security-Policy"] = "frame-ancestors " + " ".join(["'self'", *EMBED_ORIGINS])
+    return response
+
+@app.get("/")
+async def get_root(request: Request):
+    """Serve the main page"""
+    return templates.TemplateResponse("index.html", {"request": request, "caption_engine_url": CAPTION_ENGINE_URL})
+
+@app.on_event("startup")
+async def start_broker():
+    """Subscribe to room messages from other workers and start the presence heartbeat"""
+    await manager.broker.start(manager.receive_envelope, manager.remove_ghost)
+
+@app.on_event("shutdown")
+async def stop_broker():
+    await manager.broker.stop()
+
+@app.get("/health")
+async def health_check():
+    """Health check endpoint, with totals for the whole cluster"""
+    try:
+        cluster = await manager.broker.cluster_status()
+    except Exception as e:
+        raise HTTPException(status_code=503, detail=f"Broker unavailable: {e}")
+    return {
+        "status": "ok",
+        "timestamp": datetime.now().isoformat(),
+        "worker": WORKER_ID,
+        "broker": manager.broker.name,
+        **cluster
+    }
+
+@app.get("/api/ice-config")
+async def get_ice_config():
+    """ICE servers for RTCPeerConnection before joining. TURN credentials only go to clients in a room,
+    with room_joined and ice_config over their WebSocket."""
+    return make_ice_config()
+
+@app.websocket("/ws/{client_id}")
+async def websocket_endpoint(websocket: WebSocket, client_id: str):
+    """WebSocket endpoint for signaling"""
+    # Clients address the media server by this ID
+    if client_id == SFU_PEER_ID or not CLIENT_ID_PATTERN.fullmatch(client_id):
+        await websocket.close()
+        return
+    await websocket.accept()
+    try:
+        # First message should be join or resume information
+        data = await receive_message(websocket, expected=("join", "resume"))
+        joined = False
+        
+        if data and data["type"] == "resume":
+            joined = await manager.resume(websocket, client_id, data.get("session_token"))
+            if not joined:
+                # Session expired; the client falls back to a fresh join
+                await websocket.send_json({
+                    "type": "resume_failed",
+                    "timestamp": datetime.now().isoformat()
+                })
+                data = await receive_message(websocket, expected=("join",))
+        
+        if not joined and not data:
+            # The error reply says what was wrong with the join
+            await websocket.close()
+            return
+        
+        if not joined and data["type"] == "join":
+            room_id = data["room_id"]
+            username = (data.get("username") or "").strip() or f"User_{client_id[:6]}"
+            
+            # Connect to room, subject to its password, lock and lobby unless they booked it
+            joined = await manager.request_join(
+                websocket, client_id, room_id, username, data.get("state"), data.get("password"), data.get("ticket"),
+                data.get("host_key")
+            )
+            if not joined:
+                await websocket.close()
+                return
+        
+        if joined:
+            # Handle subsequent messages
+            while True:
+                data = await receive_message(websocket)
+                if data is None:
+                    continue
+                message_type = data["type"]
+                
+                # Guests waiting in the lobby can only keep alive or give up
+                if client_id not in manager.client_info and message_type not in ("ping", "leave"):
+                    continue
+                
+                if message_type == "signal":
+                    # Relay WebRTC signaling messages
+                    await manager.relay_message(client_id, data["to"], {
+                        "type": "signal",
+                        "signal": data["signal"],
+                        "signal_type": data["signal_type"]  # offer, answer, candidate
+                    })
+                
+                elif message_type == "sfu_signal":
+                    # Offers, answers and candidates for the client's connection to the SFU
+                    await manager.handle_sfu_signal(client_id, data)
+                
+                elif message_type == "layer_request":
+                    # A viewer asking a sender for more or less of their video
+                    await manager.relay_message(client_id, data["to"], {
+                        "type": "layer_request",
+                        "layer": data["layer"]
+                    })
+                
+                elif message_type == "chat":
+                    # Log and deliver chat messages, to the room or to one participant
+                    await manager.post_chat(client_id, data.get("message"), data.get("to"), data.get("reply_to"))
+                
+                elif message_type == "chat_edit":
+                    await manager.change_chat(client_id, data.get("id"), "edit", data.get("message"))
+                
+                elif message_type == "chat_delete":
+                    await manager.change_chat(client_id, data.get("id"), "delete")
+                
+                elif message_type == "chat_react":
+                    await manager.change_chat(client_id, data["id"], "react", data["emoji"])
+                
+                elif message_type == "chat_read":
+                    await manager.mark_chat_read(client_id, data["ids"])
+                
+                elif message_type == "typing":
+                    await manager.send_typing(client_id, data.get("active") is True, data.get("to"))
+                
+                elif message_type == "chat_history":
+                    # Page back through older messages
+                    await manager.send_chat_history(
+                        client_id, data.get("before_id"), data.get("limit") or CHAT_BACKFILL_COUNT
+                    )
+                
+                elif message_type == "state_update":
+                    # Mic/camera/screen-share state for the room's roster
+                    await manager.update_state(client_id, data.get("state") or {})
+                
+                elif message_type == "ping":
+                    # Respond to ping
+                    await websocket.send_json({
+                        "type": "pong",
+                        "timestamp": datetime.now().isoformat()
+                    })
+                
+                elif message_type == "ice_config":
+                    # Fresh TURN credentials before the old ones expire
+                    await websocket.send_json({"type": "ice_config", **make_ice_config(client_id)})
+                
+                elif message_type == "recording":
+                    await manager.set_recording(client_id, data.get("active") is True)
+                
+                elif message_type == "raise_hand":
+                    await manager.set_hand(client_id, data.get("raised") is True)
+                
+                elif message_type == "lower_hand":
+                    await manager.lower_hand(client_id, data.get("client_id"))
+                
+                elif message_type == "call_next_hand":
+                    await manager.call_next_hand(client_id)
+                
+                elif message_type == "reaction":
+                    await manager.send_tile_reaction(client_id, data.get("emoji"))
+                
+                elif message_type == "caption":
+                    await manager.send_caption(
+                        client_id, data["id"], data["text"], data["final"], data["duration_ms"]
+                    )
+                
+                elif message_type == "screen_share":
+                    await manager.set_screen_share(client_id, data.get("active") is True, data.get("presentation"))
+                
+                elif message_type == "room_settings":
+                    await manager.update_room_settings(client_id, data.get("settings") or {})
+                
+                elif message_type in ("lobby_admit", "lobby_reject"):
+                    await manager.admit_guest(client_id, data.get("client_id"), message_type == "lobby_admit")
+                
+                elif message_type == "mute_participant":
+                    await manager.request_mute(client_id, data.get("client_id"), data.get("kind"))
+                
+                elif message_type == "remove_participant":
+                    await manager.remove_participant(client_id, data.get("client_id"))
+                
+                elif message_type == "end_meeting":
+                    if await manager.end_meeting(client_id):
+                        # Our own socket was closed along with everyone else's
+                        return
+                
+                elif message_type == "leave":
+                    # Deliberate leave: skip the resume grace period
+                    await manager.leave_lobby(client_id)
+                    await manager.remove_client(client_id)
+                    await websocket.close()
+                    return
+    
+    except WebSocketDisconnect:
+        await manager.disconnect(client_id, websocket)
+    except Exception as e:
+        print(f"WebSocket error: {e}")
+        await manager.disconnect(client_id, websocket)
+
+@app.get("/api/rooms")
+async def list_rooms():
+    """List public active rooms across all workers. Participant names are not exposed."""
+    rooms_info = {}
+    for room_id, room in (await manager.broker.list_rooms()).items():
+        settings = room["settings"]
+        if settings.get("private"):
+            continue
+        rooms_info[room_id] = {
+            "user_count": room["user_count"],
+            "has_password": bool(settings.get("password_hash")),
+            "locked": settings.get("locked", False),
+            "lobby": settings.get("lobby", False)
+        }
+    return rooms_info
+
+@app.post("/api/meetings")
+async def create_meeting(request: Request):
+    """Book a meeting. The host key in the response is the only way to change or cancel it later, or to host it."""
+    try:
+        fields = await clean_meeting(await request.json())
+    except ValueError as e:
+        raise HTTPException(status_code=400, detail=str(e))
+    
+    host_key = secrets.token_urlsafe(24)
+    meeting = manager.meetings.add({
+        **fields,
+        "id": uuid.uuid4().hex,
+        # Random, so nobody finds the room without the invite
+        "room_id": f"meet-{secrets.token_urlsafe(12)}",
+        "invite_token": secrets.token_urlsafe(24),
+        "host_key_hash": hashlib.sha256(host_key.encode()).hexdigest(),
+        "created_at": utc_now()
+    })
+    return {**describe_meeting(meeting, str(request.base_url)), "host_key": host_key}
+
+@app.get("/api/meetings")
+async def list_meetings(request: Request):
+    """Upcoming meetings that aren't private, soonest first"""
+    meetings = manager.meetings.upcoming(utc_now(), UPCOMING_MEETINGS_LIMIT)
+    return {"meetings": [describe_meeting(meeting, str(request.base_url)) for meeting in meetings]}
+
+@app.get("/api/meetings/invite/{invite_token}")
+async def get_invited_meeting(invite_token: str, request: Request):
+    """The meeting behind an invite link, private or cancelled ones included"""
+    meeting = manager.meetings.by_invite(invite_token)
+    if not meeting:
+        raise HTTPException(status_code=404, detail="No meeting for this invite")
+    return describe_meeting(meeting, str(request.base_url))
+
+@app.get("/api/meetings/invite/{invite_token}/calendar.ics")
+async def get_meeting_calendar(invite_token: str, request: Request):
+    """The meeting as an .ics file for calendar apps"""
+    meeting = manager.meetings.by_invite(invite_token)
+    if not meeting:
+        raise HTTPException(status_code=404, detail="No meeting for this invite")
+    invite_url = describe_meeting(meeting, str(request.base_url))["invite_url"]
+    return Response(
+        content=meeting_ics(meeting, invite_url),
+        media_type="text/calendar",
+        headers={"Content-Disposition": 'attachment; filename="meeting.ics"'}
+    )
+
+@app.patch("/api/meetings/{meeting_id}")
+async def update_meeting(meeting_id: str, request: Request):
+    """Change a meeting's title, host, times, settings or password. Settings apply when its room next opens."""
+    meeting = manager.meetings.get(meeting_id)
+    if not meeting:
+        raise HTTPException(status_code=404, detail="No such meeting")
+    check_host_key(meeting, request.headers.get("X-Host-Key"))
+    if meeting["cancelled_at"]:
+        raise HTTPException(status_code=409, detail="This meeting was cancelled")
+    
+    try:
+        changes = await clean_meeting(await request.json(), current=meeting)
+    except ValueError as e:
+        raise HTTPException(status_code=400, detail=str(e))
+    meeting = manager.meetings.update(meeting_id, changes, utc_now())
+    return describe_meeting(meeting, str(request.base_url))
+
+@app.delete("/api/meetings/{meeting_id}")
+async def cancel_meeting(meeting_id: str, request: Request):
+    """Cancel a meeting. Its invite link keeps working, to say so."""
+    meeting = manager.meetings.get(meeting_id)
+    if not meeting:
+        raise HTTPException(status_code=404, detail="No such meeting")
+    check_host_key(meeting, request.headers.get("X-Host-Key"))
+    
+    if not meeting["cancelled_at"]:
+        meeting = manager.meetings.update(meeting_id, {"cancelled_at": utc_now()}, utc_now())
+    return describe_meeting(meeting, str(request.base_url))
+
+@app.post("/api/call-summary")
+async def post_call_summary(request: Request):
+    """Store an opt-in, anonymous call quality summary sent by a client when it leaves"""
+    # Nobody signs in to send one, so each address gets one at a time and the file a fixed size
+    now = time.monotonic()
+    host = request.client.host if request.client else "unknown"
+    for known_host, sent_at in list(call_summary_times.items()):
+        if now - sent_at >= CALL_SUMMARY_COOLDOWN_SECONDS:
+            del call_summary_times[known_host]
+    if host in call_summary_times:
+        raise HTTPException(status_code=429, detail="Too many call summaries")
+    call_summary_times[host] = now
+    
+    body = b""
+    async for chunk in request.stream():
+        body += chunk
+        if len(body) > CALL_SUMMARY_MAX_BODY:
+            raise HTTPException(status_code=413, detail="Call summary is too large")
+    try:
+        summary = clean_call_summary(json.loads(body))
+    except ValueError:
+        summary = None
+    if summary is None:
+        raise HTTPException(status_code=400, detail="Invalid call summary")
+    
+    if not await asyncio.to_thread(append_call_summary, json.dumps(summary) + "\n"):
+        raise HTTPException(status_code=507, detail="Call summaries are full")
+    return {"status": "ok"}
+
+if __name__ == "__main__":
+    import uvicorn
+    print("Starting Video Chat Server...")
+    print("Open http://localhost:8000 in your browser")
     uvicorn.run(app, host="0.0.0.0", port=8000, reload=True)
\ No newline at end of file
@@ -0,0 +1,270 @@
+// Processes the camera and microphone before anything is sent: background blur
+// or a replacement image from an on-device segmentation model (WASM, on the
+// CPU), and a noise gate in an AudioWorklet. Each kind has one pipeline from the
+// raw device track to the track the app sends. With an effect off, or not
+// supported, the raw track is passed through as it is.
+export class MediaEffects {
+    // Served with the app rather than from a CDN, so no third-party code runs next to our keys
+    static SEGMENTER_MODULE = new URL('vendor/mediapipe/vision_bundle.mjs', import.meta.url).href;
+    static SEGMENTER_WASM = new URL('vendor/mediapipe/wasm', import.meta.url).href;
+    static SEGMENTER_MODEL = new URL('vendor/mediapipe/selfie_segmenter.tflite', import.meta.url).href;
+    static BLUR_PX = 12;
+    static EDGE_BLUR_PX = 3; // softens the outline of the mask
+    static FALLBACK_FPS = 30;
+
+    constructor(onError) {
+        const saved = JSON.parse(localStorage.getItem('videoChatEffects') || '{}');
+        this.settings = {
+            background: saved.background === 'blur' ? 'blur' : 'none', // none, blur or image
+            noiseGate: saved.noiseGate === true
+        };
+        this.backgroundImage = null; // ImageBitmap, chosen again each session
+        this.onError = onError; // called with a message when an effect can't start
+        this.pipelines = new Map(); // kind -> { source, output, stop }
+        this.segmenter = null; // promise of the MediaPipe ImageSegmenter
+        this.audioContext = null;
+        this.audioReady = null; // promise that the worklet module has loaded
+    }
+
+    static supportsVideo() {
+        // Insertable streams where available, otherwise a <video> drawn onto a canvas
+        return ('MediaStreamTrackProcessor' in window && 'MediaStreamTrackGenerator' in window) ||
+            'captureStream' in HTMLCanvasElement.prototype;
+    }
+
+    static supportsAudio() {
+        return typeof AudioWorkletNode !== 'undefined';
+    }
+
+    saveSettings() {
+        // Images aren't stored, so a replacement background starts as none next time
+        localStorage.setItem('videoChatEffects', JSON.stringify({
+            background: this.settings.background === 'blur' ? 'blur' : 'none',
+            noiseGate: this.settings.noiseGate
+        }));
+    }
+
+    // The device track behind a track we send, for device checks
+    getSource(track) {
+        for (const pipeline of this.pipelines.values()) {
+            if (pipeline.output === track) return pipeline.source;
+        }
+        return track;
+    }
+
+    // Returns the track to send for a raw device track, replacing any earlier pipeline of its kind
+    async process(source) {
+        const previous = this.pipelines.get(source.kind);
+        this.pipelines.delete(source.kind);
+        if (previous) {
+            previous.stop();
+            if (previous.source !== source) previous.source.stop();
+        }
+
+        let pipeline = null;
+        try {
+            if (source.kind === 'video' && this.settings.background !== 'none') {
+                pipeline = await this.createVideoPipeline(source);
+            } else if (source.kind === 'audio' && this.settings.noiseGate) {
+                pipeline = await this.createAudioPipeline(source);
+            }
+        } catch (error) {
+            console.error(`Could not start ${source.kind} effects:`, error);
+            // Show the effect as off rather than pretend it runs
+            if (source.kind === 'video') {
+                this.settings.background = 'none';
+            } else {
+                this.settings.noiseGate = false;
+            }
+            this.onError(source.kind === 'video' ?
+                'Background effects could not start, so your camera is sent as it is' :
+                'Noise reduction could not start, so your microphone is sent as it is');
+        }
+
+        pipeline = pipeline || { source: source, output: source, stop: () => {} };
+        this.pipelines.set(source.kind, pipeline);
+        return pipeline.output;
+    }
+
+    loadSegmenter() {
+        if (!this.segmenter) {
+            this.segmenter = (async () => {
+                const { FilesetResolver, ImageSegmenter } = await import(MediaEffects.SEGMENTER_MODULE);
+                const fileset = await FilesetResolver.forVisionTasks(MediaEffects.SEGMENTER_WASM);
+                return ImageSegmenter.createFromOptions(fileset, {
+                    baseOptions: { modelAssetPath: MediaEffects.SEGMENTER_MODEL, delegate: 'CPU' },
+                    runningMode: 'VIDEO',
+                    outputCategoryMask: false,
+                    outputConfidenceMasks: true
+                });
+            })();
+            // A failed download can be tried again next time
+            this.segmenter.catch(() => { this.segmenter = null; });
+        }
+        return this.segmenter;
+    }
+
+    async createVideoPipeline(source) {
+        if (!MediaEffects.supportsVideo()) {
+            throw new Error('Video processing is not supported');
+        }
+        const segmenter = await this.loadSegmenter();
+        const canvas = document.createElement('canvas');
+        const render = this.createCompositor(segmenter, canvas);
+
+        if ('MediaStreamTrackProcessor' in window && 'MediaStreamTrackGenerator' in window) {
+            const processor = new MediaStreamTrackProcessor({ track: source });
+            const generator = new MediaStreamTrackGenerator({ kind: 'video' });
+            const abort = new AbortController();
+
+            processor.readable.pipeThrough(new TransformStream({
+                transform: (frame, controller) => {
+                    // Camera off: nothing is shown, so skip the model
+                    if (!generator.enabled) {
+                        frame.close();
+                        return;
+                    }
+                    render(frame, frame.displayWidth, frame.displayHeight);
+                    controller.enqueue(new VideoFrame(canvas, { timestamp: frame.timestamp }));
+                    frame.close();
+                }
+            })).pipeTo(generator.writable, { signal: abort.signal }).catch(() => {});
+
+            return {
+                source: source,
+                output: generator,
+                stop: () => {
+                    abort.abort();
+                    generator.stop();
+                }
+            };
+        }
+
+        const video = document.createElement('video');
+        video.muted = true;
+        video.playsInline = true;
+        video.srcObject = new MediaStream([source]);
+        await video.play();
+
+        const output = canvas.captureStream(MediaEffects.FALLBACK_FPS).getVideoTracks()[0];
+        let timer = null;
+        const draw = () => {
+            if (output.enabled && video.videoWidth) {
+                render(video, video.videoWidth, video.videoHeight);
+            }
+            // Timers keep running in background tabs, unlike requestAnimationFrame
+            timer = setTimeout(draw, 1000 / MediaEffects.FALLBACK_FPS);
+        };
+        draw();
+
+        return {
+            source: source,
+            output: output,
+            stop: () => {
+                clearTimeout(timer);
+                output.stop();
+                video.srcObject = null;
+            }
+        };
+    }
+
+    createCompositor(segmenter, canvas) {
+        const context = canvas.getContext('2d');
+        const maskCanvas = document.createElement('canvas');
+        const maskContext = maskCanvas.getContext('2d');
+        let maskData = null;
+
+        return (image, width, height) => {
+            if (canvas.width !== width || canvas.height !== height) {
+                canvas.width = width;
+                canvas.height = height;
+            }
+
+            // The person's confidence becomes the alpha of a small mask image
+            segmenter.segmentForVideo(image, performance.now(), (result) => {
+                const mask = result.confidenceMasks[0];
+                if (!maskData || maskData.width !== mask.width || maskData.height !== mask.height) {
+                    maskCanvas.width = mask.width;
+                    maskCanvas.height = mask.height;
+                    maskData = new ImageData(mask.width, mask.height);
+                }
+                const values = mask.getAsFloat32Array();
+                for (let i = 0; i < values.length; i++) {
+                    maskData.data[i * 4 + 3] = values[i] * 255;
+                }
+                maskContext.putImageData(maskData, 0, 0);
+            });
+
+            context.save();
+            // Person: the mask scaled up, filled with the frame
+            context.globalCompositeOperation = 'copy';
+            context.filter = `blur(${MediaEffects.EDGE_BLUR_PX}px)`;
+            context.drawImage(maskCanvas, 0, 0, width, height);
+            context.filter = 'none';
+            context.globalCompositeOperation = 'source-in';
+            context.drawImage(image, 0, 0, width, height);
+
+            // Background: behind the person
+            context.globalCompositeOperation = 'destination-over';
+            if (this.settings.background === 'image' && this.backgroundImage) {
+                this.drawCover(context, this.backgroundImage, width, height);
+            } else {
+                context.filter = `blur(${MediaEffects.BLUR_PX}px)`;
+                context.drawImage(image, 0, 0, width, height);
+            }
+            context.restore();
+        };
+    }
+
+    drawCover(context, image, width, height) {
+        // Fill the frame without stretching, cropping whichever side is too long
+        const scale = Math.max(width / image.width, height / image.height);
+        const drawWidth = image.width * scale;
+        const drawHeight = image.height * scale;
+        context.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+    }
+
+    async createAudioPipeline(source) {
+        if (!MediaEffects.supportsAudio()) {
+            throw new Error('AudioWorklet is not supported');
+        }
+        if (!this.audioContext) {
+            this.audioContext = new AudioContext();
+            this.audioReady = this.audioContext.audioWorklet.addModule(new URL('noise-gate-worklet.js', import.meta.url));
+        }
+        await this.audioReady;
+        await this.audioContext.resume();
+
+        const input = this.audioContext.createMediaStreamSource(new MediaStream([source]));
+        const gate = new AudioWorkletNode(this.audioContext, 'noise-gate');
+        const destination = this.audioContext.createMediaStreamDestination();
+        input.connect(gate).connect(destination);
+        const output = destination.stream.getAudioTracks()[0];
+
+        return {
+            source: source,
+            output: output,
+            stop: () => {
+                input.disconnect();
+                gate.disconnect();
+                output.stop();
+            }
+        };
+    }
+
+    async setBackgroundImage(file) {
+        this.backgroundImage?.close();
+        this.backgroundImage = await createImageBitmap(file);
+    }
+
+    stop() {
+        for (const pipeline of this.pipelines.values()) {
+            pipeline.stop();
+            pipeline.source.stop();
+        }
+        this.pipelines.clear();
+        this.audioContext?.close();
+        this.audioContext = null;
+        this.audioReady = null;
+    }
+}
@@ -0,0 +1,117 @@
+import json
+import sqlite3
+from typing import List, Optional
+
+
+class MeetingStore:
+    """Scheduled meetings in a SQLite file
+
+    A meeting owns a room ID and an invite token, both random, and the room
+    settings it starts with. Cancelled meetings are kept, so old invite links
+    can say so instead of failing.
+    """
+
+    # Settings a meeting can start its room with
+    SETTINGS = ("locked", "lobby", "private", "multiple_presenters")
+
+    def __init__(self, path: str):
+        self.db = sqlite3.connect(path, check_same_thread=False)
+        self.db.row_factory = sqlite3.Row
+        self.db.execute("""
+            CREATE TABLE IF NOT EXISTS meetings (
+                id TEXT PRIMARY KEY,
+                title TEXT NOT NULL,
+                host TEXT NOT NULL,
+                start_at TEXT NOT NULL,
+                end_at TEXT NOT NULL,
+                room_id TEXT NOT NULL UNIQUE,
+                invite_token TEXT NOT NULL UNIQUE,
+                host_key_hash TEXT NOT NULL,
+                settings TEXT NOT NULL DEFAULT '{}',
+                password_salt BLOB,
+                password_hash BLOB,
+                sequence INTEGER NOT NULL DEFAULT 0,
+                created_at TEXT NOT NULL,
+                updated_at TEXT NOT NULL,
+                cancelled_at TEXT
+            )
+        """)
+        self.db.execute("CREATE INDEX IF NOT EXISTS meetings_end ON meetings (end_at)")
+        self.db.commit()
+
+    def add(self, meeting: dict) -> dict:
+        self.db.execute(
+            """INSERT INTO meetings (id, title, host, start_at, end_at, room_id, invite_token, host_key_hash,
+                                     settings, password_salt, password_hash, created_at, updated_at)
+               VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)""",
+            (meeting["id"], meeting["title"], meeting["host"], meeting["start_at"], meeting["end_at"],
+             meeting["room_id"], meeting["invite_token"], meeting["host_key_hash"], json.dumps(meeting["settings"]),
+             meeting.get("password_salt"), meeting.get("password_hash"), meeting["created_at"], meeting["created_at"])
+        )
+        self.db.commit()
+        return self.get(meeting["id"])
+
+    def get(self, meeting_id: str) -> Optional[dict]:
+        return self.find("id", meeting_id)
+
+    def by_invite(self, invite_token: str) -> Optional[dict]:
+        return self.find("invite_token", invite_token)
+
+    def by_room(self, room_id: str) -> Optional[dict]:
+        return self.find("room_id", room_id)
+
+    def find(self, column: str, value: str) -> Optional[dict]:
+        row = self.db.execute(f"SELECT * FROM meetings WHERE {column} = ?", (value,)).fetchone()
+        return self.from_row(row) if row else None
+
+    def update(self, meeting_id: str, changes: dict, updated_at: str) -> Optional[dict]:
+        """Apply changes and bump the sequence, so calendars replace their copy"""
+        columns = {
+            "title": lambda value: value,
+            "host": lambda value: value,
+            "start_at": lambda value: value,
+            "end_at": lambda value: value,
+            "settings": json.dumps,
+            "password_salt": lambda value: value,
+            "password_hash": lambda value: value,
+            "cancelled_at": lambda value: value
+        }
+        updates = {key: columns[key](value) for key, value in changes.items() if key in columns}
+        if updates:
+            assignments = ", ".join(f"{key} = ?" for key in updates)
+            self.db.execute(
+                f"UPDATE meetings SET {assignments}, sequence = sequence + 1, updated_at = ? WHERE id = ?",
+                (*updates.values(), updated_at, meeting_id)
+            )
+            self.db.commit()
+        return self.get(meeting_id)
+
+    def upcoming(self, now: str, limit: int) -> List[dict]:
+        """Public meetings that haven't ended or been cancelled, soonest first"""
+        rows = self.db.execute(
+            """SELECT * FROM meetings
+               WHERE end_at > ? AND cancelled_at IS NULL AND COALESCE(json_extract(settings, '$.private'), 0) = 0
+               ORDER BY start_at LIMIT ?""",
+            (now, limit)
+        ).fetchall()
+        return [self.from_row(row) for row in rows]
+
+    @staticmethod
+    def from_row(row: sqlite3.Row) -> dict:
+        return {
+            "id": row["id"],
+            "title": row["title"],
+            "host": row["host"],
+            "start_at": row["start_at"],
+            "end_at": row["end_at"],
+            "room_id": row["room_id"],
+            "invite_token": row["invite_token"],
+            "host_key_hash": row["host_key_hash"],
+            "settings": json.loads(row["settings"]),
+            "password_salt": row["password_salt"],
+            "password_hash": row["password_hash"],
+            "sequence": row["sequence"],
+            "created_at": row["created_at"],
+            "updated_at": row["updated_at"],
+            "cancelled_at": row["cancelled_at"]
+        }
@@ -0,0 +1,55 @@
+// Noise gate for the microphone, run on the audio thread. It tracks the level of
+// the background noise and only lets sound through while it is clearly louder,
+// fading in and out so words aren't clipped.
+class NoiseGateProcessor extends AudioWorkletProcessor {
+    static OPEN_RATIO = 3; // level above the noise floor that opens the gate
+    static MIN_OPEN_LEVEL = 0.01; // never open for anything quieter than this
+    static HOLD_SECONDS = 0.25; // stay open through short pauses between words
+    static ATTACK_SECONDS = 0.005;
+    static RELEASE_SECONDS = 0.15;
+    static CLOSED_GAIN = 0.05; // a little room tone sounds more natural than silence
+
+    constructor() {
+        super();
+        this.noiseFloor = 0.005;
+        this.gain = NoiseGateProcessor.CLOSED_GAIN;
+        this.heldFor = 0;
+    }
+
+    process(inputs, outputs) {
+        const input = inputs[0];
+        const output = outputs[0];
+        if (!input || input.length === 0) return true;
+
+        // One level for all channels, so stereo stays balanced
+        let sum = 0;
+        for (const channel of input) {
+            for (const sample of channel) sum += sample * sample;
+        }
+        const level = Math.sqrt(sum / (input.length * input[0].length));
+        const blockSeconds = input[0].length / sampleRate;
+
+        // The floor follows quiet stretches quickly and loud ones very slowly
+        this.noiseFloor += (level - this.noiseFloor) * (level < this.noiseFloor ? 0.1 : 0.001);
+
+        const open = level > Math.max(this.noiseFloor * NoiseGateProcessor.OPEN_RATIO, NoiseGateProcessor.MIN_OPEN_LEVEL);
+        this.heldFor = open ? 0 : this.heldFor + blockSeconds;
+        const target = this.heldFor < NoiseGateProcessor.HOLD_SECONDS ? 1 : NoiseGateProcessor.CLOSED_GAIN;
+        const time = target > this.gain ? NoiseGateProcessor.ATTACK_SECONDS : NoiseGateProcessor.RELEASE_SECONDS;
+        const step = 1 - Math.exp(-1 / (time * sampleRate));
+
+        for (let c = 0; c < output.length; c++) {
+            const inChannel = input[c] || input[0];
+            const outChannel = output[c];
+            let gain = this.gain;
+            for (let i = 0; i < outChannel.length; i++) {
+                gain += (target - gain) * step;
+                outChannel[i] = inChannel[i] * gain;
+            }
+            if (c === output.length - 1) this.gain = gain;
+        }
+        return true;
+    }
+}
+
+registerProcessor('noise-gate', NoiseGateProcessor);
@@ -0,0 +1,144 @@
+// Records the call as WebM: every tile in the video grid is drawn onto one
+// canvas and every audio track is mixed through Web Audio.
+export class CallRecorder {
+    constructor(videoGrid) {
+        this.videoGrid = videoGrid;
+        this.canvas = null;
+        this.context = null;
+        this.audioContext = null;
+        this.audioDestination = null;
+        this.audioSources = new Map(); // MediaStream id -> MediaStreamAudioSourceNode
+        this.mediaRecorder = null;
+        this.chunks = [];
+        this.drawInterval = null;
+        this.startedAt = null;
+    }
+
+    static isSupported() {
+        return typeof MediaRecorder !== 'undefined' &&
+            typeof HTMLCanvasElement.prototype.captureStream === 'function';
+    }
+
+    get isRecording() {
+        return this.mediaRecorder?.state === 'recording';
+    }
+
+    start() {
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = 1280;
+        this.canvas.height = 720;
+        this.context = this.canvas.getContext('2d');
+
+        this.audioContext = new AudioContext();
+        this.audioDestination = this.audioContext.createMediaStreamDestination();
+
+        // A timer rather than requestAnimationFrame so a background tab keeps recording
+        this.drawFrame();
+        this.drawInterval = setInterval(() => this.drawFrame(), 1000 / 30);
+
+        const stream = new MediaStream([
+            ...this.canvas.captureStream(30).getVideoTracks(),
+            ...this.audioDestination.stream.getAudioTracks()
+        ]);
+
+        this.chunks = [];
+        this.mediaRecorder = new MediaRecorder(stream, { mimeType: this.pickMimeType() });
+        this.mediaRecorder.ondataavailable = (event) => {
+            if (event.data.size > 0) this.chunks.push(event.data);
+        };
+        // Emit a chunk every second so a crash mid-call loses little
+        this.mediaRecorder.start(1000);
+        this.startedAt = new Date();
+    }
+
+    stop() {
+        return new Promise((resolve) => {
+            if (!this.mediaRecorder || this.mediaRecorder.state === 'inactive') {
+                resolve(null);
+                return;
+            }
+
+            this.mediaRecorder.onstop = () => {
+                const blob = new Blob(this.chunks, { type: 'video/webm' });
+                this.cleanup();
+                resolve(blob);
+            };
+            this.mediaRecorder.stop();
+        });
+    }
+
+    cleanup() {
+        clearInterval(this.drawInterval);
+        this.mediaRecorder?.stream.getTracks().forEach(track => track.stop());
+        this.audioSources.forEach(source => source.disconnect());
+        this.audioSources.clear();
+        this.audioContext?.close();
+        this.audioContext = null;
+        this.mediaRecorder = null;
+        this.chunks = [];
+    }
+
+    pickMimeType() {
+        const candidates = [
+            'video/webm;codecs=vp9,opus',
+            'video/webm;codecs=vp8,opus',
+            'video/webm'
+        ];
+        return candidates.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+
+    drawFrame() {
+        const videos = [...this.videoGrid.querySelectorAll('video')];
+        const { width, height } = this.canvas;
+
+        this.context.fillStyle = '#1f2937';
+        this.context.fillRect(0, 0, width, height);
+
+        // Same near-square arrangement the grid uses on screen
+        const columns = Math.ceil(Math.sqrt(videos.length)) || 1;
+        const rows = Math.ceil(videos.length / columns) || 1;
+        const tileWidth = width / columns;
+        const tileHeight = height / rows;
+
+        videos.forEach((video, index) => {
+            const x = (index % columns) * tileWidth;
+            const y = Math.floor(index / columns) * tileHeight;
+            this.drawTile(video, x, y, tileWidth, tileHeight);
+            this.mixAudio(video.srcObject);
+        });
+    }
+
+    drawTile(video, x, y, tileWidth, tileHeight) {
+        if (video.readyState >= 2 && video.videoWidth) {
+            // Letterbox to keep the aspect ratio
+            const scale = Math.min(tileWidth / video.videoWidth, tileHeight / video.videoHeight);
+            const drawWidth = video.videoWidth * scale;
+            const drawHeight = video.videoHeight * scale;
+            this.context.drawImage(
+                video,
+                x + (tileWidth - drawWidth) / 2,
+                y + (tileHeight - drawHeight) / 2,
+                drawWidth,
+                drawHeight
+            );
+        }
+
+        const label = video.parentElement?.querySelector('.user-name')?.textContent;
+        if (label) {
+            this.context.font = '600 18px sans-serif';
+            this.context.fillStyle = 'rgba(0, 0, 0, 0.7)';
+            this.context.fillRect(x + 10, y + tileHeight - 40, this.context.measureText(label).width + 20, 30);
+            this.context.fillStyle = 'white';
+            this.context.fillText(label, x + 20, y + tileHeight - 19);
+        }
+    }
+
+    mixAudio(stream) {
+        // Tiles come and go during the call, so new streams are picked up as they appear
+        if (!stream || this.audioSources.has(stream.id) || stream.getAudioTracks().length === 0) return;
+
+        const source = this.audioContext.createMediaStreamSource(stream);
+        source.connect(this.audioDestination);
+        this.audioSources.set(stream.id, source);
+    }
+}
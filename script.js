@@ -1,697 +1,2009 @@
-class VideoChatApp {
-    constructor() {
-        this.clientId = this.generateClientId();
-        this.roomId = null;
-        this.username = 'User';
-        this.peers = new Map(); // clientId -> RTCPeerConnection
-        this.localStream = null;
-        this.screenStream = null;
-        this.socket = null;
-        this.isVideoOn = true;
-        this.isAudioOn = true;
-        this.isSharingScreen = false;
-        
-        this.initializeUI();
-        this.setupEventListeners();
-        this.loadActiveRooms();
-    }
-
-    generateClientId() {
-        return 'user_' + Math.random().toString(36).substr(2, 9);
-    }
-
-    initializeUI() {
-        // Set default username
-        const savedName = localStorage.getItem('videoChatUsername');
-        if (savedName) {
-            document.getElementById('username').value = savedName;
-        }
-        
-        // Set default room if in URL
-        const urlParams = new URLSearchParams(window.location.search);
-        const roomFromUrl = urlParams.get('room');
-        if (roomFromUrl) {
-            document.getElementById('roomId').value = roomFromUrl;
-        }
-    }
-
-    setupEventListeners() {
-        // Enter key for room joining
-        document.getElementById('roomId').addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') this.joinRoom();
-        });
-        
-        document.getElementById('username').addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') this.joinRoom();
-        });
-        
-        // Enter key for chat
-        document.getElementById('messageInput').addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') this.sendMessage();
-        });
-    }
-
-    async loadActiveRooms() {
-        try {
-            const response = await fetch('/api/rooms');
-            const rooms = await response.json();
-            this.displayActiveRooms(rooms);
-        } catch (error) {
-            console.log('Could not load rooms:', error);
-        }
-    }
-
-    displayActiveRooms(rooms) {
-        const container = document.getElementById('roomsContainer');
-        if (Object.keys(rooms).length === 0) {
-            container.innerHTML = '<p class="no-rooms">No active rooms. Create one!</p>';
-            return;
-        }
-        
-        container.innerHTML = Object.entries(rooms).map(([roomId, roomInfo]) => `
-            <div class="room-item" onclick="joinRoomById('${roomId}')">
-                <div>
-                    <strong>${roomId}</strong>
-                    <div class="room-users">
-                        <span>👥</span> ${roomInfo.user_count} user${roomInfo.user_count !== 1 ? 's' : ''}
-                    </div>
-                </div>
-                <button class="btn-secondary" onclick="event.stopPropagation(); joinRoomById('${roomId}')">
-                    Join
-                </button>
-            </div>
-        `).join('');
-    }
-
-    async joinRoom() {
-        this.username = document.getElementById('username').value.trim() || 'User';
-        this.roomId = document.getElementById('roomId').value.trim() || 'default-room';
-        
-        // Save username
-        localStorage.setItem('videoChatUsername', this.username);
-        
-        // Update URL
-        window.history.pushState({}, '', `?room=${this.roomId}`);
-        
-        // Switch to call screen
-        document.getElementById('joinScreen').style.display = 'none';
-        document.getElementById('callScreen').style.display = 'block';
-        document.getElementById('currentRoomName').textContent = this.roomId;
-        
-        // Connect to WebSocket
-        await this.connectWebSocket();
-        
-        // Start local media
-        await this.startLocalMedia();
-        
-        // Add local video
-        this.addLocalVideo();
-    }
-
-    async connectWebSocket() {
-        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-        const wsUrl = `${protocol}//${window.location.host}/ws/${this.clientId}`;
-        
-        this.socket = new WebSocket(wsUrl);
-        
-        this.socket.onopen = () => {
-            console.log('WebSocket connected');
-            this.updateConnectionStatus(true);
-            
-            // Send join message
-            this.socket.send(JSON.stringify({
-                type: 'join',
-                room_id: this.roomId,
-                username: this.username,
-                client_id: this.clientId
-            }));
-            
-            // Start ping interval
-            this.pingInterval = setInterval(() => {
-                if (this.socket.readyState === WebSocket.OPEN) {
-                    this.socket.send(JSON.stringify({ type: 'ping' }));
-                }
-            }, 30000);
-        };
-        
-        this.socket.onmessage = async (event) => {
-            const data = JSON.parse(event.data);
-            await this.handleWebSocketMessage(data);
-        };
-        
-        this.socket.onclose = () => {
-            console.log('WebSocket disconnected');
-            this.updateConnectionStatus(false);
-            clearInterval(this.pingInterval);
-            
-            // Try to reconnect after 3 seconds
-            setTimeout(() => {
-                if (this.roomId) {
-                    this.connectWebSocket();
-                }
-            }, 3000);
-        };
-        
-        this.socket.onerror = (error) => {
-            console.error('WebSocket error:', error);
-        };
-    }
-
-    async handleWebSocketMessage(data) {
-        switch(data.type) {
-            case 'room_joined':
-                console.log('Joined room:', data.room_id);
-                // Create peer connections with existing users
-                for (const user of data.existing_users) {
-                    await this.createPeerConnection(user.client_id);
-                }
-                break;
-                
-            case 'user_joined':
-                this.addUserNotification(`${data.username} joined the room`);
-                // Create peer connection with new user
-                await this.createPeerConnection(data.client_id);
-                break;
-                
-            case 'user_left':
-                this.addUserNotification(`${data.username} left the room`);
-                this.removePeerConnection(data.client_id);
-                break;
-                
-            case 'signal':
-                await this.handleSignal(data.from, data.signal, data.signal_type);
-                break;
-                
-            case 'chat':
-                this.addChatMessage(data.username, data.message, data.timestamp);
-                break;
-                
-            case 'pong':
-                // Update last ping time
-                this.lastPong = Date.now();
-                break;
-        }
-    }
-
-    async createPeerConnection(targetClientId) {
-        if (this.peers.has(targetClientId)) {
-            console.log('Peer connection already exists for:', targetClientId);
-            return;
-        }
-
-        const peerConnection = new RTCPeerConnection({
-            iceServers: [
-                { urls: 'stun:stun.l.google.com:19302' },
-                { urls: 'stun:stun1.l.google.com:19302' },
-                { urls: 'stun:stun2.l.google.com:19302' }
-            ]
-        });
-
-        // Add local tracks
-        if (this.localStream) {
-            this.localStream.getTracks().forEach(track => {
-                peerConnection.addTrack(track, this.localStream);
-            });
-        }
-
-        // Handle ICE candidates
-        peerConnection.onicecandidate = (event) => {
-            if (event.candidate && this.socket?.readyState === WebSocket.OPEN) {
-                this.socket.send(JSON.stringify({
-                    type: 'signal',
-                    to: targetClientId,
-                    signal: event.candidate,
-                    signal_type: 'candidate'
-                }));
-            }
-        };
-
-        // Handle remote stream
-        peerConnection.ontrack = (event) => {
-            this.addRemoteVideo(targetClientId, event.streams[0]);
-        };
-
-        // Handle connection state
-        peerConnection.onconnectionstatechange = () => {
-            console.log(`Connection state with ${targetClientId}:`, peerConnection.connectionState);
-            if (peerConnection.connectionState === 'failed' || 
-                peerConnection.connectionState === 'disconnected' ||
-                peerConnection.connectionState === 'closed') {
-                setTimeout(() => {
-                    this.removePeerConnection(targetClientId);
-                }, 2000);
-            }
-        };
-
-        this.peers.set(targetClientId, peerConnection);
-
-        // Create and send offer
-        if (peerConnection.signalingState === 'stable') {
-            try {
-                const offer = await peerConnection.createOffer({
-                    offerToReceiveAudio: true,
-                    offerToReceiveVideo: true
-                });
-                await peerConnection.setLocalDescription(offer);
-                
-                this.socket.send(JSON.stringify({
-                    type: 'signal',
-                    to: targetClientId,
-                    signal: offer,
-                    signal_type: 'offer'
-                }));
-            } catch (error) {
-                console.error('Error creating offer:', error);
-            }
-        }
-    }
-
-    async handleSignal(fromClientId, signal, signalType) {
-        const peerConnection = this.peers.get(fromClientId);
-        
-        if (!peerConnection) {
-            // Create peer connection if it doesn't exist
-            await this.createPeerConnection(fromClientId);
-            return this.handleSignal(fromClientId, signal, signalType);
-        }
-
-        try {
-            switch(signalType) {
-                case 'offer':
-                    await peerConnection.setRemoteDescription(new RTCSessionDescription(signal));
-                    const answer = await peerConnection.createAnswer();
-                    await peerConnection.setLocalDescription(answer);
-                    
-                    this.socket.send(JSON.stringify({
-                        type: 'signal',
-                        to: fromClientId,
-                        signal: answer,
-                        signal_type: 'answer'
-                    }));
-                    break;
-                    
-                case 'answer':
-                    await peerConnection.setRemoteDescription(new RTCSessionDescription(signal));
-                    break;
-                    
-                case 'candidate':
-                    await peerConnection.addIceCandidate(new RTCIceCandidate(signal));
-                    break;
-            }
-        } catch (error) {
-            console.error('Error handling signal:', error);
-        }
-    }
-
-    async startLocalMedia() {
-        try {
-            this.localStream = await navigator.mediaDevices.getUserMedia({
-                video: {
-                    width: { ideal: 1280 },
-                    height: { ideal: 720 },
-                    frameRate: { ideal: 30 }
-                },
-                audio: {
-                    echoCancellation: true,
-                    noiseSuppression: true,
-                    autoGainControl: true
-                }
-            });
-        } catch (error) {
-            console.error('Error accessing media devices:', error);
-            alert('Could not access camera/microphone. Please check permissions.');
-            
-            // Try audio only
-            try {
-                this.localStream = await navigator.mediaDevices.getUserMedia({ audio: true });
-            } catch (audioError) {
-                console.error('Could not access audio either:', audioError);
-            }
-        }
-    }
-
-    addLocalVideo() {
-        const videoGrid = document.getElementById('videoGrid');
-        
-        // Clear existing local video
-        const existingLocal = document.getElementById('localVideoContainer');
-        if (existingLocal) existingLocal.remove();
-        
-        const videoContainer = document.createElement('div');
-        videoContainer.id = 'localVideoContainer';
-        videoContainer.className = 'video-container';
-        
-        const video = document.createElement('video');
-        video.id = 'localVideo';
-        video.autoplay = true;
-        video.muted = true;
-        video.playsInline = true;
-        
-        if (this.localStream) {
-            video.srcObject = this.localStream;
-        } else {
-            // Show placeholder if no camera
-            video.style.backgroundColor = '#333';
-        }
-        
-        const overlay = document.createElement('div');
-        overlay.className = 'video-overlay';
-        overlay.innerHTML = `
-            <span class="user-name">${this.username} (You)</span>
-            ${!this.isVideoOn ? '📷 Off' : ''}
-            ${!this.isAudioOn ? '🔇 Muted' : ''}
-        `;
-        
-        videoContainer.appendChild(video);
-        videoContainer.appendChild(overlay);
-        videoGrid.appendChild(videoContainer);
-    }
-
-    addRemoteVideo(clientId, stream) {
-        const videoGrid = document.getElementById('videoGrid');
-        
-        // Remove existing remote video for this client
-        const existingRemote = document.getElementById(`remoteVideo-${clientId}`);
-        if (existingRemote) existingRemote.remove();
-        
-        const videoContainer = document.createElement('div');
-        videoContainer.id = `remoteVideo-${clientId}`;
-        videoContainer.className = 'video-container';
-        
-        const video = document.createElement('video');
-        video.autoplay = true;
-        video.playsInline = true;
-        video.srcObject = stream;
-        
-        const overlay = document.createElement('div');
-        overlay.className = 'video-overlay';
-        overlay.innerHTML = `<span class="user-name">User ${clientId.substr(0, 8)}</span>`;
-        
-        videoContainer.appendChild(video);
-        videoContainer.appendChild(overlay);
-        videoGrid.appendChild(videoContainer);
-        
-        // Update user count
-        this.updateUserCount();
-    }
-
-    removePeerConnection(clientId) {
-        const peerConnection = this.peers.get(clientId);
-        if (peerConnection) {
-            peerConnection.close();
-            this.peers.delete(clientId);
-        }
-        
-        // Remove video element
-        const videoElement = document.getElementById(`remoteVideo-${clientId}`);
-        if (videoElement) {
-            videoElement.remove();
-        }
-        
-        // Update user count
-        this.updateUserCount();
-    }
-
-    async toggleVideo() {
-        if (!this.localStream) return;
-        
-        this.isVideoOn = !this.isVideoOn;
-        const videoTrack = this.localStream.getVideoTracks()[0];
-        
-        if (videoTrack) {
-            videoTrack.enabled = this.isVideoOn;
-            document.getElementById('videoToggle').innerHTML = 
-                `<span class="icon">${this.isVideoOn ? '📹' : '📷'}</span> ${this.isVideoOn ? 'Video On' : 'Video Off'}`;
-            
-            // Update local video overlay
-            this.updateLocalVideoOverlay();
-        }
-    }
-
-    async toggleAudio() {
-        if (!this.localStream) return;
-        
-        this.isAudioOn = !this.isAudioOn;
-        const audioTrack = this.localStream.getAudioTracks()[0];
-        
-        if (audioTrack) {
-            audioTrack.enabled = this.isAudioOn;
-            document.getElementById('audioToggle').innerHTML = 
-                `<span class="icon">${this.isAudioOn ? '🎤' : '🔇'}</span> ${this.isAudioOn ? 'Mic On' : 'Mic Off'}`;
-            
-            // Update local video overlay
-            this.updateLocalVideoOverlay();
-        }
-    }
-
-    async shareScreen() {
-        if (this.isSharingScreen) {
-            // Stop screen sharing
-            if (this.screenStream) {
-                this.screenStream.getTracks().forEach(track => track.stop());
-                this.screenStream = null;
-            }
-            
-            // Switch back to camera
-            const videoTrack = this.localStream.getVideoTracks()[0];
-            if (videoTrack) {
-                this.replaceTrack(videoTrack);
-            }
-            
-            this.isSharingScreen = false;
-            document.getElementById('screenShare').innerHTML = 
-                '<span class="icon">🖥️</span> Share Screen';
-        } else {
-            try {
-                this.screenStream = await navigator.mediaDevices.getDisplayMedia({
-                    video: true,
-                    audio: false
-                });
-                
-                // Replace video track with screen track
-                const screenTrack = this.screenStream.getVideoTracks()[0];
-                this.replaceTrack(screenTrack);
-                
-                this.isSharingScreen = true;
-                document.getElementById('screenShare').innerHTML = 
-                    '<span class="icon">🖥️</span> Stop Sharing';
-                
-                // Handle when user stops sharing via browser UI
-                screenTrack.onended = () => {
-                    this.shareScreen();
-                };
-                
-            } catch (error) {
-                console.error('Error sharing screen:', error);
-            }
-        }
-    }
-
-    replaceTrack(newTrack) {
-        // Replace track in local stream
-        const oldTrack = this.localStream.getVideoTracks()[0];
-        if (oldTrack) {
-            this.localStream.removeTrack(oldTrack);
-            oldTrack.stop();
-        }
-        this.localStream.addTrack(newTrack);
-        
-        // Update local video
-        const localVideo = document.getElementById('localVideo');
-        if (localVideo) {
-            localVideo.srcObject = this.localStream;
-        }
-        
-        // Replace track in all peer connections
-        for (const [clientId, peerConnection] of this.peers.entries()) {
-            const sender = peerConnection.getSenders().find(s => 
-                s.track && s.track.kind === 'video'
-            );
-            if (sender) {
-                sender.replaceTrack(newTrack);
-            }
-        }
-    }
-
-    updateLocalVideoOverlay() {
-        const overlay = document.querySelector('#localVideoContainer .video-overlay');
-        if (overlay) {
-            overlay.innerHTML = `
-                <span class="user-name">${this.username} (You)</span>
-                ${!this.isVideoOn ? '📷 Off' : ''}
-                ${!this.isAudioOn ? '🔇 Muted' : ''}
-            `;
-        }
-    }
-
-    updateUserCount() {
-        const userCount = this.peers.size + 1; // +1 for local user
-        document.getElementById('userCount').textContent = userCount;
-    }
-
-    updateConnectionStatus(connected) {
-        const statusElement = document.getElementById('connectionStatus');
-        if (connected) {
-            statusElement.innerHTML = '<span class="status-indicator"></span> Connected';
-            statusElement.style.color = '#10b981';
-        } else {
-            statusElement.innerHTML = '<span class="status-indicator" style="background: #ef4444;"></span> Connecting...';
-            statusElement.style.color = '#ef4444';
-        }
-    }
-
-    sendMessage() {
-        const input = document.getElementById('messageInput');
-        const message = input.value.trim();
-        
-        if (message && this.socket?.readyState === WebSocket.OPEN) {
-            this.socket.send(JSON.stringify({
-                type: 'chat',
-                message: message
-            }));
-            
-            // Clear input
-            input.value = '';
-            input.focus();
-        }
-    }
-
-    addChatMessage(username, message, timestamp) {
-        const chatMessages = document.getElementById('chatMessages');
-        
-        const messageDiv = document.createElement('div');
-        messageDiv.className = 'message';
-        
-        const now = new Date();
-        const timeStr = timestamp ? 
-            new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) :
-            now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-        
-        messageDiv.innerHTML = `
-            <div class="message-header">
-                <span class="message-sender">${username}</span>
-                <span class="message-time">${timeStr}</span>
-            </div>
-            <div class="message-content">${this.escapeHtml(message)}</div>
-        `;
-        
-        chatMessages.appendChild(messageDiv);
-        chatMessages.scrollTop = chatMessages.scrollHeight;
-    }
-
-    addUserNotification(message) {
-        const chatMessages = document.getElementById('chatMessages');
-        
-        const notificationDiv = document.createElement('div');
-        notificationDiv.className = 'message system-message';
-        notificationDiv.textContent = message;
-        
-        chatMessages.appendChild(notificationDiv);
-        chatMessages.scrollTop = chatMessages.scrollHeight;
-    }
-
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
-    }
-
-    async leaveRoom() {
-        // Close all peer connections
-        for (const [clientId, peerConnection] of this.peers.entries()) {
-            peerConnection.close();
-        }
-        this.peers.clear();
-        
-        // Stop local media
-        if (this.localStream) {
-            this.localStream.getTracks().forEach(track => track.stop());
-            this.localStream = null;
-        }
-        
-        // Stop screen sharing
-        if (this.screenStream) {
-            this.screenStream.getTracks().forEach(track => track.stop());
-            this.screenStream = null;
-        }
-        
-        // Close WebSocket
-        if (this.socket) {
-            this.socket.close();
-        }
-        
-        // Clear video grid
-        document.getElementById('videoGrid').innerHTML = '';
-        
-        // Clear chat
-        document.getElementById('chatMessages').innerHTML = 
-            '<div class="system-message">Welcome to the chat! Messages are end-to-end encrypted.</div>';
-        
-        // Switch back to join screen
-        document.getElementById('callScreen').style.display = 'none';
-        document.getElementById('joinScreen').style.display = 'block';
-        
-        // Reload active rooms
-        this.loadActiveRooms();
-        
-        this.roomId = null;
-        this.isSharingScreen = false;
-    }
-}
-
-// Global functions for HTML onclick handlers
-function generateRoomId() {
-    const adjectives = ['Cool', 'Fun', 'Happy', 'Sunny', 'Bright', 'Quick', 'Smart', 'Brave'];
-    const nouns = ['Room', 'Space', 'Zone', 'Area', 'Place', 'Spot', 'Hub'];
-    const adj = adjectives[Math.floor(Math.random() * adjectives.length)];
-    const noun = nouns[Math.floor(Math.random() * nouns.length)];
-    const number = Math.floor(Math.random() * 1000);
-    document.getElementById('roomId').value = `${adj}${noun}${number}`;
-}
-
-function joinRoom() {
-    if (!window.videoChatApp) {
-        window.videoChatApp = new VideoChatApp();
-    }
-    window.videoChatApp.joinRoom();
-}
-
-function joinRoomById(roomId) {
-    document.getElementById('roomId').value = roomId;
-    joinRoom();
-}
-
-function sendMessage() {
-    if (window.videoChatApp) {
-        window.videoChatApp.sendMessage();
-    }
-}
-
-function leaveRoom() {
-    if (window.videoChatApp) {
-        window.videoChatApp.leaveRoom();
-    }
-}
-
-function toggleVideo() {
-    if (window.videoChatApp) {
-        window.videoChatApp.toggleVideo();
-    }
-}
-
-function toggleAudio() {
-    if (window.videoChatApp) {
-        window.videoChatApp.toggleAudio();
-    }
-}
-
-function shareScreen() {
-    if (window.videoChatApp) {
-        window.videoChatApp.shareScreen();
-    }
-}
-
-// Initialize app when page loads
-document.addEventListener('DOMContentLoaded', () => {
-    window.videoChatApp = new VideoChatApp();
-});
\ No newline at end of file
+// The app's own page: index.html, drawn from the events of a VideoChatClient
+import { CallRecorder } from './recorder.js';
+import { CallTranscript } from './transcript.js';
+import { EmbedBridge } from './embed-bridge.js';
+import { LiveCaptions } from './captions.js';
+import { MediaEffects } from './media-effects.js';
+import { RoomEncryption } from './e2ee.js';
+import { SpeakerDetector } from './speaker-detector.js';
+import { VideoChatClient } from './video-chat-client.js';
+
+class VideoChatApp {
+    static GRID_PAGE_SIZE = 9;
+    static FILMSTRIP_PAGE_SIZE = 6;
+    static REACTION_MS = 3000; // how long a reaction stays on a tile and in the list
+    static CAPTION_HOLD_MS = 4000; // how long a finished caption stays on the tile
+
+    // What each data-action button in the page does, with its data-value if it has one
+    static ACTIONS = {
+        generateRoomId: (app) => app.generateRoomId(),
+        joinRoom: (app) => app.joinRoom(),
+        joinRoomById: (app, roomId) => app.joinRoomById(roomId),
+        retryMedia: (app) => app.retryMedia(),
+        enterRoom: (app) => app.enterRoom(),
+        leaveRoom: (app) => app.leaveRoom(),
+        toggleVideo: (app) => app.client.toggleVideo(),
+        toggleAudio: (app) => app.client.toggleAudio(),
+        shareScreen: (app) => app.shareScreen(),
+        toggleRecording: (app) => app.toggleRecording(),
+        toggleHand: (app) => app.client.toggleHand(),
+        callNextHand: (app) => app.client.callNextHand(),
+        toggleStatsOverlay: (app) => app.toggleStatsOverlay(),
+        toggleDeviceSettings: (app) => app.toggleDeviceSettings(),
+        toggleRoomSettings: (app) => app.toggleRoomSettings(),
+        saveRoomSettings: (app) => app.saveRoomSettings(),
+        endMeeting: (app) => app.endMeeting(),
+        setLayout: (app, layout) => app.setLayout(layout),
+        changeLayoutPage: (app, delta) => app.changeLayoutPage(Number(delta)),
+        loadOlderMessages: (app) => app.client.loadOlderMessages(),
+        cancelReply: (app) => app.setReplyTo(null),
+        toggleCaptions: (app) => app.toggleCaptions(),
+        downloadTranscript: (app, format) => app.downloadTranscript(format),
+        chooseFiles: () => document.getElementById('fileInput').click(),
+        sendMessage: (app) => app.sendMessage()
+    };
+
+    // How the page follows each of the client's events
+    static CLIENT_EVENTS = {
+        connectionStateChanged: (app, { state, retryInSeconds }) => app.updateConnectionStatus(state, retryInSeconds),
+        joined: (app, data) => app.handleJoined(data),
+        resumed: (app, { transcript }) => app.addTranscript(transcript),
+        left: (app, details) => app.handleLeft(details),
+        lobbyWaiting: (app) => app.handleLobbyWaiting(),
+        // A refused join ends in left instead
+        serverError: (app, { message, messageType }) => messageType !== 'join' && app.addUserNotification(message),
+        localMediaChanged: (app, { kind }) => app.handleLocalMediaChanged(kind),
+        trackAdded: (app, { clientId, stream, screen }) => screen ?
+            app.addScreenTile(clientId, stream) :
+            app.addRemoteVideo(clientId, stream),
+        trackRemoved: (app, { clientId, screen }) => screen ? app.removeScreenTile(clientId) : app.removeRemoteVideo(clientId),
+        // Layer requests the peer may have missed go out again
+        peerConnectionStateChanged: (app, { state }) => state === 'connected' && app.renderLayout(),
+        participantJoined: (app, { username }) => app.addUserNotification(`${username} joined the room`),
+        participantLeft: (app, { username }) => app.addUserNotification(`${username} left the room`),
+        participantUpdated: (app, { clientId }) => app.renderTileOverlay(clientId),
+        rosterChanged: (app) => app.renderRoster(),
+        roomSettingsChanged: (app, { settings, wasHost }) => app.applyRoomSettings(settings, wasHost),
+        topologyChanged: (app) => app.addUserNotification('This room is now large, so video goes through the server'),
+        lobbyRequest: (app, { username }) => app.addUserNotification(`${username} is waiting to join`),
+        lobbyChanged: (app) => app.renderLobbyRequests(),
+        handQueueChanged: (app) => app.renderHands(),
+        handCalled: (app, { clientId, username, by }) => app.addUserNotification(clientId === app.client.clientId ?
+            `${by} called on you. Go ahead!` :
+            `${by} called on ${username}`),
+        reaction: (app, { clientId, emoji }) => app.showReaction(clientId, emoji),
+        recording: (app, { clientId, username, active }) => clientId !== app.client.clientId &&
+            app.addUserNotification(`${username} ${active ? 'started' : 'stopped'} recording`),
+        screenShare: (app, { username, active }) => app.addUserNotification(`${username} ${active ? 'started' : 'stopped'} presenting`),
+        screenShareDenied: (app, { presenter }) =>
+            app.addUserNotification(`${presenter} is already presenting. The host can allow more than one presenter.`),
+        mutedByHost: (app, { kind, by }) => app.addUserNotification(kind === 'audio' ?
+            `${by} muted your microphone` :
+            `${by} turned off your camera`),
+        chatMessage: (app, message) => app.addChatMessage(message),
+        chatMessageUpdated: (app, message) => app.updateChatMessage(message),
+        chatHistoryLoaded: (app, { hasMore }) => {
+            document.getElementById('loadOlderButton').style.display = hasMore ? 'block' : 'none';
+        },
+        typingChanged: (app, typing) => app.renderTyping(typing),
+        caption: (app, caption) => {
+            app.showCaption(caption);
+            if (caption.final && !caption.undecryptable) app.transcript.add(caption);
+        },
+        fileTransfer: (app, transfer) => app.renderFileTransfer(transfer),
+        callStats: (app) => document.getElementById('statsOverlay').style.display !== 'none' && app.renderStatsOverlay(),
+        audioOnlyChanged: (app, { audioOnly }) => app.handleAudioOnlyChange(audioOnly),
+        decryptError: (app, { clientId }) => app.addUserNotification(
+            `Cannot decrypt ${app.client.getParticipantName(clientId)}'s media. Check that you use the same passphrase.`)
+    };
+
+    constructor() {
+        this.effects = new MediaEffects((message) => this.addUserNotification(message));
+        this.client = new VideoChatClient({
+            effects: this.effects,
+            // Saved choices are only a preference, so a missing device falls back to the default
+            preferredDevices: {
+                audio: localStorage.getItem('videoChatMicrophone') || '',
+                video: localStorage.getItem('videoChatCamera') || ''
+            }
+        });
+        this.roomId = null;
+        this.username = 'User';
+        this.joinOptions = null; // what the join form said, used once media is ready
+        this.replyTo = null; // message ID the next chat message answers
+        this.unreadCount = 0;
+        this.recorder = null; // CallRecorder while we are recording
+        this.speakerId = localStorage.getItem('videoChatSpeaker') || '';
+        this.micMeter = null; // { audioContext, analyser, frame } while the settings panel is open
+        this.speakerDetector = new SpeakerDetector((activeSpeaker, speaking) => this.handleSpeakersChanged(activeSpeaker, speaking));
+        this.layout = localStorage.getItem('videoChatLayout') || 'grid'; // grid or speaker
+        this.layoutPage = 0;
+        this.pinnedId = null; // clientId held on the main stage
+        this.stageSpeaker = null; // last remote participant to take the floor
+        this.presenterId = null; // remote participant whose screen share has the stage
+        this.reactions = new Map(); // clientId -> { emoji, timer } shown next to their name
+        this.captions = new LiveCaptions((segment) => this.client.sendCaption(segment), (message) => this.handleCaptionsError(message), {
+            // The server's CAPTION_ENGINE_URL, if it has a local speech recognition engine
+            localEngineUrl: document.querySelector('meta[name="caption-engine"]')?.content || null
+        });
+        this.captionsOn = localStorage.getItem('videoChatCaptions') === 'on'; // whether we caption our own microphone
+        this.captionTimers = new Map(); // clientId -> timer that clears their caption from the tile
+        this.transcript = new CallTranscript();
+        
+        for (const [event, handler] of Object.entries(VideoChatApp.CLIENT_EVENTS)) {
+            this.client.on(event, (data) => handler(this, data));
+        }
+        this.initializeUI();
+        this.setupEventListeners();
+        this.loadActiveRooms();
+    }
+
+    initializeUI() {
+        // Set default username
+        const savedName = localStorage.getItem('videoChatUsername');
+        if (savedName) {
+            document.getElementById('username').value = savedName;
+        }
+        
+        // Set default room if in URL
+        const urlParams = new URLSearchParams(window.location.search);
+        const roomFromUrl = urlParams.get('room');
+        if (roomFromUrl) {
+            document.getElementById('roomId').value = roomFromUrl;
+        }
+        
+        // Invite links to scheduled meetings carry a token instead of the room
+        const invite = urlParams.get('invite');
+        if (invite) {
+            this.loadInvite(invite);
+        }
+        // A booked host's link also carries the host key, after the # so it never reaches server logs
+        this.hostKey = new URLSearchParams(window.location.hash.slice(1)).get('hostKey') || '';
+        
+        this.renderEffectControls();
+        this.renderCaptionsButton();
+        
+        // One button per reaction the server accepts
+        const reactionBar = document.getElementById('reactionBar');
+        for (const emoji of VideoChatClient.TILE_REACTIONS) {
+            const button = document.createElement('button');
+            button.className = 'reaction-button';
+            button.textContent = emoji;
+            button.title = `React with ${emoji}`;
+            button.addEventListener('click', () => this.client.sendReaction(emoji));
+            reactionBar.appendChild(button);
+        }
+    }
+
+    setupEventListeners() {
+        // One listener for every data-action button, including ones rendered later
+        document.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button && Object.hasOwn(VideoChatApp.ACTIONS, button.dataset.action)) {
+                VideoChatApp.ACTIONS[button.dataset.action](this, button.dataset.value);
+            }
+        });
+        
+        // Enter key for room joining
+        document.getElementById('roomId').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.joinRoom();
+        });
+        
+        document.getElementById('username').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.joinRoom();
+        });
+        
+        // Enter key for chat
+        document.getElementById('messageInput').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.sendMessage();
+        });
+        document.getElementById('messageInput').addEventListener('input', () => this.notifyTyping());
+        document.getElementById('chatRecipient').addEventListener('change', () => this.client.stopTyping());
+        document.getElementById('fileInput').addEventListener('change', (e) => {
+            this.sendFiles(e.target.files);
+            e.target.value = '';
+        });
+        
+        // Unread counts and read receipts follow what is actually on screen
+        document.getElementById('chatMessages').addEventListener('scroll', () => this.markVisibleAsRead());
+        document.addEventListener('visibilitychange', () => this.markVisibleAsRead());
+        
+        // Closing the tab leaves the call too, so the server frees our slot and the summary goes out
+        window.addEventListener('pagehide', () => {
+            if (this.client.roomId) this.client.leave();
+        });
+        
+        // Device pickers in the settings panel
+        document.getElementById('cameraSelect').addEventListener('change', (e) => {
+            this.switchDevice('video', e.target.value);
+        });
+        document.getElementById('microphoneSelect').addEventListener('change', (e) => {
+            this.switchDevice('audio', e.target.value);
+        });
+        document.getElementById('speakerSelect').addEventListener('change', (e) => {
+            this.setSpeaker(e.target.value);
+        });
+        
+        // Background and noise effects in the same panel
+        document.getElementById('backgroundSelect').addEventListener('change', (e) => {
+            if (e.target.value === 'image') {
+                // Stays on the current effect until an image is picked
+                e.target.value = this.effects.settings.background;
+                document.getElementById('backgroundImageInput').click();
+            } else {
+                this.setBackground(e.target.value);
+            }
+        });
+        document.getElementById('backgroundImageInput').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            try {
+                await this.effects.setBackgroundImage(file);
+                await this.setBackground('image');
+            } catch (error) {
+                console.error('Error loading background image:', error);
+                this.addUserNotification('That image could not be used as a background');
+            }
+        });
+        document.getElementById('noiseGateToggle').addEventListener('change', (e) => {
+            this.effects.settings.noiseGate = e.target.checked;
+            this.applyEffects('audio');
+        });
+        
+        // Opt-in for the anonymous call quality summary
+        const shareSummary = document.getElementById('shareCallSummary');
+        shareSummary.checked = localStorage.getItem('videoChatShareSummary') === 'true';
+        shareSummary.addEventListener('change', (e) => {
+            localStorage.setItem('videoChatShareSummary', e.target.checked);
+        });
+        
+        // Headsets and webcams being plugged in or out
+        navigator.mediaDevices?.addEventListener('devicechange', () => this.handleDeviceChange());
+    }
+
+    async loadActiveRooms() {
+        // Scheduled meetings are listed alongside
+        this.loadUpcomingMeetings();
+        try {
+            const response = await fetch('/api/rooms');
+            const rooms = await response.json();
+            this.displayActiveRooms(rooms);
+        } catch (error) {
+            console.log('Could not load rooms:', error);
+        }
+    }
+
+    displayActiveRooms(rooms) {
+        const container = document.getElementById('roomsContainer');
+        if (Object.keys(rooms).length === 0) {
+            container.replaceChildren(this.buildElement('p', { className: 'no-rooms' }, 'No active rooms. Create one!'));
+            return;
+        }
+        
+        // Room IDs come from other people, so they only ever go in as text and data attributes
+        container.replaceChildren(...Object.entries(rooms).map(([roomId, roomInfo]) => this.buildElement('div',
+            { className: 'room-item', dataset: { action: 'joinRoomById', value: roomId } },
+            this.buildElement('div', {},
+                this.buildElement('strong', {}, roomId),
+                roomInfo.has_password && this.buildElement('span', { title: 'Password protected' }, ' 🔑'),
+                roomInfo.locked && this.buildElement('span', { title: 'Locked' }, ' 🔒'),
+                roomInfo.lobby && this.buildElement('span', { title: 'Host admits guests' }, ' 🚪'),
+                this.buildElement('div', { className: 'room-users' },
+                    this.buildElement('span', {}, '👥'),
+                    ` ${roomInfo.user_count} user${roomInfo.user_count !== 1 ? 's' : ''}`
+                )
+            ),
+            this.buildElement('button', { className: 'btn-secondary', dataset: { action: 'joinRoomById', value: roomId } }, 'Join')
+        )));
+    }
+
+    async loadUpcomingMeetings() {
+        try {
+            const response = await fetch('/api/meetings');
+            const { meetings } = await response.json();
+            this.displayUpcomingMeetings(meetings);
+        } catch (error) {
+            console.log('Could not load meetings:', error);
+        }
+    }
+
+    displayUpcomingMeetings(meetings) {
+        const container = document.getElementById('meetingsContainer');
+        if (meetings.length === 0) {
+            container.replaceChildren(this.buildElement('p', { className: 'no-rooms' }, 'No meetings scheduled.'));
+            return;
+        }
+        
+        const now = Date.now();
+        container.replaceChildren(...meetings.map(meeting => {
+            const live = new Date(meeting.start).getTime() <= now;
+            return this.buildElement('div', { className: 'room-item meeting-item' },
+                this.buildElement('div', {},
+                    this.buildElement('strong', {}, meeting.title),
+                    live && this.buildElement('span', { className: 'meeting-live' }, 'Now'),
+                    meeting.has_password && this.buildElement('span', { title: 'Password protected' }, ' 🔑'),
+                    this.buildElement('div', { className: 'room-users' },
+                        `${this.formatMeetingTime(meeting)} · hosted by ${meeting.host}`)
+                ),
+                this.buildElement('div', { className: 'meeting-actions' },
+                    this.buildElement('a', { href: meeting.calendar_url, title: 'Add to calendar', download: 'meeting.ics' }, '📅'),
+                    this.buildElement('button',
+                        { className: 'btn-secondary', dataset: { action: 'joinRoomById', value: meeting.room_id } }, 'Join')
+                )
+            );
+        }));
+    }
+
+    formatMeetingTime(meeting) {
+        const start = new Date(meeting.start);
+        const time = { hour: '2-digit', minute: '2-digit' };
+        return `${start.toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })} ` +
+            `${start.toLocaleTimeString([], time)}–${new Date(meeting.end).toLocaleTimeString([], time)}`;
+    }
+
+    async loadInvite(token) {
+        let meeting = null;
+        try {
+            const response = await fetch(`/api/meetings/invite/${encodeURIComponent(token)}`);
+            if (response.ok) meeting = await response.json();
+        } catch (error) {
+            console.log('Could not load invite:', error);
+        }
+        
+        if (!meeting) {
+            this.showJoinStatus('This invite link is not valid.', 'error');
+        } else if (meeting.cancelled) {
+            this.showJoinStatus(`"${meeting.title}" was cancelled.`, 'error');
+        } else {
+            document.getElementById('roomId').value = meeting.room_id;
+            document.getElementById('passwordGroup').style.display = meeting.has_password ? 'block' : 'none';
+            this.showJoinStatus(`You're invited to "${meeting.title}", ${this.formatMeetingTime(meeting)}, hosted by ${meeting.host}.`);
+        }
+    }
+
+    generateRoomId() {
+        const adjectives = ['Cool', 'Fun', 'Happy', 'Sunny', 'Bright', 'Quick', 'Smart', 'Brave'];
+        const nouns = ['Room', 'Space', 'Zone', 'Area', 'Place', 'Spot', 'Hub'];
+        const adj = adjectives[Math.floor(Math.random() * adjectives.length)];
+        const noun = nouns[Math.floor(Math.random() * nouns.length)];
+        const number = Math.floor(Math.random() * 1000);
+        document.getElementById('roomId').value = `${adj}${noun}${number}`;
+    }
+
+    joinRoomById(roomId) {
+        document.getElementById('roomId').value = roomId;
+        this.joinRoom();
+    }
+
+    async joinRoom() {
+        const roomId = document.getElementById('roomId').value.trim() || 'default-room';
+        // Links can carry any ?room= value, so check it before it is used anywhere
+        if (!VideoChatClient.ROOM_ID_PATTERN.test(roomId)) {
+            this.showJoinStatus('Room IDs can use up to 64 letters, numbers, spaces, - and _', 'error');
+            return;
+        }
+        
+        this.username = document.getElementById('username').value.trim() || 'User';
+        this.roomId = roomId;
+        this.joinOptions = {
+            roomId: roomId,
+            username: this.username,
+            password: document.getElementById('roomPassword').value,
+            // Only keys derived from it are used, and only in this browser
+            passphrase: document.getElementById('e2eePassphrase').value,
+            hostKey: this.hostKey
+        };
+        this.showJoinStatus(null);
+        
+        // Save username
+        localStorage.setItem('videoChatUsername', this.username);
+        
+        // Update URL
+        window.history.pushState({}, '', `?room=${encodeURIComponent(this.roomId)}`);
+        
+        // Pre-join step: get media working before anyone can see us
+        document.getElementById('joinScreen').style.display = 'none';
+        document.getElementById('preJoinScreen').style.display = 'block';
+        document.getElementById('preJoinRoomName').textContent = this.roomId;
+        
+        await this.client.startLocalMedia();
+        this.showPreJoinPreview();
+    }
+
+    async retryMedia() {
+        this.client.stopLocalMedia();
+        await this.client.startLocalMedia();
+        this.showPreJoinPreview();
+    }
+
+    showPreJoinPreview() {
+        const preview = document.getElementById('preJoinPreview');
+        preview.srcObject = this.client.localStream;
+        document.getElementById('preJoinVideoOff').style.display = this.client.isVideoOn ? 'none' : 'flex';
+        
+        const errors = document.getElementById('mediaErrors');
+        const messages = Object.values(this.client.mediaErrors);
+        errors.innerHTML = '';
+        for (const message of messages) {
+            const line = document.createElement('p');
+            line.textContent = message;
+            errors.appendChild(line);
+        }
+        errors.style.display = messages.length > 0 ? 'block' : 'none';
+        document.getElementById('retryMediaButton').style.display = messages.length > 0 ? 'inline-flex' : 'none';
+        
+        this.renderMediaButtons();
+        this.startMicMeter('preJoinMicLevelBar');
+    }
+
+    async enterRoom() {
+        this.stopMicMeter();
+        document.getElementById('preJoinPreview').srcObject = null;
+        
+        // Switch to call screen
+        document.getElementById('preJoinScreen').style.display = 'none';
+        document.getElementById('callScreen').style.display = 'block';
+        document.getElementById('currentRoomName').textContent = this.roomId;
+        
+        // Add local video
+        this.addLocalVideo();
+        
+        await this.client.join(this.joinOptions);
+        this.addUserNotification(this.client.encryption ?
+            `End-to-end encryption is on. Safety number: ${this.client.encryption.safetyNumber}` :
+            'End-to-end encryption is off: the server can read chat messages.');
+    }
+
+    handleJoined({ roomId, transcript }) {
+        // We may have been waiting in the lobby until now
+        this.showJoinStatus(null);
+        document.getElementById('joinScreen').style.display = 'none';
+        document.getElementById('callScreen').style.display = 'block';
+        
+        // Joins through the embed bridge skip the join form
+        this.roomId = roomId;
+        document.getElementById('currentRoomName').textContent = roomId;
+        if (!document.getElementById('localVideoContainer')) this.addLocalVideo();
+        
+        this.addTranscript(transcript);
+        this.updateCaptions();
+    }
+
+    handleLobbyWaiting() {
+        // Back to the join screen until the host lets us in
+        document.getElementById('callScreen').style.display = 'none';
+        document.getElementById('joinScreen').style.display = 'block';
+        this.showJoinStatus('Waiting for the host to let you in...', 'waiting');
+    }
+
+    addLocalVideo() {
+        const videoGrid = document.getElementById('videoGrid');
+        
+        // Clear existing local video
+        const existingLocal = document.getElementById('localVideoContainer');
+        if (existingLocal) existingLocal.remove();
+        
+        const videoContainer = document.createElement('div');
+        videoContainer.id = 'localVideoContainer';
+        videoContainer.className = 'video-container';
+        videoContainer.dataset.clientId = this.client.clientId;
+        
+        const video = document.createElement('video');
+        video.id = 'localVideo';
+        video.autoplay = true;
+        video.muted = true;
+        video.playsInline = true;
+        
+        if (this.client.localStream) {
+            video.srcObject = this.client.localStream;
+        } else {
+            // Show placeholder if no camera
+            video.style.backgroundColor = '#333';
+        }
+        
+        const overlay = document.createElement('div');
+        overlay.className = 'video-overlay';
+        
+        videoContainer.appendChild(video);
+        videoContainer.appendChild(overlay);
+        this.addPinButton(videoContainer, this.client.clientId);
+        videoGrid.appendChild(videoContainer);
+        
+        this.updateLocalVideoOverlay();
+        // Our own level only drives the highlight, never the stage
+        this.speakerDetector.add(this.client.clientId, this.client.localStream);
+        this.renderLayout();
+    }
+
+    addRemoteVideo(clientId, stream) {
+        const videoGrid = document.getElementById('videoGrid');
+        
+        // Remove existing remote video for this client
+        const existingRemote = document.getElementById(`remoteVideo-${clientId}`);
+        if (existingRemote) existingRemote.remove();
+        
+        const videoContainer = document.createElement('div');
+        videoContainer.id = `remoteVideo-${clientId}`;
+        videoContainer.className = 'video-container';
+        videoContainer.dataset.clientId = clientId;
+        
+        const video = document.createElement('video');
+        video.autoplay = true;
+        video.playsInline = true;
+        video.srcObject = stream;
+        this.applySpeaker(video);
+        
+        const overlay = document.createElement('div');
+        overlay.className = 'video-overlay';
+        
+        videoContainer.appendChild(video);
+        videoContainer.appendChild(overlay);
+        this.addPinButton(videoContainer, clientId);
+        videoGrid.appendChild(videoContainer);
+        
+        this.renderTileOverlay(clientId);
+        this.renderModerationMenu(clientId);
+        this.speakerDetector.add(clientId, stream);
+        this.renderLayout();
+    }
+
+    removeRemoteVideo(clientId) {
+        document.getElementById(`remoteVideo-${clientId}`)?.remove();
+        this.speakerDetector.remove(clientId);
+        this.renderLayout();
+    }
+
+    addPinButton(videoContainer, clientId) {
+        const button = document.createElement('button');
+        button.className = 'pin-toggle';
+        button.title = 'Pin to the main stage';
+        button.textContent = '📌';
+        button.addEventListener('click', () => this.togglePin(clientId));
+        videoContainer.appendChild(button);
+    }
+
+    togglePin(clientId) {
+        this.pinnedId = this.pinnedId === clientId ? null : clientId;
+        this.renderLayout();
+    }
+
+    setLayout(layout) {
+        this.layout = layout;
+        this.layoutPage = 0;
+        this.pinnedId = null;
+        localStorage.setItem('videoChatLayout', layout);
+        this.renderLayout();
+    }
+
+    changeLayoutPage(delta) {
+        this.layoutPage = Math.max(0, this.layoutPage + delta);
+        this.renderLayout();
+    }
+
+    handleSpeakersChanged(activeSpeaker, speaking) {
+        document.querySelectorAll('#videoGrid .video-container').forEach(tile => {
+            tile.classList.toggle('speaking', speaking.has(tile.dataset.clientId));
+        });
+        
+        if (activeSpeaker && activeSpeaker !== this.client.clientId && activeSpeaker !== this.stageSpeaker) {
+            this.stageSpeaker = activeSpeaker;
+            this.renderLayout();
+        }
+    }
+
+    getOrderedTiles() {
+        // Us first, then everyone else in the order they joined, each screen share after its owner's camera
+        const joinedAt = (clientId) => this.client.participants.get(clientId)?.joinedAt || '~';
+        return [...document.querySelectorAll('#videoGrid .video-container')]
+            .map(element => {
+                const ownerId = element.dataset.ownerId || element.dataset.clientId;
+                return {
+                    clientId: element.dataset.clientId,
+                    ownerId: ownerId,
+                    isLocal: ownerId === this.client.clientId,
+                    isScreen: Boolean(element.dataset.ownerId),
+                    element: element
+                };
+            })
+            .sort((a, b) => (b.isLocal - a.isLocal) || joinedAt(a.ownerId).localeCompare(joinedAt(b.ownerId)) ||
+                (a.isScreen - b.isScreen));
+    }
+
+    renderLayout() {
+        const videoGrid = document.getElementById('videoGrid');
+        const tiles = this.getOrderedTiles();
+        
+        // A new screen share switches to speaker view once; the user can switch back
+        const presenter = tiles.find(tile => !tile.isLocal && tile.isScreen);
+        const presenterId = presenter?.ownerId ?? null;
+        if (presenterId !== this.presenterId) {
+            this.presenterId = presenterId;
+            this.layout = presenterId ? 'speaker' : localStorage.getItem('videoChatLayout') || 'grid';
+        }
+        
+        const pinned = tiles.find(tile => tile.clientId === this.pinnedId);
+        if (!pinned) this.pinnedId = null;
+        const layout = pinned ? 'speaker' : this.layout;
+        
+        let stage = null;
+        let others = tiles;
+        if (layout === 'speaker') {
+            stage = pinned || presenter ||
+                tiles.find(tile => tile.clientId === this.stageSpeaker) ||
+                tiles.find(tile => !tile.isLocal) || tiles[0] || null;
+            others = tiles.filter(tile => tile !== stage);
+        }
+        
+        // Large rooms page through the grid or filmstrip instead of shrinking tiles to nothing
+        const pageSize = layout === 'speaker' ? VideoChatApp.FILMSTRIP_PAGE_SIZE : VideoChatApp.GRID_PAGE_SIZE;
+        const pageCount = Math.max(1, Math.ceil(others.length / pageSize));
+        this.layoutPage = Math.min(this.layoutPage, pageCount - 1);
+        const visible = new Set(others.slice(this.layoutPage * pageSize, (this.layoutPage + 1) * pageSize));
+        
+        tiles.forEach((tile, index) => {
+            tile.element.classList.toggle('stage', tile === stage);
+            tile.element.classList.toggle('pinned', tile.clientId === this.pinnedId);
+            tile.element.style.display = tile === stage || visible.has(tile) ? '' : 'none';
+            tile.element.style.order = tile === stage ? -1 : index;
+        });
+        
+        videoGrid.className = `video-grid layout-${layout}`;
+        videoGrid.style.setProperty('--grid-columns', Math.ceil(Math.sqrt(visible.size)) || 1);
+        
+        document.getElementById('layoutGridButton').classList.toggle('active', layout === 'grid');
+        document.getElementById('layoutSpeakerButton').classList.toggle('active', layout === 'speaker');
+        document.getElementById('layoutPager').style.display = pageCount > 1 ? 'flex' : 'none';
+        document.getElementById('layoutPageLabel').textContent = `${this.layoutPage + 1} / ${pageCount}`;
+        
+        this.requestLayers(tiles, stage, visible, layout);
+    }
+
+    requestLayers(tiles, stage, visible, layout) {
+        // The media server forwards whatever each publisher sends it
+        if (this.client.isSfu()) return;
+        
+        // Ask each sender for only as much video as their tile shows
+        for (const tile of tiles) {
+            // Requests are for camera tiles; senders size their screen share themselves
+            if (tile.isLocal || tile.isScreen) continue;
+            
+            let layer;
+            if (this.client.audioOnly) {
+                layer = 'off';
+            } else if (tile === stage) {
+                layer = 'high';
+            } else if (!visible.has(tile)) {
+                // Recordings draw every tile, including those on other pages
+                layer = this.recorder?.isRecording ? 'low' : 'off';
+            } else if (layout === 'speaker') {
+                layer = 'low';
+            } else {
+                layer = visible.size <= 2 ? 'high' : 'medium';
+            }
+            
+            this.client.requestLayer(tile.clientId, layer);
+        }
+    }
+
+    handleAudioOnlyChange(audioOnly) {
+        document.getElementById('audioOnlyBadge').style.display = audioOnly ? 'inline-block' : 'none';
+        this.addUserNotification(audioOnly ?
+            'Your connection is too weak for video, so the call switched to audio only' :
+            'Trying video again');
+        this.renderLayout();
+    }
+
+    renderModerationMenu(clientId) {
+        const videoContainer = document.getElementById(`remoteVideo-${clientId}`);
+        if (!videoContainer) return;
+        
+        const existingMenu = videoContainer.querySelector('.moderation-menu');
+        if (existingMenu) existingMenu.remove();
+        if (!this.client.isHost()) return;
+        
+        const menu = document.createElement('div');
+        menu.className = 'moderation-menu';
+        
+        const toggleButton = document.createElement('button');
+        toggleButton.className = 'moderation-toggle';
+        toggleButton.title = 'Moderate';
+        toggleButton.textContent = '⋮';
+        
+        const actions = document.createElement('div');
+        actions.className = 'moderation-actions';
+        actions.style.display = 'none';
+        toggleButton.addEventListener('click', () => {
+            actions.style.display = actions.style.display === 'none' ? 'flex' : 'none';
+        });
+        
+        const items = [
+            ['Mute microphone', () => this.client.muteParticipant(clientId, 'audio')],
+            ['Turn off camera', () => this.client.muteParticipant(clientId, 'video')],
+            ['Remove from meeting', () => {
+                if (confirm(`Remove ${this.client.getParticipantName(clientId)} from the meeting?`)) {
+                    this.client.removeFromMeeting(clientId);
+                }
+            }]
+        ];
+        for (const [label, action] of items) {
+            const item = document.createElement('button');
+            item.textContent = label;
+            item.addEventListener('click', () => {
+                actions.style.display = 'none';
+                action();
+            });
+            actions.appendChild(item);
+        }
+        
+        menu.appendChild(toggleButton);
+        menu.appendChild(actions);
+        videoContainer.appendChild(menu);
+    }
+
+    endMeeting() {
+        if (!this.client.isHost() || !confirm('End the meeting for everyone?')) return;
+        this.client.endMeeting();
+    }
+
+    renderMediaButtons() {
+        const hasVideo = Boolean(this.client.localStream?.getVideoTracks().length);
+        const hasAudio = Boolean(this.client.localStream?.getAudioTracks().length);
+        const videoLabel = `<span class="icon">${this.client.isVideoOn ? '📹' : '📷'}</span> ${this.client.isVideoOn ? 'Video On' : 'Video Off'}`;
+        const audioLabel = `<span class="icon">${this.client.isAudioOn ? '🎤' : '🔇'}</span> ${this.client.isAudioOn ? 'Mic On' : 'Mic Off'}`;
+        
+        // The call screen and the pre-join screen share the same state
+        for (const id of ['videoToggle', 'preJoinVideoToggle']) {
+            document.getElementById(id).innerHTML = videoLabel;
+            document.getElementById(id).disabled = !hasVideo;
+        }
+        for (const id of ['audioToggle', 'preJoinAudioToggle']) {
+            document.getElementById(id).innerHTML = audioLabel;
+            document.getElementById(id).disabled = !hasAudio;
+        }
+    }
+
+    async shareScreen() {
+        if (this.client.screenStream) {
+            this.client.stopScreenShare();
+        } else {
+            await this.client.shareScreen();
+        }
+    }
+
+    renderHands() {
+        const raised = this.client.handQueue.includes(this.client.clientId);
+        const handToggle = document.getElementById('handToggle');
+        handToggle.innerHTML = raised ?
+            '<span class="icon">✋</span> Lower Hand' :
+            '<span class="icon">✋</span> Raise Hand';
+        handToggle.classList.toggle('active', raised);
+        document.getElementById('callNextHandButton').style.display =
+            this.client.isHost() && this.client.handQueue.length > 0 ? 'block' : 'none';
+        
+        this.renderRoster();
+        for (const clientId of this.client.participants.keys()) {
+            this.renderTileOverlay(clientId);
+        }
+    }
+
+    showReaction(clientId, emoji) {
+        if (!this.client.participants.has(clientId)) return;
+        
+        // Floats up over the tile, then removes itself
+        const isLocal = clientId === this.client.clientId;
+        const tile = document.getElementById(isLocal ? 'localVideoContainer' : `remoteVideo-${clientId}`);
+        if (tile) {
+            const bubble = document.createElement('span');
+            bubble.className = 'tile-reaction';
+            bubble.textContent = emoji;
+            bubble.style.left = `${20 + Math.random() * 60}%`;
+            bubble.addEventListener('animationend', () => bubble.remove());
+            tile.appendChild(bubble);
+        }
+        
+        // And sits next to their name for a moment
+        clearTimeout(this.reactions.get(clientId)?.timer);
+        const timer = setTimeout(() => {
+            this.reactions.delete(clientId);
+            this.renderRoster();
+        }, VideoChatApp.REACTION_MS);
+        this.reactions.set(clientId, { emoji: emoji, timer: timer });
+        this.renderRoster();
+    }
+
+    async toggleCaptions() {
+        if (!this.captionsOn && !this.captions.isSupported({ onDevice: this.captionsOnDevice() })) {
+            this.addUserNotification(this.captionsUnavailableMessage());
+            return;
+        }
+        this.captionsOn = !this.captionsOn;
+        localStorage.setItem('videoChatCaptions', this.captionsOn ? 'on' : 'off');
+        this.updateCaptions();
+        this.addUserNotification(this.captionsOn ?
+            'Captions on: what you say is transcribed for everyone in the room' :
+            'Captions off');
+    }
+
+    // Captions run while they are on and our microphone is live in the call
+    updateCaptions() {
+        const track = this.client.localStream?.getAudioTracks()[0];
+        const onDevice = this.captionsOnDevice();
+        if (this.captionsOn && this.client.isJoined && !this.captions.isSupported({ onDevice: onDevice })) {
+            // Captions left on from an earlier call, now in a room they can't be used in
+            this.captions.stop();
+            this.handleCaptionsError(this.captionsUnavailableMessage());
+            return;
+        }
+        if (this.captionsOn && this.client.isJoined && this.client.isAudioOn && track) {
+            this.captions.start(track, { onDevice: onDevice });
+        } else {
+            this.captions.stop();
+        }
+        this.renderCaptionsButton();
+    }
+
+    // In an end-to-end encrypted room our voice may not leave this browser, not even for captions
+    captionsOnDevice() {
+        return Boolean(this.client.encryption);
+    }
+
+    captionsUnavailableMessage() {
+        return this.captionsOnDevice() && this.captions.isSupported() ?
+            "Captions are off in end-to-end encrypted rooms: this browser's speech recognition sends your voice to its vendor" :
+            'This browser cannot transcribe speech, so captions are unavailable';
+    }
+
+    handleCaptionsError(message) {
+        this.captionsOn = false;
+        this.renderCaptionsButton();
+        this.addUserNotification(message);
+    }
+
+    renderCaptionsButton() {
+        const button = document.getElementById('captionsToggle');
+        button.classList.toggle('active', this.captionsOn);
+        button.title = this.captionsOn ? 'Stop captioning what you say' : 'Caption what you say for everyone';
+    }
+
+    addTranscript(captions = []) {
+        for (const caption of captions) {
+            if (!caption.undecryptable) this.transcript.add(caption);
+        }
+    }
+
+    showCaption(caption) {
+        const isLocal = caption.client_id === this.client.clientId;
+        const tile = document.getElementById(isLocal ? 'localVideoContainer' : `remoteVideo-${caption.client_id}`);
+        if (!tile) return;
+        
+        let line = tile.querySelector('.tile-caption');
+        if (!line) {
+            line = this.buildElement('div', { className: 'tile-caption' });
+            tile.appendChild(line);
+        }
+        line.textContent = caption.undecryptable ? '🔒' : caption.text;
+        
+        // A segment still being spoken stays up until its final text replaces it
+        clearTimeout(this.captionTimers.get(caption.client_id));
+        if (caption.final) {
+            this.captionTimers.set(caption.client_id, setTimeout(() => {
+                line.remove();
+                this.captionTimers.delete(caption.client_id);
+            }, VideoChatApp.CAPTION_HOLD_MS));
+        }
+    }
+
+    downloadTranscript(format) {
+        // Chat we can read, whether to everyone or to or from us
+        const chat = [...this.client.chatMessages.values()]
+            .filter(message => !message.deleted && !message.undecryptable && message.message)
+            .map(message => ({
+                speaker: message.to ? `${message.username} (private)` : message.username,
+                text: message.message,
+                timestamp: message.timestamp
+            }));
+        if (this.transcript.size === 0 && chat.length === 0) {
+            this.addUserNotification('Nothing has been said or written yet');
+            return;
+        }
+        
+        const file = this.transcript.export(format, chat, `Transcript of ${this.roomId}`);
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([file.text], { type: file.mimeType }));
+        link.download = `transcript-${this.roomId || 'call'}-${stamp}.${file.extension}`;
+        link.click();
+    }
+
+    renderScreenShareButton() {
+        document.getElementById('screenShare').innerHTML = this.client.isSharingScreen ?
+            '<span class="icon">🖥️</span> Stop Sharing' :
+            '<span class="icon">🖥️</span> Share Screen';
+    }
+
+    addScreenTile(clientId, stream) {
+        const isLocal = clientId === this.client.clientId;
+        document.getElementById(`screenVideo-${clientId}`)?.remove();
+        
+        const videoContainer = document.createElement('div');
+        videoContainer.id = `screenVideo-${clientId}`;
+        videoContainer.className = 'video-container screen-share';
+        videoContainer.dataset.clientId = `screen:${clientId}`;
+        videoContainer.dataset.ownerId = clientId;
+        
+        const video = document.createElement('video');
+        video.autoplay = true;
+        video.playsInline = true;
+        // We don't need to hear our own tab
+        video.muted = isLocal;
+        video.srcObject = stream;
+        if (!isLocal) this.applySpeaker(video);
+        
+        const overlay = document.createElement('div');
+        overlay.className = 'video-overlay';
+        const label = document.createElement('span');
+        label.className = 'user-name';
+        label.textContent = `🖥️ ${isLocal ? 'Your' : `${this.client.getParticipantName(clientId)}'s`} screen`;
+        overlay.appendChild(label);
+        
+        videoContainer.appendChild(video);
+        videoContainer.appendChild(overlay);
+        this.addPinButton(videoContainer, `screen:${clientId}`);
+        document.getElementById('videoGrid').appendChild(videoContainer);
+        this.renderLayout();
+    }
+
+    removeScreenTile(clientId) {
+        const tile = document.getElementById(`screenVideo-${clientId}`);
+        if (!tile) return;
+        tile.remove();
+        this.renderLayout();
+    }
+
+    async toggleRecording() {
+        if (this.recorder?.isRecording) {
+            await this.stopRecording();
+            return;
+        }
+        
+        if (!CallRecorder.isSupported()) {
+            this.addUserNotification('Recording is not supported in this browser');
+            return;
+        }
+        
+        try {
+            this.recorder = new CallRecorder(document.getElementById('videoGrid'));
+            this.recorder.start();
+        } catch (error) {
+            console.error('Error starting recording:', error);
+            this.recorder = null;
+            this.addUserNotification('Could not start recording');
+            return;
+        }
+        
+        document.getElementById('recordToggle').innerHTML = 
+            '<span class="icon">⏹️</span> Stop Recording';
+        this.client.setRecording(true);
+    }
+
+    async stopRecording() {
+        if (!this.recorder) return;
+        
+        const recorder = this.recorder;
+        this.recorder = null;
+        const blob = await recorder.stop();
+        
+        document.getElementById('recordToggle').innerHTML = 
+            '<span class="icon">⏺️</span> Record';
+        this.client.setRecording(false);
+        
+        if (blob) {
+            this.offerRecordingDownload(blob, recorder.startedAt);
+        }
+    }
+
+    offerRecordingDownload(blob, startedAt) {
+        const stamp = (startedAt || new Date()).toISOString().replace(/[:.]/g, '-');
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `recording-${this.roomId || 'call'}-${stamp}.webm`;
+        link.textContent = 'Download recording';
+        
+        // Save straight away; the chat link stays for a second copy
+        link.click();
+        
+        const chatMessages = document.getElementById('chatMessages');
+        const notificationDiv = document.createElement('div');
+        notificationDiv.className = 'message system-message';
+        notificationDiv.appendChild(link);
+        chatMessages.appendChild(notificationDiv);
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+    }
+
+    // Our camera, microphone or screen share changed in the client
+    handleLocalMediaChanged(kind) {
+        if (kind === 'screen') {
+            if (this.client.isSharingScreen) {
+                this.addScreenTile(this.client.clientId, this.client.screenStream);
+            } else {
+                this.removeScreenTile(this.client.clientId);
+            }
+            this.renderScreenShareButton();
+            return;
+        }
+        
+        this.renderMediaButtons();
+        document.getElementById('preJoinVideoOff').style.display = this.client.isVideoOn ? 'none' : 'flex';
+        const localVideo = document.getElementById('localVideo');
+        if (localVideo) {
+            localVideo.srcObject = this.client.localStream;
+        }
+        if (kind === 'audio') {
+            // The analyser and the captions may have been bound to the old microphone track
+            if (localVideo) this.speakerDetector.add(this.client.clientId, this.client.localStream);
+            this.updateCaptions();
+        }
+    }
+
+    async switchDevice(kind, deviceId, remember = true) {
+        if (remember) {
+            const storageKey = kind === 'video' ? 'videoChatCamera' : 'videoChatMicrophone';
+            localStorage.setItem(storageKey, deviceId);
+            this.client.preferredDevices[kind] = deviceId;
+        }
+        
+        try {
+            await this.client.switchDevice(kind, deviceId);
+        
+            if (kind === 'audio' && this.micMeter) {
+                this.startMicMeter(this.micMeter.bar.id);
+            }
+            this.updateDevicePreview();
+        } catch (error) {
+            console.error(`Error switching ${kind} device:`, error);
+            this.addUserNotification(`Could not switch to that ${kind === 'video' ? 'camera' : 'microphone'}`);
+        }
+    }
+
+    async setBackground(mode) {
+        this.effects.settings.background = mode;
+        await this.applyEffects('video');
+    }
+
+    async applyEffects(kind) {
+        await this.client.reprocessTrack(kind);
+        if (kind === 'audio' && this.micMeter) {
+            this.startMicMeter(this.micMeter.bar.id);
+        }
+        this.updateDevicePreview();
+        this.effects.saveSettings();
+        this.renderEffectControls();
+    }
+
+    renderEffectControls() {
+        const backgroundSelect = document.getElementById('backgroundSelect');
+        const noiseGateToggle = document.getElementById('noiseGateToggle');
+        
+        backgroundSelect.value = this.effects.settings.background;
+        backgroundSelect.disabled = !MediaEffects.supportsVideo();
+        backgroundSelect.title = backgroundSelect.disabled ? 'This browser cannot process video' : '';
+        noiseGateToggle.checked = this.effects.settings.noiseGate;
+        noiseGateToggle.disabled = !MediaEffects.supportsAudio();
+        noiseGateToggle.parentElement.title = noiseGateToggle.disabled ?
+            'This browser cannot process audio; its built-in noise suppression is still on' : '';
+    }
+
+    supportsSpeakerSelection() {
+        return 'setSinkId' in HTMLMediaElement.prototype;
+    }
+
+    async setSpeaker(deviceId) {
+        this.speakerId = deviceId;
+        localStorage.setItem('videoChatSpeaker', deviceId);
+        
+        for (const video of document.querySelectorAll('#videoGrid video:not(#localVideo)')) {
+            await this.applySpeaker(video);
+        }
+    }
+
+    async applySpeaker(mediaElement) {
+        if (!this.supportsSpeakerSelection() || !this.speakerId) return;
+        try {
+            await mediaElement.setSinkId(this.speakerId);
+        } catch (error) {
+            console.error('Error setting audio output:', error);
+        }
+    }
+
+    async loadDevices() {
+        if (!navigator.mediaDevices?.enumerateDevices) return [];
+        
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        const currentId = (kind) => this.client.localStream?.getTracks()
+            .find(track => track.kind === kind)?.getSettings().deviceId;
+        
+        this.fillDeviceSelect('cameraSelect', devices.filter(d => d.kind === 'videoinput'),
+            currentId('video') || localStorage.getItem('videoChatCamera'), 'Camera');
+        this.fillDeviceSelect('microphoneSelect', devices.filter(d => d.kind === 'audioinput'),
+            currentId('audio') || localStorage.getItem('videoChatMicrophone'), 'Microphone');
+        this.fillDeviceSelect('speakerSelect', devices.filter(d => d.kind === 'audiooutput'),
+            this.speakerId, 'Speaker');
+        
+        document.getElementById('speakerGroup').style.display = this.supportsSpeakerSelection() ? 'block' : 'none';
+        return devices;
+    }
+
+    fillDeviceSelect(selectId, devices, selectedId, fallbackLabel) {
+        const select = document.getElementById(selectId);
+        select.innerHTML = '';
+        
+        devices.forEach((device, index) => {
+            const option = document.createElement('option');
+            option.value = device.deviceId;
+            // Labels stay empty until the user has granted media permission
+            option.textContent = device.label || `${fallbackLabel} ${index + 1}`;
+            option.selected = device.deviceId === selectedId;
+            select.appendChild(option);
+        });
+        
+        select.disabled = devices.length === 0;
+    }
+
+    async handleDeviceChange() {
+        const devices = await this.loadDevices();
+        if (!this.client.localStream) return;
+        
+        // Fall back to the default device when the one in use disappears
+        for (const sentTrack of this.client.localStream.getTracks()) {
+            // Effects output has no device of its own; check the camera or mic behind it
+            const track = this.effects.getSource(sentTrack);
+            const inputKind = track.kind === 'video' ? 'videoinput' : 'audioinput';
+            const deviceId = track.getSettings().deviceId;
+            const stillPresent = devices.some(d => d.kind === inputKind && d.deviceId === deviceId);
+            
+            if (track.readyState === 'ended' || !stillPresent) {
+                this.addUserNotification(`${track.kind === 'video' ? 'Camera' : 'Microphone'} disconnected, switching to default`);
+                // Keep the saved choice so it is picked again when plugged back in
+                await this.switchDevice(track.kind, '', false);
+            }
+        }
+        
+        if (this.speakerId && !devices.some(d => d.kind === 'audiooutput' && d.deviceId === this.speakerId)) {
+            await this.setSpeaker('');
+        }
+    }
+
+    async toggleDeviceSettings() {
+        const panel = document.getElementById('deviceSettingsPanel');
+        const opening = panel.style.display === 'none';
+        panel.style.display = opening ? 'flex' : 'none';
+        
+        if (opening) {
+            await this.loadDevices();
+            this.updateDevicePreview();
+            this.startMicMeter();
+        } else {
+            document.getElementById('devicePreview').srcObject = null;
+            this.stopMicMeter();
+        }
+    }
+
+    updateDevicePreview() {
+        const preview = document.getElementById('devicePreview');
+        if (preview.offsetParent !== null) {
+            preview.srcObject = this.client.localStream;
+        }
+    }
+
+    startMicMeter(barId = 'micLevelBar') {
+        this.stopMicMeter();
+        const audioTrack = this.client.localStream?.getAudioTracks()[0];
+        if (!audioTrack) return;
+        
+        const audioContext = new AudioContext();
+        const analyser = audioContext.createAnalyser();
+        analyser.fftSize = 512;
+        audioContext.createMediaStreamSource(new MediaStream([audioTrack])).connect(analyser);
+        
+        const samples = new Uint8Array(analyser.fftSize);
+        const bar = document.getElementById(barId);
+        this.micMeter = { audioContext, analyser, bar, frame: null };
+        
+        const draw = () => {
+            analyser.getByteTimeDomainData(samples);
+            // Peak deviation from the 128 midpoint, as a percentage
+            const peak = samples.reduce((max, value) => Math.max(max, Math.abs(value - 128)), 0);
+            bar.style.width = `${Math.min(100, (peak / 128) * 100 * 1.5)}%`;
+            this.micMeter.frame = requestAnimationFrame(draw);
+        };
+        draw();
+    }
+
+    stopMicMeter() {
+        if (!this.micMeter) return;
+        cancelAnimationFrame(this.micMeter.frame);
+        this.micMeter.audioContext.close();
+        this.micMeter.bar.style.width = '0%';
+        this.micMeter = null;
+    }
+
+    updateLocalVideoOverlay() {
+        this.renderTileOverlay(this.client.clientId);
+    }
+
+    toggleStatsOverlay() {
+        const overlay = document.getElementById('statsOverlay');
+        const opening = overlay.style.display === 'none';
+        overlay.style.display = opening ? 'block' : 'none';
+        if (opening) this.renderStatsOverlay();
+    }
+
+    renderStatsOverlay() {
+        const format = (value, unit) => value === null || value === undefined ? '–' : `${value}${unit}`;
+        const video = (info) => info ? `${info.width}×${info.height} @ ${info.fps}fps` : '–';
+        // In SFU mode there is a single connection, to the media server
+        const connections = this.client.isSfu() ?
+            [{ username: 'Media server', stats: this.client.sfuStats }] :
+            [...this.client.participants.values()].filter(participant => !participant.isLocal);
+        const rows = connections.map(participant => {
+            const stats = participant.stats;
+            if (!stats) {
+                return this.buildElement('tr', {},
+                    this.buildElement('td', {}, participant.username),
+                    this.buildElement('td', { colSpan: 8 }, 'Waiting for data'));
+            }
+            return this.buildElement('tr', {}, ...[
+                participant.username,
+                stats.candidateType || '–',
+                format(stats.rttMs, ' ms'),
+                format(stats.lossPercent, '%'),
+                format(stats.jitterMs, ' ms'),
+                format(stats.sendKbps, ' kbps'),
+                format(stats.receiveKbps, ' kbps'),
+                video(stats.sendVideo),
+                video(stats.receiveVideo)
+            ].map(value => this.buildElement('td', {}, value)));
+        });
+        
+        const headings = ['Participant', 'Route', 'RTT', 'Loss', 'Jitter', 'Sending', 'Receiving', 'Sent video', 'Received video'];
+        document.getElementById('statsTable').replaceChildren(rows.length === 0 ?
+            this.buildElement('p', {}, 'No one else is in the call.') :
+            this.buildElement('table', {},
+                this.buildElement('tr', {}, ...headings.map(heading => this.buildElement('th', {}, heading))),
+                ...rows));
+    }
+
+    sendCallSummary(summary) {
+        if (localStorage.getItem('videoChatShareSummary') !== 'true' || summary.connections.length === 0) return;
+        
+        // A beacon still goes out when this runs from pagehide
+        navigator.sendBeacon('/api/call-summary', new Blob([JSON.stringify(summary)], { type: 'application/json' }));
+    }
+
+    renderTileOverlay(clientId) {
+        const isLocal = clientId === this.client.clientId;
+        const containerId = isLocal ? 'localVideoContainer' : `remoteVideo-${clientId}`;
+        const overlay = document.getElementById(containerId)?.querySelector('.video-overlay');
+        if (!overlay) return;
+        
+        const participant = this.client.participants.get(clientId) ||
+            (isLocal ? this.client.getLocalMediaState() : VideoChatClient.fromServerState());
+        
+        const bars = { good: 3, fair: 2, poor: 1 }[participant.quality] || 0;
+        const handPosition = this.client.handQueue.indexOf(clientId) + 1;
+        overlay.replaceChildren(...[
+            !isLocal && this.buildElement('span',
+                { className: 'signal-bars', title: `Connection: ${participant.quality}`, dataset: { level: bars } },
+                ...[1, 2, 3].map(() => document.createElement('i'))),
+            this.buildElement('span', { className: 'user-name' }, `${this.client.getParticipantName(clientId)}${isLocal ? ' (You)' : ''}`),
+            !participant.video && ' 📷 Off',
+            !participant.audio && ' 🔇 Muted',
+            participant.screen && ' 🖥️ Presenting',
+            handPosition > 0 && this.buildElement('span', { className: 'hand-badge' }, `✋ ${handPosition}`)
+        ].filter(Boolean));
+    }
+
+    describePresentation(participant) {
+        const presentation = participant.presentation;
+        if (!presentation) return 'Presenting';
+        const since = new Date(presentation.started_at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        return `Presenting since ${since}${presentation.audio ? ', with audio' : ''}`;
+    }
+
+    renderRoster() {
+        const list = document.getElementById('participantList');
+        const participants = [...this.client.participants.values()]
+            .sort((a, b) => a.joinedAt.localeCompare(b.joinedAt));
+        
+        this.renderChatRecipients(participants);
+        
+        list.replaceChildren(...participants.map(participant => {
+            const joined = new Date(participant.joinedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            const handPosition = this.client.handQueue.indexOf(participant.clientId) + 1;
+            const reaction = this.reactions.get(participant.clientId)?.emoji;
+            const item = this.buildElement('li', { className: 'participant-item', dataset: { clientId: participant.clientId } },
+                this.buildElement('span', {
+                    className: `quality-indicator quality-${participant.quality}`,
+                    title: `Connection: ${participant.quality}`
+                }),
+                this.buildElement('span', { className: 'participant-name', title: `Joined ${joined}` },
+                    `${participant.username}${participant.isLocal ? ' (You)' : ''}`),
+                this.buildElement('span', { className: 'participant-state' },
+                    participant.audio ? '🎤 ' : '🔇 ',
+                    participant.video ? '📹 ' : '📷 ',
+                    participant.screen && this.buildElement('span', { title: this.describePresentation(participant) }, '🖥️ '),
+                    participant.e2ee && '🔒 ',
+                    reaction && this.buildElement('span', { className: 'roster-reaction' }, reaction),
+                    handPosition > 0 && this.buildElement('span',
+                        { className: 'hand-badge', title: `Raised hand, number ${handPosition} in line` }, `✋ ${handPosition}`)
+                )
+            );
+            
+            // The host can take a raised hand down
+            if (this.client.isHost() && handPosition > 0 && !participant.isLocal) {
+                const button = this.buildElement('button', { className: 'lower-hand', title: 'Lower their hand' }, 'Lower');
+                button.addEventListener('click', () => this.client.lowerHand(participant.clientId));
+                item.appendChild(button);
+            }
+            return item;
+        }));
+        
+        this.updateUserCount();
+        this.updateRecordingIndicator();
+        this.renderEncryptionStatus();
+        this.renderLayout();
+    }
+
+    renderChatRecipients(participants) {
+        const select = document.getElementById('chatRecipient');
+        const selected = select.value;
+        select.innerHTML = '<option value="">Everyone</option>';
+        
+        for (const participant of participants) {
+            if (participant.isLocal) continue;
+            const option = document.createElement('option');
+            option.value = participant.clientId;
+            option.textContent = participant.username;
+            select.appendChild(option);
+        }
+        
+        // Falls back to Everyone if the person we were messaging left
+        select.value = this.client.participants.has(selected) ? selected : '';
+    }
+
+    updateRecordingIndicator() {
+        const recorders = [...this.client.participants.values()].filter(participant => participant.recording);
+        const indicator = document.getElementById('recordingIndicator');
+        
+        indicator.style.display = recorders.length > 0 ? 'inline-flex' : 'none';
+        indicator.title = recorders.length > 0 ?
+            `Recorded by ${recorders.map(participant => participant.username).join(', ')}` : '';
+    }
+
+    renderEncryptionStatus() {
+        const status = document.getElementById('e2eeStatus');
+        const safetyNumber = document.getElementById('safetyNumber');
+        const unencrypted = [...this.client.participants.values()].filter(participant => !participant.isLocal && !participant.e2ee);
+        let secure = false;
+        
+        // Say plainly what is and is not protected
+        if (!this.client.encryption) {
+            status.textContent = '🔓 Not end-to-end encrypted';
+            status.title = 'The server can read chat messages. Join with an encryption passphrase to turn on end-to-end encryption.';
+        } else if (!RoomEncryption.supportsMedia()) {
+            status.textContent = '⚠️ Only chat is end-to-end encrypted';
+            status.title = 'This browser cannot encrypt media frames';
+        } else if (this.client.isSfu()) {
+            status.textContent = '⚠️ Only chat is end-to-end encrypted';
+            status.title = 'This room is large enough that audio and video go through the server';
+        } else if (unencrypted.length > 0) {
+            status.textContent = '⚠️ Not everyone is end-to-end encrypted';
+            status.title = `Without encryption: ${unencrypted.map(participant => participant.username).join(', ')}`;
+        } else {
+            status.textContent = '🔒 End-to-end encrypted';
+            status.title = 'Chat and media can only be read by people with the passphrase';
+            secure = true;
+        }
+        status.className = `e2ee-status ${secure ? 'secure' : 'insecure'}`;
+        
+        // Everyone with the same passphrase sees the same number
+        safetyNumber.style.display = this.client.encryption ? 'block' : 'none';
+        safetyNumber.textContent = this.client.encryption ? `Safety number: ${this.client.encryption.safetyNumber}` : '';
+    }
+
+    updateUserCount() {
+        const userCount = Math.max(this.client.participants.size, 1); // we are always in the room
+        document.getElementById('userCount').textContent = userCount;
+        document.getElementById('participantCount').textContent = userCount;
+    }
+
+    showJoinStatus(message, kind) {
+        const status = document.getElementById('joinStatus');
+        if (!message) {
+            status.style.display = 'none';
+            status.textContent = '';
+            return;
+        }
+        
+        status.className = `join-status ${kind || ''}`;
+        status.textContent = message;
+        status.style.display = 'block';
+        
+        if (kind === 'waiting') {
+            const cancelButton = document.createElement('button');
+            cancelButton.className = 'btn-secondary';
+            cancelButton.textContent = 'Cancel';
+            cancelButton.addEventListener('click', () => this.leaveRoom());
+            status.appendChild(cancelButton);
+        }
+    }
+
+    applyRoomSettings(settings, wasHost) {
+        const isHost = this.client.isHost();
+        if (!wasHost && isHost && this.client.participants.size > 1) {
+            this.addUserNotification('You are now the host');
+        }
+        
+        const badges = [];
+        if (settings?.has_password) badges.push('🔑');
+        if (settings?.locked) badges.push('🔒');
+        if (settings?.lobby) badges.push('🚪');
+        document.getElementById('roomBadges').textContent = badges.join(' ');
+        
+        document.getElementById('roomSettingsButton').style.display = isHost ? 'inline-flex' : 'none';
+        document.getElementById('endMeetingButton').style.display = isHost ? 'inline-flex' : 'none';
+        document.getElementById('callNextHandButton').style.display =
+            isHost && this.client.handQueue.length > 0 ? 'block' : 'none';
+        for (const clientId of this.client.participants.keys()) {
+            this.renderModerationMenu(clientId);
+        }
+        if (!isHost) {
+            document.getElementById('roomSettingsPanel').style.display = 'none';
+        }
+        document.getElementById('settingLocked').checked = Boolean(settings?.locked);
+        document.getElementById('settingLobby').checked = Boolean(settings?.lobby);
+        document.getElementById('settingPrivate').checked = Boolean(settings?.private);
+        document.getElementById('settingMultiplePresenters').checked = Boolean(settings?.multiple_presenters);
+        document.getElementById('settingRemovePassword').checked = false;
+        
+        this.renderLobbyRequests();
+    }
+
+    toggleRoomSettings() {
+        const panel = document.getElementById('roomSettingsPanel');
+        panel.style.display = panel.style.display === 'none' ? 'flex' : 'none';
+    }
+
+    saveRoomSettings() {
+        if (!this.client.isHost()) return;
+        
+        const settings = {
+            locked: document.getElementById('settingLocked').checked,
+            lobby: document.getElementById('settingLobby').checked,
+            private: document.getElementById('settingPrivate').checked,
+            multiple_presenters: document.getElementById('settingMultiplePresenters').checked
+        };
+        
+        const passwordInput = document.getElementById('settingPassword');
+        if (document.getElementById('settingRemovePassword').checked) {
+            settings.password = '';
+        } else if (passwordInput.value) {
+            settings.password = passwordInput.value;
+        }
+        passwordInput.value = '';
+        
+        this.client.updateRoomSettings(settings);
+        document.getElementById('roomSettingsPanel').style.display = 'none';
+    }
+
+    renderLobbyRequests() {
+        const container = document.getElementById('lobbyRequests');
+        container.innerHTML = '';
+        container.style.display = this.client.lobbyRequests.size > 0 ? 'block' : 'none';
+        
+        for (const [clientId, username] of this.client.lobbyRequests.entries()) {
+            const row = document.createElement('div');
+            row.className = 'lobby-request';
+            
+            const label = document.createElement('span');
+            label.textContent = `${username} is waiting to join`;
+            
+            const admitButton = document.createElement('button');
+            admitButton.className = 'btn-secondary';
+            admitButton.textContent = 'Admit';
+            admitButton.addEventListener('click', () => this.client.answerLobbyRequest(clientId, true));
+            
+            const rejectButton = document.createElement('button');
+            rejectButton.className = 'btn-danger';
+            rejectButton.textContent = 'Reject';
+            rejectButton.addEventListener('click', () => this.client.answerLobbyRequest(clientId, false));
+            
+            row.appendChild(label);
+            row.appendChild(admitButton);
+            row.appendChild(rejectButton);
+            container.appendChild(row);
+        }
+    }
+
+    updateConnectionStatus(state, retryInSeconds) {
+        const statusElement = document.getElementById('connectionStatus');
+        switch (state) {
+            case 'connected':
+                statusElement.innerHTML = '<span class="status-indicator"></span> Connected';
+                statusElement.style.color = '#10b981';
+                break;
+            case 'resuming':
+                statusElement.innerHTML = '<span class="status-indicator" style="background: #f59e0b;"></span> Resuming session...';
+                statusElement.style.color = '#f59e0b';
+                break;
+            case 'reconnecting':
+                statusElement.innerHTML = `<span class="status-indicator" style="background: #ef4444;"></span> Reconnecting in ${retryInSeconds}s...`;
+                statusElement.style.color = '#ef4444';
+                break;
+            default:
+                statusElement.innerHTML = '<span class="status-indicator" style="background: #ef4444;"></span> Connecting...';
+                statusElement.style.color = '#ef4444';
+        }
+    }
+
+    async sendMessage() {
+        const input = document.getElementById('messageInput');
+        const to = document.getElementById('chatRecipient').value || null;
+        
+        if (await this.client.sendChat(input.value, { to: to, replyTo: this.replyTo })) {
+            input.value = '';
+            input.focus();
+            this.setReplyTo(null);
+        }
+    }
+
+    sendFiles(files) {
+        // Same audience as a chat message: the selected recipient or everyone
+        try {
+            this.client.sendFiles(files, document.getElementById('chatRecipient').value || null);
+        } catch (error) {
+            this.addUserNotification(error.message);
+        }
+    }
+
+    renderFileTransfer(transfer) {
+        const chatMessages = document.getElementById('chatMessages');
+        let card = chatMessages.querySelector(`[data-transfer-id="${CSS.escape(transfer.id)}"]`);
+        const percent = transfer.size ? Math.floor(transfer.bytes / transfer.size * 100) : 100;
+        
+        // Progress only moves the bar, so buttons stay clickable mid-transfer
+        if (card && card.dataset.state === transfer.state) {
+            card.querySelector('.file-progress-bar').style.width = `${percent}%`;
+            card.querySelector('.file-status').textContent = this.describeFileTransfer(transfer, percent);
+            return;
+        }
+        
+        const isNew = !card;
+        if (isNew) {
+            card = document.createElement('div');
+            card.dataset.transferId = transfer.id;
+        }
+        card.dataset.state = transfer.state;
+        
+        const isSender = transfer.direction === 'send';
+        const peerName = this.client.getParticipantName(transfer.clientId);
+        const progressBar = this.buildElement('div', { className: 'file-progress-bar' });
+        progressBar.style.width = `${percent}%`;
+        card.className = `message file-message${isSender ? ' own-message' : ''}`;
+        card.replaceChildren(
+            this.buildElement('div', { className: 'message-header' },
+                this.buildElement('span', { className: 'message-sender' }, isSender ? `You → ${peerName}` : peerName),
+                this.buildElement('span', { className: 'message-time' }, this.formatFileSize(transfer.size))),
+            this.buildElement('div', { className: 'file-name' }, `📎 ${transfer.name}`),
+            this.buildElement('div', { className: 'file-progress' }, progressBar),
+            this.buildElement('div', { className: 'message-footer' },
+                this.buildElement('span', { className: 'file-status' }, this.describeFileTransfer(transfer, percent)),
+                this.buildElement('span', { className: 'file-actions' }))
+        );
+        
+        if (transfer.url && transfer.mime.startsWith('image/')) {
+            const image = document.createElement('img');
+            image.className = 'file-image';
+            image.src = transfer.url;
+            image.alt = transfer.name;
+            card.insertBefore(image, card.querySelector('.file-progress'));
+        }
+        
+        const actions = card.querySelector('.file-actions');
+        const addAction = (label, action) => {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.addEventListener('click', action);
+            actions.appendChild(button);
+        };
+        if (transfer.state === 'offered') {
+            addAction('Accept', () => this.client.fileTransfers.accept(transfer.id));
+            addAction('Decline', () => this.client.fileTransfers.decline(transfer.id));
+        } else if (this.client.fileTransfers.isActive(transfer)) {
+            addAction('Cancel', () => this.client.fileTransfers.cancel(transfer.id));
+        } else if (transfer.state === 'done' && !isSender) {
+            const link = document.createElement('a');
+            link.href = transfer.url;
+            link.download = transfer.name;
+            link.textContent = 'Save';
+            actions.appendChild(link);
+        }
+        
+        if (isNew) {
+            const wasVisible = this.isChatVisible();
+            chatMessages.appendChild(card);
+            if (wasVisible || isSender) {
+                chatMessages.scrollTop = chatMessages.scrollHeight;
+            } else {
+                this.setUnreadCount(this.unreadCount + 1);
+            }
+        }
+    }
+
+    describeFileTransfer(transfer, percent) {
+        const peerName = this.client.getParticipantName(transfer.clientId);
+        switch (transfer.state) {
+            case 'offered':
+                return 'Wants to send you this file';
+            case 'waiting':
+                return transfer.sha256 ? `Waiting for ${peerName} to accept` : 'Preparing...';
+            case 'transferring':
+                return `${transfer.direction === 'send' ? 'Sending' : 'Receiving'} ${percent}%`;
+            case 'verifying':
+                return 'Checking integrity...';
+            case 'done':
+                return transfer.direction === 'send' ? 'Delivered and verified' : 'Received and verified';
+            case 'declined':
+                return transfer.direction === 'send' ? `${peerName} declined` : 'Declined';
+            case 'cancelled':
+                return 'Cancelled';
+            default:
+                return `Failed: ${transfer.error}`;
+        }
+    }
+
+    formatFileSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    async editChatMessage(id) {
+        const message = this.client.chatMessages.get(id);
+        const text = prompt('Edit message', message?.message);
+        if (text !== null) {
+            await this.client.editChat(id, text);
+        }
+    }
+
+    deleteChatMessage(id) {
+        if (confirm('Delete this message for everyone?')) {
+            this.client.deleteChat(id);
+        }
+    }
+
+    setReplyTo(id) {
+        this.replyTo = id;
+        const banner = document.getElementById('replyBanner');
+        const message = id === null ? null : this.client.chatMessages.get(id);
+        
+        if (!message) {
+            this.replyTo = null;
+            banner.style.display = 'none';
+            return;
+        }
+        
+        banner.querySelector('.reply-banner-text').textContent =
+            `Replying to ${message.username}: ${this.snippet(message)}`;
+        banner.style.display = 'flex';
+        document.getElementById('messageInput').focus();
+    }
+
+    snippet(message) {
+        if (message.deleted) return 'Message deleted';
+        if (message.undecryptable) return 'Encrypted message';
+        return message.message.length > 60 ? `${message.message.slice(0, 60)}…` : message.message;
+    }
+
+    notifyTyping() {
+        const to = document.getElementById('chatRecipient').value || null;
+        const hasText = document.getElementById('messageInput').value.trim().length > 0;
+        this.client.setTyping(hasText, to);
+    }
+
+    renderTyping(typing = []) {
+        const names = typing.map(person => person.private ? `${person.username} (to you)` : person.username);
+        const indicator = document.getElementById('typingIndicator');
+        
+        if (names.length === 0) {
+            indicator.textContent = '';
+        } else if (names.length === 1) {
+            indicator.textContent = `${names[0]} is typing…`;
+        } else if (names.length <= 3) {
+            indicator.textContent = `${names.join(', ')} are typing…`;
+        } else {
+            indicator.textContent = 'Several people are typing…';
+        }
+    }
+
+    isChatVisible() {
+        const chatMessages = document.getElementById('chatMessages');
+        const nearBottom = chatMessages.scrollHeight - chatMessages.scrollTop - chatMessages.clientHeight < 40;
+        return document.visibilityState === 'visible' && nearBottom;
+    }
+
+    markVisibleAsRead() {
+        if (!this.isChatVisible()) return;
+        
+        this.client.markAllRead();
+        this.setUnreadCount(0);
+    }
+
+    setUnreadCount(count) {
+        this.unreadCount = count;
+        const badge = document.getElementById('unreadBadge');
+        badge.textContent = count > 99 ? '99+' : count;
+        badge.style.display = count > 0 ? 'inline-block' : 'none';
+        document.title = document.title.replace(/^\(\d+\+?\) /, '');
+        if (count > 0) document.title = `(${badge.textContent}) ${document.title}`;
+    }
+
+    addChatMessage(message) {
+        const chatMessages = document.getElementById('chatMessages');
+        const wasVisible = this.isChatVisible();
+        const messageDiv = this.renderChatMessage(message);
+        
+        // Keep server order: older pages land above what is already shown
+        const later = message.id === null ? null : [...chatMessages.querySelectorAll('[data-message-id]')]
+            .find(element => Number(element.dataset.messageId) > message.id);
+        if (later) {
+            chatMessages.insertBefore(messageDiv, later);
+            return;
+        }
+        
+        chatMessages.appendChild(messageDiv);
+        if (wasVisible || message.from === this.client.clientId) {
+            chatMessages.scrollTop = chatMessages.scrollHeight;
+        }
+        
+        if (message.from !== this.client.clientId && !message.read_by.includes(this.client.clientId)) {
+            if (this.isChatVisible()) {
+                this.markVisibleAsRead();
+            } else {
+                this.setUnreadCount(this.unreadCount + 1);
+            }
+        }
+    }
+
+    updateChatMessage(message) {
+        this.renderChatMessage(message);
+        
+        // Quotes of an edited or deleted message change too
+        for (const reply of this.client.chatMessages.values()) {
+            if (reply.reply_to === message.id) this.renderChatMessage(reply);
+        }
+    }
+
+    renderChatMessage(message) {
+        const existing = message.id === null ? null :
+            document.querySelector(`#chatMessages [data-message-id="${message.id}"]`);
+        const isOwn = message.from === this.client.clientId;
+        const timeStr = (message.timestamp ? new Date(message.timestamp) : new Date())
+            .toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const parent = message.reply_to !== null ? this.client.chatMessages.get(message.reply_to) : null;
+        const recipient = message.to ? (message.to === this.client.clientId ? 'you' : this.client.getParticipantName(message.to)) : null;
+        
+        const messageDiv = this.buildElement('div',
+            { className: `message${isOwn ? ' own-message' : ''}${message.to ? ' private-message' : ''}` },
+            parent && this.buildElement('div', { className: 'message-reply' }, `↪ ${parent.username}: ${this.snippet(parent)}`),
+            this.buildElement('div', { className: 'message-header' },
+                this.buildElement('span', { className: 'message-sender' },
+                    message.username,
+                    recipient && this.buildElement('span', { className: 'message-private' }, ` → ${recipient} (private)`)),
+                this.buildElement('span', { className: 'message-time' }, `${timeStr}${message.edited_at ? ' · edited' : ''}`)),
+            this.buildElement('div', { className: 'message-content' }, ...this.renderChatText(message)),
+            this.buildElement('div', { className: 'message-reactions' }),
+            this.buildElement('div', { className: 'message-footer' },
+                this.buildElement('div', { className: 'message-actions' }),
+                this.buildElement('span', { className: 'message-receipts' }))
+        );
+        if (message.id !== null) messageDiv.dataset.messageId = message.id;
+        
+        if (parent) {
+            messageDiv.querySelector('.message-reply').addEventListener('click', () => {
+                document.querySelector(`#chatMessages [data-message-id="${parent.id}"]`)
+                    ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            });
+        }
+        
+        if (message.id !== null && !message.deleted) {
+            this.renderReactions(messageDiv.querySelector('.message-reactions'), message);
+            this.renderMessageActions(messageDiv.querySelector('.message-actions'), message, isOwn);
+        }
+        
+        // Read receipts are only shown to the author
+        const readers = message.read_by.filter(clientId => clientId !== this.client.clientId);
+        if (isOwn && readers.length > 0) {
+            const receipts = messageDiv.querySelector('.message-receipts');
+            receipts.textContent = message.to ? 'Seen' : `Seen by ${readers.length}`;
+            receipts.title = readers.map(clientId => this.client.getParticipantName(clientId)).join(', ');
+        }
+        
+        if (existing) existing.replaceWith(messageDiv);
+        return messageDiv;
+    }
+
+    renderChatText(message) {
+        if (message.deleted) return [this.buildElement('em', {}, 'Message deleted')];
+        if (message.undecryptable) return [this.buildElement('em', {}, '🔒 Encrypted with a passphrase you do not have')];
+        
+        // In an encrypted room, plaintext means someone joined without the passphrase
+        if (this.client.encryption && !message.encrypted) {
+            return [message.message + ' ', this.buildElement('span',
+                { className: 'message-unencrypted', title: 'Sent without end-to-end encryption' }, '🔓')];
+        }
+        return [message.message];
+    }
+
+    renderReactions(container, message) {
+        for (const [emoji, reactors] of Object.entries(message.reactions)) {
+            const button = document.createElement('button');
+            button.className = `reaction${reactors.includes(this.client.clientId) ? ' mine' : ''}`;
+            button.textContent = `${emoji} ${reactors.length}`;
+            button.title = reactors.map(clientId => this.client.getParticipantName(clientId)).join(', ');
+            button.addEventListener('click', () => this.client.reactToChat(message.id, emoji));
+            container.appendChild(button);
+        }
+    }
+
+    renderMessageActions(container, message, isOwn) {
+        const picker = document.createElement('div');
+        picker.className = 'reaction-picker';
+        picker.style.display = 'none';
+        for (const emoji of ['👍', '❤️', '😂', '🎉', '😮', '😢']) {
+            const option = document.createElement('button');
+            option.textContent = emoji;
+            option.addEventListener('click', () => {
+                picker.style.display = 'none';
+                this.client.reactToChat(message.id, emoji);
+            });
+            picker.appendChild(option);
+        }
+        
+        const actions = [
+            ['😊', 'React', () => {
+                picker.style.display = picker.style.display === 'none' ? 'flex' : 'none';
+            }],
+            ['Reply', 'Reply in thread', () => this.setReplyTo(message.id)]
+        ];
+        if (isOwn) {
+            actions.push(['Edit', 'Edit message', () => this.editChatMessage(message.id)]);
+            actions.push(['Delete', 'Delete message', () => this.deleteChatMessage(message.id)]);
+        }
+        
+        for (const [label, title, action] of actions) {
+            const button = document.createElement('button');
+            button.textContent = label;
+            button.title = title;
+            button.addEventListener('click', action);
+            container.appendChild(button);
+        }
+        container.appendChild(picker);
+    }
+
+    addUserNotification(message) {
+        const chatMessages = document.getElementById('chatMessages');
+        
+        const notificationDiv = document.createElement('div');
+        notificationDiv.className = 'message system-message';
+        notificationDiv.textContent = message;
+        
+        chatMessages.appendChild(notificationDiv);
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+    }
+
+    buildElement(tag, properties = {}, ...children) {
+        const element = document.createElement(tag);
+        const { dataset, ...rest } = properties;
+        Object.assign(element, rest);
+        Object.assign(element.dataset, dataset || {});
+        element.append(...children.filter(child => child || child === 0));
+        return element;
+    }
+
+    async leaveRoom() {
+        // Finish and save any recording before tearing down the tiles it draws
+        if (this.recorder) {
+            await this.stopRecording();
+        }
+        this.client.leave();
+    }
+
+    // However the call ended: we left, the host removed us, or the server turned us away
+    async handleLeft({ reason, by, message, summary }) {
+        // Before anything we wait on, as the page may be closing
+        this.sendCallSummary(summary);
+        
+        // The tiles are still up for a recording to finish on
+        if (this.recorder) {
+            await this.stopRecording();
+        }
+        
+        this.stopMicMeter();
+        document.getElementById('deviceSettingsPanel').style.display = 'none';
+        document.getElementById('statsOverlay').style.display = 'none';
+        document.getElementById('audioOnlyBadge').style.display = 'none';
+        
+        this.speakerDetector.close();
+        this.captions.stop();
+        this.captionTimers.forEach(timer => clearTimeout(timer));
+        this.captionTimers.clear();
+        this.transcript.clear();
+        this.reactions.forEach(reaction => clearTimeout(reaction.timer));
+        this.reactions.clear();
+        this.renderHands();
+        this.pinnedId = null;
+        this.stageSpeaker = null;
+        this.presenterId = null;
+        this.layoutPage = 0;
+        this.applyRoomSettings(null, false);
+        
+        // Clear video grid
+        document.getElementById('videoGrid').innerHTML = '';
+        
+        // Clear chat
+        document.getElementById('chatMessages').innerHTML =
+            '<div class="system-message">Welcome to the chat!</div>';
+        this.setReplyTo(null);
+        this.renderTyping();
+        this.setUnreadCount(0);
+        document.getElementById('loadOlderButton').style.display = 'none';
+        
+        // Switch back to join screen
+        document.getElementById('preJoinScreen').style.display = 'none';
+        document.getElementById('preJoinPreview').srcObject = null;
+        document.getElementById('callScreen').style.display = 'none';
+        document.getElementById('joinScreen').style.display = 'block';
+        this.showJoinStatus(this.describeLeaveReason(reason, by, message), 'error');
+        
+        if (reason === 'password_required' || reason === 'wrong_password') {
+            document.getElementById('passwordGroup').style.display = 'block';
+            document.getElementById('roomPassword').value = '';
+            document.getElementById('roomPassword').focus();
+        }
+        
+        // Reload active rooms
+        this.loadActiveRooms();
+        
+        this.roomId = null;
+        this.renderScreenShareButton();
+    }
+
+    describeLeaveReason(reason, by, message) {
+        const messages = {
+            password_required: 'This room needs a password.',
+            wrong_password: 'That password is not correct.',
+            locked: 'This room is locked by the host.',
+            banned: 'You were removed from this meeting and cannot rejoin.',
+            rejected: 'The host did not let you in.',
+            room_closed: 'The meeting ended before the host let you in.',
+            meeting_cancelled: 'This meeting was cancelled.',
+            removed: `${by} removed you from the meeting.`,
+            meeting_ended: `${by} ended the meeting for everyone.`,
+            error: message
+        };
+        if (!reason) return null;
+        return messages[reason] || 'Could not join the room.';
+    }
+}
+
+// Initialize app when page loads
+document.addEventListener('DOMContentLoaded', () => {
+    window.videoChatApp = new VideoChatApp();
+
+    // Inside another site's iframe, that site can drive the call as well
+    if (window.parent !== window) {
+        window.videoChatApp.embedBridge = new EmbedBridge(window.videoChatApp.client);
+    }
+});
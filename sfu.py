@@ -0,0 +1,187 @@
+import asyncio
+from typing import Callable, Dict, List, Optional
+
+try:
+    from aiortc import RTCConfiguration, RTCIceServer, RTCPeerConnection, RTCSessionDescription
+    from aiortc.contrib.media import MediaRelay
+    from aiortc.sdp import candidate_from_sdp
+    SFU_AVAILABLE = True
+except ImportError:
+    # aiortc is optional; without it every room stays mesh
+    SFU_AVAILABLE = False
+
+
+class MediaForwarder:
+    """Selective forwarding for large rooms, self-hosted on aiortc
+
+    Each client keeps one peer connection to the server: it publishes its own
+    tracks on it and receives everyone else's. The server is always the impolite
+    side of perfect negotiation, so the browser rolls back when offers collide.
+    aiortc decodes and re-encodes what it relays, which costs server CPU and
+    means media cannot be end-to-end encrypted in this mode.
+    """
+
+    def __init__(self, send: Callable, stun_urls: Optional[List[str]] = None):
+        self.send = send  # async (client_id, message) that delivers signaling
+        self.ice_servers = [RTCIceServer(urls=stun_urls)] if stun_urls else []
+        self.relay = MediaRelay()
+        self.peers: Dict[str, "RTCPeerConnection"] = {}
+        self.rooms: Dict[str, str] = {}  # client_id -> room_id
+        self.published: Dict[str, List] = {}  # client_id -> live tracks they send us
+        self.forwarded: Dict[str, Dict[str, Dict]] = {}  # subscriber -> publisher -> {track: RTCRtpSender}
+        self.idle: Dict[str, List] = {}  # subscriber -> senders whose track ended, reused for the next one
+        self.locks: Dict[str, asyncio.Lock] = {}
+
+    def get_peer(self, client_id: str, room_id: str) -> "RTCPeerConnection":
+        pc = self.peers.get(client_id)
+        if pc is None:
+            pc = RTCPeerConnection(RTCConfiguration(iceServers=self.ice_servers))
+            self.peers[client_id] = pc
+            self.rooms[client_id] = room_id
+            self.published[client_id] = []
+            self.forwarded[client_id] = {}
+            self.idle[client_id] = []
+            self.locks[client_id] = asyncio.Lock()
+
+            @pc.on("track")
+            def on_track(track):
+                self.published[client_id].append(track)
+                asyncio.ensure_future(self.forward_to_room(client_id))
+
+                @track.on("ended")
+                def on_ended():
+                    self.unpublish(client_id, track)
+        return pc
+
+    def unpublish(self, publisher: str, track):
+        """Stop forwarding a track that ended, such as a finished screen share"""
+        if track in self.published.get(publisher, []):
+            self.published[publisher].remove(track)
+        for subscriber in self.room_members(self.rooms.get(publisher), exclude=publisher):
+            self.release(subscriber, self.forwarded[subscriber].get(publisher, {}).pop(track, None))
+
+    def release(self, subscriber: str, sender):
+        """Silence a sender and keep it for the subscriber's next track of its kind"""
+        if sender is None:
+            return
+        sender.replaceTrack(None)
+        self.idle[subscriber].append(sender)
+
+    def room_members(self, room_id: str, exclude: str = None) -> List[str]:
+        return [cid for cid, rid in self.rooms.items() if rid == room_id and cid != exclude]
+
+    def missing_tracks(self, subscriber: str) -> bool:
+        """Whether someone in the room publishes a track this subscriber doesn't get yet"""
+        forwarded = self.forwarded[subscriber]
+        return any(
+            track not in forwarded.get(publisher, {})
+            for publisher in self.room_members(self.rooms[subscriber], exclude=subscriber)
+            for track in self.published.get(publisher, [])
+        )
+
+    async def handle_signal(self, client_id: str, room_id: str, signal_type: str, signal: dict):
+        """Apply an offer, answer or ICE candidate from a client's connection to us"""
+        pc = self.get_peer(client_id, room_id)
+        async with self.locks[client_id]:
+            if signal_type == "offer":
+                # Impolite: while our own offer is out, the browser rolls back and answers it
+                if pc.signalingState != "stable":
+                    return
+                await pc.setRemoteDescription(RTCSessionDescription(sdp=signal["sdp"], type="offer"))
+                await pc.setLocalDescription(await pc.createAnswer())
+                await self.send_description(client_id)
+
+            elif signal_type == "answer":
+                if pc.signalingState != "have-local-offer":
+                    return
+                await pc.setRemoteDescription(RTCSessionDescription(sdp=signal["sdp"], type="answer"))
+
+            elif signal_type == "candidate":
+                line = (signal or {}).get("candidate") or ""
+                if line:
+                    candidate = candidate_from_sdp(line.split(":", 1)[1])
+                    candidate.sdpMid = signal.get("sdpMid")
+                    candidate.sdpMLineIndex = signal.get("sdpMLineIndex")
+                    await pc.addIceCandidate(candidate)
+
+        # A new subscriber, or publishers that arrived mid-negotiation
+        if signal_type in ("offer", "answer") and self.missing_tracks(client_id):
+            await self.renegotiate(client_id)
+
+    async def forward_to_room(self, publisher: str):
+        room_id = self.rooms.get(publisher)
+        for subscriber in self.room_members(room_id, exclude=publisher):
+            await self.renegotiate(subscriber)
+
+    async def renegotiate(self, subscriber: str):
+        """Add any tracks the subscriber is missing and offer them"""
+        pc = self.peers.get(subscriber)
+        if pc is None:
+            return
+
+        async with self.locks[subscriber]:
+            # Retried from handle_signal once the current negotiation finishes
+            if pc.signalingState != "stable" or not self.missing_tracks(subscriber):
+                return
+
+            idle = self.idle[subscriber]
+            for publisher in self.room_members(self.rooms[subscriber], exclude=subscriber):
+                senders = self.forwarded[subscriber].setdefault(publisher, {})
+                for track in self.published.get(publisher, []):
+                    if track in senders:
+                        continue
+                    # A quiet m-line of the same kind takes it before a new one is added
+                    sender = next((sender for sender in idle if sender.kind == track.kind), None)
+                    if sender is None:
+                        senders[track] = pc.addTrack(self.relay.subscribe(track))
+                    else:
+                        idle.remove(sender)
+                        sender.replaceTrack(self.relay.subscribe(track))
+                        senders[track] = sender
+
+            await pc.setLocalDescription(await pc.createOffer())
+            await self.send_description(subscriber)
+
+    async def send_description(self, client_id: str):
+        description = self.peers[client_id].localDescription
+        await self.send(client_id, {
+            "type": "sfu_signal",
+            "signal_type": description.type,
+            "signal": {"type": description.type, "sdp": description.sdp},
+            # Stream IDs are ours, so say whose media each m-line carries
+            "tracks": self.track_map(client_id)
+        })
+
+    def track_map(self, subscriber: str) -> Dict[str, Dict[str, str]]:
+        """{mid: {client_id, track}} for every track forwarded to the subscriber
+
+        The track ID is the publisher's own, which tells camera and screen apart.
+        """
+        owners = {
+            id(sender): {"client_id": publisher, "track": track.id}
+            for publisher, senders in self.forwarded[subscriber].items()
+            for track, sender in senders.items()
+        }
+        return {
+            transceiver.mid: owners[id(transceiver.sender)]
+            for transceiver in self.peers[subscriber].getTransceivers()
+            if transceiver.mid is not None and id(transceiver.sender) in owners
+        }
+
+    async def remove_client(self, client_id: str):
+        """Close a client's connection and stop forwarding their media to the others"""
+        pc = self.peers.pop(client_id, None)
+        if pc is None:
+            return
+
+        room_id = self.rooms.pop(client_id)
+        self.published.pop(client_id, None)
+        self.forwarded.pop(client_id, None)
+        self.idle.pop(client_id, None)
+        self.locks.pop(client_id, None)
+
+        # Their m-lines go quiet; the next track map says who, if anyone, each one carries
+        for subscriber in self.room_members(room_id):
+            for sender in self.forwarded[subscriber].pop(client_id, {}).values():
+                self.release(subscriber, sender)
+        await pc.close()
@@ -0,0 +1,96 @@
+// Finds who is talking by measuring the audio level of each stream with a
+// Web Audio AnalyserNode, polled a few times a second.
+export class SpeakerDetector {
+    static THRESHOLD = 0.02; // RMS level above which someone counts as speaking
+    static HOLD_MS = 1500; // how long a speaker keeps the floor after pausing
+    static POLL_MS = 200;
+
+    constructor(onChange) {
+        this.onChange = onChange; // called with (activeSpeakerId, Set of speaking IDs) when either changes
+        this.audioContext = null;
+        this.streams = new Map(); // id -> { source, analyser, samples, level, lastSpokeAt }
+        this.activeSpeaker = null;
+        this.speaking = new Set();
+        this.timer = null;
+    }
+
+    add(id, stream) {
+        this.remove(id);
+        if (!stream || stream.getAudioTracks().length === 0) return;
+
+        if (!this.audioContext) {
+            this.audioContext = new AudioContext();
+        }
+
+        // Not connected to the speakers; the video elements already play the audio
+        const source = this.audioContext.createMediaStreamSource(stream);
+        const analyser = this.audioContext.createAnalyser();
+        analyser.fftSize = 512;
+        source.connect(analyser);
+
+        this.streams.set(id, {
+            source: source,
+            analyser: analyser,
+            samples: new Float32Array(analyser.fftSize),
+            level: 0,
+            lastSpokeAt: 0
+        });
+
+        if (!this.timer) {
+            this.timer = setInterval(() => this.poll(), SpeakerDetector.POLL_MS);
+        }
+    }
+
+    remove(id) {
+        const entry = this.streams.get(id);
+        if (!entry) return;
+
+        entry.source.disconnect();
+        this.streams.delete(id);
+        if (this.activeSpeaker === id) this.activeSpeaker = null;
+        this.speaking.delete(id);
+    }
+
+    poll() {
+        const now = Date.now();
+        let loudest = null;
+
+        for (const [id, entry] of this.streams) {
+            entry.analyser.getFloatTimeDomainData(entry.samples);
+            let sum = 0;
+            for (const sample of entry.samples) sum += sample * sample;
+            entry.level = Math.sqrt(sum / entry.samples.length);
+
+            if (entry.level > SpeakerDetector.THRESHOLD) {
+                entry.lastSpokeAt = now;
+                if (!loudest || entry.level > loudest.level) loudest = { id: id, level: entry.level };
+            }
+        }
+
+        const speaking = new Set([...this.streams]
+            .filter(([, entry]) => now - entry.lastSpokeAt < SpeakerDetector.HOLD_MS)
+            .map(([id]) => id));
+
+        // Crosstalk doesn't take the floor until the current speaker pauses
+        let activeSpeaker = this.activeSpeaker;
+        if (loudest && !speaking.has(activeSpeaker)) {
+            activeSpeaker = loudest.id;
+        }
+
+        const changed = activeSpeaker !== this.activeSpeaker ||
+            speaking.size !== this.speaking.size ||
+            [...speaking].some(id => !this.speaking.has(id));
+        this.activeSpeaker = activeSpeaker;
+        this.speaking = speaking;
+        if (changed) this.onChange(this.activeSpeaker, this.speaking);
+    }
+
+    close() {
+        clearInterval(this.timer);
+        this.timer = null;
+        for (const id of [...this.streams.keys()]) this.remove(id);
+        this.audioContext?.close();
+        this.audioContext = null;
+        this.activeSpeaker = null;
+    }
+}
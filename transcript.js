@@ -0,0 +1,100 @@
+// The call's final captions, merged with chat on export as WebVTT, SRT or
+// Markdown. Times are the server's, so everyone's copy lines up.
+export class CallTranscript {
+    static CHAT_CUE_MS = 4000; // how long a chat message stays up as a subtitle cue
+    static FORMATS = {
+        vtt: { extension: 'vtt', mimeType: 'text/vtt' },
+        srt: { extension: 'srt', mimeType: 'application/x-subrip' },
+        md: { extension: 'md', mimeType: 'text/markdown' }
+    };
+
+    constructor() {
+        this.captions = new Map(); // caption ID -> { speaker, text, start, end }
+    }
+
+    get size() {
+        return this.captions.size;
+    }
+
+    add(caption) {
+        this.captions.set(caption.id, {
+            speaker: caption.username,
+            text: caption.text,
+            start: new Date(caption.start),
+            end: new Date(caption.end),
+            chat: false
+        });
+    }
+
+    clear() {
+        this.captions.clear();
+    }
+
+    // Every caption and the given chat messages ({ speaker, text, timestamp }), oldest first
+    entries(chatMessages = []) {
+        const chat = chatMessages.map(message => {
+            const start = new Date(message.timestamp);
+            return {
+                speaker: message.speaker,
+                text: message.text,
+                start: start,
+                end: new Date(start.getTime() + CallTranscript.CHAT_CUE_MS),
+                chat: true
+            };
+        });
+        return [...this.captions.values(), ...chat].sort((a, b) => a.start - b.start);
+    }
+
+    // { text, extension, mimeType } of the transcript in one of FORMATS
+    export(format, chatMessages, title) {
+        const entries = this.entries(chatMessages);
+        const text = format === 'vtt' ? this.toWebVtt(entries) :
+            format === 'srt' ? this.toSrt(entries) :
+            this.toMarkdown(entries, title);
+        return { text: text, ...CallTranscript.FORMATS[format] };
+    }
+
+    toWebVtt(entries) {
+        const origin = entries[0]?.start.getTime() ?? 0;
+        const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const cues = entries.map((entry, index) => [
+            index + 1,
+            `${this.cueTime(entry.start - origin, '.')} --> ${this.cueTime(entry.end - origin, '.')}`,
+            `<v ${escape(entry.speaker)}>${entry.chat ? '💬 ' : ''}${escape(this.oneBlock(entry.text))}`
+        ].join('\n'));
+        return ['WEBVTT', ...cues].join('\n\n') + '\n';
+    }
+
+    toSrt(entries) {
+        const origin = entries[0]?.start.getTime() ?? 0;
+        return entries.map((entry, index) => [
+            index + 1,
+            `${this.cueTime(entry.start - origin, ',')} --> ${this.cueTime(entry.end - origin, ',')}`,
+            `${entry.speaker}${entry.chat ? ' (chat)' : ''}: ${this.oneBlock(entry.text)}`
+        ].join('\n')).join('\n\n') + '\n';
+    }
+
+    toMarkdown(entries, title) {
+        const lines = entries.map(entry => {
+            const time = entry.start.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+            return `**[${time}] ${entry.speaker}${entry.chat ? ' (chat)' : ''}:** ${entry.text.replace(/\s*\n\s*/g, ' ')}`;
+        });
+        const date = entries[0]?.start.toLocaleDateString() ?? '';
+        return [`# ${title}`, date, ...lines].join('\n\n') + '\n';
+    }
+
+    // HH:MM:SS.mmm from the start of the transcript; SRT puts a comma before the milliseconds
+    cueTime(ms, separator) {
+        ms = Math.max(0, Math.round(ms));
+        const pad = (value, length = 2) => String(value).padStart(length, '0');
+        const hours = Math.floor(ms / 3600000);
+        const minutes = Math.floor(ms / 60000) % 60;
+        const seconds = Math.floor(ms / 1000) % 60;
+        return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(ms % 1000, 3)}`;
+    }
+
+    // A blank line would end the cue early
+    oneBlock(text) {
+        return text.replace(/\n\s*\n/g, '\n').trim();
+    }
+}
@@ -0,0 +1,1691 @@
+// The call itself, with no DOM: the signaling socket, peer connections (peer to
+// peer, or through the media server in large rooms), local media, chat and the
+// roster. A page drives it through methods and follows it through events, listed
+// with what their handlers get in VideoChatClient.EVENTS. The app's own UI is
+// one such page; <video-chat-room> and the iframe bridge are others.
+//
+//     import { VideoChatClient } from './video-chat-client.js';
+//     const client = new VideoChatClient({ serverUrl: 'https://calls.example.com' });
+//     client.on('trackAdded', ({ clientId, stream }) => showVideo(clientId, stream));
+//     await client.startLocalMedia();
+//     await client.join({ roomId: 'Standup', username: 'Ann' });
+//
+// A page on another origin than the server needs that origin in the server's
+// EMBED_ORIGINS. Encrypted media runs in a worker, which browsers only start
+// from the page's own origin, so such pages should serve these files themselves.
+import { BitrateController } from './bitrate-controller.js';
+import { CallStatsMonitor } from './call-stats.js';
+import { RoomEncryption } from './e2ee.js';
+import { FileTransferManager } from './file-transfer.js';
+
+// on() returns a function that removes the handler again
+export class EventEmitter {
+    constructor() {
+        this.handlers = new Map(); // event -> Set of handlers
+    }
+
+    on(event, handler) {
+        if (!this.handlers.has(event)) this.handlers.set(event, new Set());
+        this.handlers.get(event).add(handler);
+        return () => this.off(event, handler);
+    }
+
+    off(event, handler) {
+        this.handlers.get(event)?.delete(handler);
+    }
+
+    once(event, handler) {
+        const off = this.on(event, (data) => {
+            off();
+            handler(data);
+        });
+        return off;
+    }
+
+    emit(event, data) {
+        for (const handler of [...(this.handlers.get(event) || [])]) {
+            // One broken handler mustn't stop the others, or the call
+            try {
+                handler(data);
+            } catch (error) {
+                console.error(`Error in ${event} handler:`, error);
+            }
+        }
+    }
+}
+
+export class VideoChatClient extends EventEmitter {
+    static SFU_PEER_ID = 'sfu'; // the media server, once the room is too big for mesh
+    static TILE_REACTIONS = ['👍', '👏', '❤️', '😂', '😮', '🎉']; // the same set the server accepts
+    static ROOM_ID_PATTERN = /^[\p{L}\p{N}_ -]{1,64}$/u; // what the server accepts
+    static PING_INTERVAL_MS = 30000;
+    static ICE_CONFIG_TIMEOUT_MS = 5000; // an ICE restart waits this long for fresh TURN credentials
+    static READ_RECEIPT_DELAY_MS = 500; // receipts are batched rather than sent one frame per message
+    static MAX_READ_IDS = 500; // per chat_read, the server's CHAT_HISTORY_LIMIT
+    static TYPING_REFRESH_MS = 3000; // re-announce typing so a missed stop doesn't stick forever
+    static TYPING_IDLE_MS = 4000; // typing stops counting after this long without a keystroke
+    static TYPING_EXPIRY_MS = 6000; // others' indicators go once their stop is this late
+
+    // Every event the client emits, and what its handlers are called with
+    static EVENTS = {
+        connectionStateChanged: '{ state, retryInSeconds }: connecting, connected, resuming, reconnecting or disconnected',
+        joined: '{ roomId, clientId, transcript }, once we are in the room',
+        resumed: '{ roomId, transcript }, after the connection dropped and came back in time',
+        left: '{ reason, by, message, summary }; no reason when we left ourselves',
+        lobbyWaiting: '{}: the host has to let us in first',
+        serverError: '{ code, message, messageType, field } for a message the server turned down',
+        localMediaChanged: '{ stream, kind }: our camera, microphone or screen share started, stopped or changed',
+        trackAdded: '{ clientId, stream, screen }: media from a participant, their camera or their screen',
+        trackRemoved: '{ clientId, screen }',
+        peerConnectionStateChanged: '{ clientId, state } of the connection to a participant or the media server',
+        participantJoined: 'participant, for someone who came in after us',
+        participantLeft: 'participant, for someone who left while we were there',
+        participantUpdated: 'participant, whose media state, connection quality or presentation changed',
+        rosterChanged: '[participant, ...], whenever anyone joins, leaves or changes',
+        roomSettingsChanged: '{ settings, wasHost }',
+        topologyChanged: '{ topology }: mesh, or sfu once media goes through the server',
+        lobbyRequest: '{ clientId, username } waiting for us, as host, to let them in',
+        lobbyChanged: '[{ clientId, username }, ...] of everyone waiting for us',
+        handQueueChanged: '[clientId, ...] with a raised hand, longest waiting first',
+        handCalled: '{ clientId, username, by }',
+        reaction: '{ clientId, emoji } to float over a tile',
+        recording: '{ clientId, username, active }',
+        screenShare: '{ clientId, username, active } for someone else starting or stopping',
+        screenShareDenied: '{ presenter }: only one presenter at a time in this room',
+        mutedByHost: '{ kind, by }: audio or video, already switched off',
+        chatMessage: 'message, new to us, live or from history',
+        chatMessageUpdated: 'message, edited, deleted, reacted to or read',
+        chatHistoryLoaded: '{ hasMore } once the oldest page so far is in',
+        typingChanged: '[{ clientId, username, private }, ...] of everyone typing',
+        caption: '{ id, client_id, username, text, final, start, end, undecryptable }',
+        fileTransfer: 'transfer, whenever its state or progress changes',
+        callStats: '{ clientId, stats } every few seconds per connection',
+        audioOnlyChanged: '{ audioOnly }: video paused, or resumed, for a poor connection',
+        decryptError: '{ clientId } whose media our passphrase cannot decrypt'
+    };
+
+    constructor(options = {}) {
+        super();
+        this.serverUrl = options.serverUrl || globalThis.location?.origin;
+        this.clientId = options.clientId || VideoChatClient.generateClientId();
+        this.effects = options.effects || null; // { process(track), getSource(track), stop() } for our camera and mic
+        this.preferredDevices = { audio: '', video: '', ...options.preferredDevices }; // device IDs tried first, if still plugged in
+        this.roomId = null;
+        this.username = 'User';
+        this.roomPassword = '';
+        this.hostKey = ''; // a scheduled meeting's host key, which makes us its host
+        this.connectionState = 'disconnected';
+        this.peers = new Map(); // clientId -> RTCPeerConnection
+        this.negotiation = new Map(); // clientId -> perfect negotiation state
+        this.pendingCandidates = new Map(); // clientId -> ICE candidates awaiting a remote description
+        this.participants = new Map(); // clientId -> roster entry, including ourselves
+        this.roomSettings = null; // { host, has_password, locked, lobby, private, topology }
+        this.lobbyRequests = new Map(); // clientId -> username of guests waiting for us (as host)
+        this.handQueue = []; // clientIds with a raised hand, longest waiting first
+        this.chatMessages = new Map(); // server-assigned ID -> message, also to skip repeats after a reconnect
+        this.oldestChatId = null;
+        this.typingUsers = new Map(); // clientId -> { username, private, timer }
+        this.typingState = { active: false, to: null, timer: null, sentAt: 0 };
+        this.pendingReads = new Set(); // message IDs to acknowledge
+        this.readTimer = null;
+        this.localStream = null;
+        this.screenStream = null;
+        this.isVideoOn = true;
+        this.isAudioOn = true;
+        this.isSharingScreen = false;
+        this.isRecording = false; // set by whoever records, for the roster
+        this.mediaErrors = {}; // kind -> explanation of why that device could not start
+        this.socket = null;
+        this.sessionToken = null; // issued on room_joined, used to resume after a drop
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.pingInterval = null;
+        this.iceConfig = null; // { mode, iceServers, expires_at }: STUN from /api/ice-config, then TURN once in a room
+        this.iceRefreshTimer = null;
+        this.iceConfigWaiters = []; // resolved by the next ice_config from the server
+        this.encryption = null; // RoomEncryption while end-to-end encryption is on
+        this.fileTransfers = new FileTransferManager((transfer) => this.emit('fileTransfer', transfer));
+        this.bitrate = new BitrateController((audioOnly) => this.handleAudioOnlyChange(audioOnly));
+        this.requestedLayers = new Map(); // clientId -> video layer we last asked that peer for
+        this.remoteStreams = new Map(); // clientId or screen:clientId -> the stream announced in trackAdded
+        this.sfuTracks = {}; // mid -> publisher clientId, for the media server's connection
+        this.sfuStreams = new Map(); // publisher clientId or screen:clientId -> MediaStream built from those tracks
+        this.sfuStats = null;
+        this.callStats = new CallStatsMonitor(this.peers, (clientId, stats) => this.handleCallStats(clientId, stats));
+    }
+
+    static generateClientId() {
+        return 'user_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    get isJoined() {
+        return this.sessionToken !== null;
+    }
+
+    get audioOnly() {
+        return this.bitrate.audioOnly;
+    }
+
+    setConnectionState(state, retryInSeconds) {
+        this.connectionState = state;
+        this.emit('connectionStateChanged', { state: state, retryInSeconds: retryInSeconds });
+    }
+
+    // Sends a message to the server if we are connected; returns whether it went
+    send(message) {
+        if (this.socket?.readyState !== WebSocket.OPEN) return false;
+        this.socket.send(JSON.stringify(message));
+        return true;
+    }
+
+    // Joining and leaving
+
+    async join({ roomId, username = 'User', password = '', passphrase = '', hostKey = '' }) {
+        // Links can carry any room ID, so check it before it is used anywhere
+        if (!VideoChatClient.ROOM_ID_PATTERN.test(roomId)) {
+            throw new Error('Room IDs can use up to 64 letters, numbers, spaces, - and _');
+        }
+        this.roomId = roomId;
+        this.username = username;
+        this.roomPassword = password;
+        this.hostKey = hostKey;
+
+        // The passphrase never leaves this browser; only keys derived from it are used
+        this.encryption?.close();
+        this.encryption = passphrase ? await RoomEncryption.fromPassphrase(passphrase, roomId, this.clientId) : null;
+        if (this.encryption) {
+            this.encryption.onDecryptError = (clientId) => this.emit('decryptError', { clientId: clientId });
+        }
+
+        // Peer connections need ICE servers before anyone joins
+        await this.loadIceConfig();
+
+        // Media is ready, so every peer connection starts with our tracks
+        this.connectWebSocket();
+        this.callStats.start();
+    }
+
+    leave(details = {}) {
+        // Before the peer connections go, while their totals are still complete
+        this.callStats.stop();
+        const summary = this.callStats.getSummary();
+        this.callStats.reset();
+        this.bitrate.reset();
+        this.requestedLayers.clear();
+
+        for (const peerConnection of this.peers.values()) {
+            peerConnection.close();
+        }
+        this.peers.clear();
+        this.negotiation.clear();
+        this.pendingCandidates.clear();
+        this.remoteStreams.clear();
+        this.sfuStreams.clear();
+        this.sfuTracks = {};
+        this.sfuStats = null;
+        this.fileTransfers.clear();
+        this.encryption?.close();
+        this.encryption = null;
+        this.handQueue = [];
+        this.participants.clear();
+        this.lobbyRequests.clear();
+        this.roomSettings = null;
+
+        this.stopLocalMedia();
+        if (this.screenStream) {
+            this.screenStream.getTracks().forEach(track => track.stop());
+            this.screenStream = null;
+        }
+        this.isSharingScreen = false;
+        this.isRecording = false;
+
+        // Close the socket, telling the server not to hold our slot
+        clearTimeout(this.reconnectTimer);
+        clearTimeout(this.iceRefreshTimer);
+        clearInterval(this.pingInterval);
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            if (socket.readyState === WebSocket.OPEN) {
+                socket.send(JSON.stringify({ type: 'leave' }));
+            }
+            socket.close();
+        }
+        this.sessionToken = null;
+        this.reconnectAttempts = 0;
+
+        this.chatMessages.clear();
+        this.oldestChatId = null;
+        this.stopTyping();
+        this.typingUsers.forEach(typing => clearTimeout(typing.timer));
+        this.typingUsers.clear();
+        clearTimeout(this.readTimer);
+        this.readTimer = null;
+        this.pendingReads.clear();
+
+        this.roomId = null;
+        this.setConnectionState('disconnected');
+        this.emit('left', { ...details, summary: summary });
+    }
+
+    // Before joining; TURN credentials come with room_joined
+    async loadIceConfig() {
+        try {
+            const response = await fetch(new URL('/api/ice-config', this.serverUrl));
+            this.applyIceConfig(await response.json());
+        } catch (error) {
+            console.log('Could not load ICE config, using public STUN:', error);
+            this.applyIceConfig({
+                mode: 'default',
+                iceServers: [
+                    { urls: 'stun:stun.l.google.com:19302' },
+                    { urls: 'stun:stun1.l.google.com:19302' },
+                    { urls: 'stun:stun2.l.google.com:19302' }
+                ],
+                expires_at: null
+            });
+        }
+    }
+
+    // Resolves once the server has sent fresh credentials, or after ICE_CONFIG_TIMEOUT_MS
+    requestIceConfig() {
+        return new Promise((resolve) => {
+            if (!this.send({ type: 'ice_config' })) {
+                resolve();
+                return;
+            }
+            this.iceConfigWaiters.push(resolve);
+            setTimeout(resolve, VideoChatClient.ICE_CONFIG_TIMEOUT_MS);
+        });
+    }
+
+    applyIceConfig(config) {
+        clearTimeout(this.iceRefreshTimer);
+        this.iceConfig = config;
+        for (const resolve of this.iceConfigWaiters.splice(0)) resolve();
+
+        // Existing connections pick up fresh TURN credentials for future ICE restarts
+        for (const peerConnection of this.peers.values()) {
+            peerConnection.setConfiguration(this.getRtcConfiguration());
+        }
+
+        // Refresh a minute before the TURN credentials expire
+        if (this.iceConfig.expires_at) {
+            const refreshIn = Math.max(this.iceConfig.expires_at * 1000 - Date.now() - 60000, 10000);
+            this.iceRefreshTimer = setTimeout(() => {
+                if (this.roomId) this.requestIceConfig();
+            }, refreshIn);
+        }
+    }
+
+    getRtcConfiguration() {
+        // Offline/LAN mode has no servers, so only host candidates are gathered
+        const configuration = { iceServers: this.iceConfig?.iceServers || [] };
+        if (this.encryption?.needsEncodedStreams) {
+            configuration.encodedInsertableStreams = true;
+        }
+        return configuration;
+    }
+
+    iceConfigExpired() {
+        return Boolean(this.iceConfig?.expires_at) && this.iceConfig.expires_at * 1000 <= Date.now();
+    }
+
+    connectWebSocket() {
+        const url = new URL(`/ws/${this.clientId}`, this.serverUrl);
+        url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+
+        const socket = new WebSocket(url);
+        this.socket = socket;
+
+        socket.onopen = () => {
+            console.log('WebSocket connected');
+
+            if (this.sessionToken) {
+                // Pick up our held slot so peers keep their connections to us
+                this.setConnectionState('resuming');
+                socket.send(JSON.stringify({
+                    type: 'resume',
+                    session_token: this.sessionToken,
+                    client_id: this.clientId
+                }));
+            } else {
+                this.setConnectionState('connecting');
+                this.sendJoin();
+            }
+
+            clearInterval(this.pingInterval);
+            this.pingInterval = setInterval(() => {
+                if (socket.readyState === WebSocket.OPEN) {
+                    socket.send(JSON.stringify({ type: 'ping' }));
+                }
+            }, VideoChatClient.PING_INTERVAL_MS);
+        };
+
+        socket.onmessage = async (event) => {
+            await this.handleMessage(JSON.parse(event.data));
+        };
+
+        socket.onclose = () => {
+            console.log('WebSocket disconnected');
+            clearInterval(this.pingInterval);
+
+            // Only the current socket of an active call reconnects
+            if (this.socket !== socket || !this.roomId) return;
+            this.scheduleReconnect();
+        };
+
+        socket.onerror = (error) => {
+            console.error('WebSocket error:', error);
+        };
+    }
+
+    sendJoin() {
+        this.send({
+            type: 'join',
+            room_id: this.roomId,
+            username: this.username,
+            client_id: this.clientId,
+            state: this.getLocalMediaState(),
+            password: this.roomPassword || undefined,
+            ticket: this.getRoomTicket() || undefined,
+            host_key: this.hostKey || undefined
+        });
+    }
+
+    // The server's ticket for this browser in a room, kept across visits where there is storage
+    getRoomTicket() {
+        return globalThis.localStorage?.getItem(`videoChatTicket:${this.roomId}`) || null;
+    }
+
+    saveRoomTicket(ticket) {
+        if (ticket) globalThis.localStorage?.setItem(`videoChatTicket:${this.roomId}`, ticket);
+    }
+
+    scheduleReconnect() {
+        // Exponential backoff with jitter, capped at 30 seconds
+        const delay = Math.min(1000 * 2 ** this.reconnectAttempts, 30000) + Math.random() * 500;
+        this.reconnectAttempts++;
+        this.setConnectionState('reconnecting', Math.round(delay / 1000));
+
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => {
+            if (this.roomId) {
+                this.connectWebSocket();
+            }
+        }, delay);
+    }
+
+    async handleMessage(data) {
+        switch (data.type) {
+            case 'room_joined':
+                console.log('Joined room:', data.room_id);
+                this.sessionToken = data.session_token;
+                this.saveRoomTicket(data.room_ticket);
+                if (data.ice_config) this.applyIceConfig(data.ice_config);
+                this.reconnectAttempts = 0;
+                this.setConnectionState('connected');
+                this.applyRoomSettings(data.settings);
+                this.addLocalParticipant(data.timestamp);
+                this.setHandQueue(data.hand_queue || []);
+                await this.decryptChatMessages(data.chat_history);
+                this.addChatHistory(data.chat_history, data.chat_has_more);
+                await this.decryptCaptions(data.transcript);
+                for (const user of data.existing_users) {
+                    this.upsertParticipant(user);
+                }
+                this.emit('joined', { roomId: data.room_id, clientId: this.clientId, transcript: data.transcript || [] });
+                // Create peer connections with existing users, or one to the media server
+                if (this.isSfu()) {
+                    await this.createPeerConnection(VideoChatClient.SFU_PEER_ID);
+                } else {
+                    for (const user of data.existing_users) {
+                        await this.createPeerConnection(user.client_id);
+                    }
+                }
+                break;
+
+            case 'ice_config':
+                this.applyIceConfig(data);
+                break;
+
+            case 'session_resumed': {
+                console.log('Resumed session in room:', data.room_id);
+                if (data.ice_config) this.applyIceConfig(data.ice_config);
+                this.reconnectAttempts = 0;
+                this.setConnectionState('connected');
+                this.applyRoomSettings(data.settings);
+                this.setHandQueue(data.hand_queue || []);
+                await this.decryptChatMessages(data.chat_history);
+                this.addChatHistory(data.chat_history, data.chat_has_more);
+                await this.decryptCaptions(data.transcript);
+                this.emit('resumed', { roomId: data.room_id, transcript: data.transcript || [] });
+                // Reconcile with whoever came and went while we were away
+                const present = new Set(data.existing_users.map(user => user.client_id));
+                present.add(VideoChatClient.SFU_PEER_ID);
+                for (const clientId of [...this.peers.keys()]) {
+                    if (!present.has(clientId)) this.removePeerConnection(clientId);
+                }
+                for (const clientId of [...this.participants.keys()]) {
+                    if (clientId !== this.clientId && !present.has(clientId)) this.removeParticipant(clientId);
+                }
+                for (const user of data.existing_users) {
+                    this.upsertParticipant(user);
+                    if (!this.isSfu()) await this.createPeerConnection(user.client_id);
+                }
+                if (this.isSfu()) {
+                    // The room may have switched while we were away
+                    for (const clientId of [...this.peers.keys()]) {
+                        if (clientId !== VideoChatClient.SFU_PEER_ID) this.removePeerConnection(clientId);
+                    }
+                    await this.createPeerConnection(VideoChatClient.SFU_PEER_ID);
+                }
+                // Our own state may have changed while offline
+                this.sendStateUpdate();
+                break;
+            }
+
+            case 'resume_failed':
+                // Our slot expired and peers have dropped us; start over
+                console.log('Session expired, rejoining');
+                this.sessionToken = null;
+                // Presenting needs asking again, after the join
+                this.stopScreenShare(false);
+                for (const clientId of [...this.peers.keys()]) {
+                    this.removePeerConnection(clientId);
+                }
+                for (const clientId of [...this.participants.keys()]) {
+                    if (clientId !== this.clientId) this.removeParticipant(clientId);
+                }
+                this.setConnectionState('connecting');
+                this.sendJoin();
+                break;
+
+            case 'user_joined':
+                this.upsertParticipant(data);
+                this.emit('participantJoined', this.participants.get(data.client_id));
+                // Create peer connection with new user; the media server brings their media otherwise
+                if (!this.isSfu()) await this.createPeerConnection(data.client_id);
+                break;
+
+            case 'user_left': {
+                const participant = this.participants.get(data.client_id) ||
+                    { clientId: data.client_id, username: data.username };
+                this.removePeerConnection(data.client_id);
+                this.removeParticipant(data.client_id);
+                this.emit('participantLeft', participant);
+                break;
+            }
+
+            case 'state_update':
+                this.updateParticipant(data.client_id, VideoChatClient.fromServerState(data.state));
+                break;
+
+            case 'join_rejected':
+                this.leave({ reason: data.reason });
+                break;
+
+            case 'lobby_waiting':
+                this.emit('lobbyWaiting', {});
+                break;
+
+            case 'lobby_request':
+                this.lobbyRequests.set(data.client_id, data.username);
+                this.emit('lobbyRequest', { clientId: data.client_id, username: data.username });
+                this.emitLobby();
+                break;
+
+            case 'lobby_cancelled':
+                this.lobbyRequests.delete(data.client_id);
+                this.emitLobby();
+                break;
+
+            case 'room_settings':
+                this.applyRoomSettings(data.settings);
+                break;
+
+            case 'error':
+                // The server turned the frame down; a refused join can't be sent again as it is
+                console.warn('Server error:', data.code, data.message_type, data.field);
+                this.emit('serverError', {
+                    code: data.code,
+                    message: data.message,
+                    messageType: data.message_type,
+                    field: data.field
+                });
+                if (data.message_type === 'join') {
+                    this.leave({ reason: 'error', message: data.message });
+                }
+                break;
+
+            case 'recording':
+                this.updateParticipant(data.client_id, { recording: data.active });
+                this.emit('recording', { clientId: data.client_id, username: data.username, active: data.active });
+                break;
+
+            case 'screen_share':
+                this.handleScreenShare(data);
+                break;
+
+            case 'hand_queue':
+                this.setHandQueue(data.queue);
+                break;
+
+            case 'hand_called':
+                this.emit('handCalled', { clientId: data.client_id, username: data.username, by: data.by });
+                break;
+
+            case 'reaction':
+                this.emit('reaction', { clientId: data.client_id, emoji: data.emoji });
+                break;
+
+            case 'screen_share_denied':
+                // Nothing was sent yet, so just let go of the capture
+                this.screenStream?.getTracks().forEach(track => track.stop());
+                this.screenStream = null;
+                this.emit('screenShareDenied', { presenter: data.presenter });
+                break;
+
+            case 'mute_request':
+                // Through the same path as our own controls, so everyone's roster stays in sync
+                if (data.kind === 'audio' && this.isAudioOn) {
+                    this.setAudioEnabled(false);
+                    this.emit('mutedByHost', { kind: 'audio', by: data.by });
+                } else if (data.kind === 'video' && this.isVideoOn) {
+                    this.setVideoEnabled(false);
+                    this.emit('mutedByHost', { kind: 'video', by: data.by });
+                }
+                break;
+
+            case 'removed':
+                this.leave({ reason: 'removed', by: data.by });
+                break;
+
+            case 'meeting_ended':
+                this.leave({ reason: 'meeting_ended', by: data.by });
+                break;
+
+            case 'signal':
+                await this.handleSignal(data.from, data.signal, data.signal_type);
+                break;
+
+            case 'sfu_signal':
+                // Which publisher each of the server's m-lines carries, as of this description
+                if (data.tracks) this.sfuTracks = data.tracks;
+                await this.handleSignal(VideoChatClient.SFU_PEER_ID, data.signal, data.signal_type);
+                this.syncSfuTracks();
+                break;
+
+            case 'topology':
+                if (this.roomSettings) this.roomSettings.topology = data.topology;
+                await this.switchTopology();
+                break;
+
+            case 'layer_request':
+                // A viewer's tile for us got bigger, smaller or went off-screen
+                this.bitrate.setLayerRequest(data.from, data.layer);
+                this.applyBitrate();
+                break;
+
+            case 'chat':
+                await this.decryptChatMessages([data]);
+                this.addChatMessage(data);
+                this.clearTyping(data.from);
+                break;
+
+            case 'chat_updated':
+                await this.decryptChatMessages([data]);
+                this.updateChatMessage(data);
+                break;
+
+            case 'chat_read': {
+                const message = this.chatMessages.get(data.id);
+                if (message && !message.read_by.includes(data.client_id)) {
+                    message.read_by.push(data.client_id);
+                    this.emit('chatMessageUpdated', message);
+                }
+                break;
+            }
+
+            case 'typing':
+                this.updateTyping(data);
+                break;
+
+            case 'chat_history':
+                await this.decryptChatMessages(data.messages);
+                this.addChatHistory(data.messages, data.has_more);
+                break;
+
+            case 'caption':
+                await this.decryptCaptions([data]);
+                this.emit('caption', data);
+                break;
+
+            case 'pong':
+                this.lastPong = Date.now();
+                break;
+        }
+    }
+
+    // Peer connections
+
+    async createPeerConnection(targetClientId) {
+        if (this.peers.has(targetClientId)) {
+            console.log('Peer connection already exists for:', targetClientId);
+            return;
+        }
+
+        const peerConnection = new RTCPeerConnection(this.getRtcConfiguration());
+
+        // Perfect negotiation state for this peer
+        this.negotiation.set(targetClientId, {
+            polite: this.isPolitePeer(targetClientId),
+            makingOffer: false,
+            ignoreOffer: false,
+            isSettingRemoteAnswerPending: false,
+            iceRestarts: 0
+        });
+        this.pendingCandidates.set(targetClientId, []);
+
+        this.peers.set(targetClientId, peerConnection);
+        const isSfu = targetClientId === VideoChatClient.SFU_PEER_ID;
+
+        // Files go peer to peer. Negotiated with a fixed ID so both sides open the
+        // same channel, without a second handshake racing the perfect negotiation
+        if (!isSfu) {
+            const fileChannel = peerConnection.createDataChannel('files', { negotiated: true, id: 0 });
+            this.fileTransfers.attachChannel(targetClientId, fileChannel);
+        } else {
+            // One upload for everyone, so send the best we can
+            this.bitrate.setLayerRequest(targetClientId, 'high');
+        }
+
+        peerConnection.onicecandidate = (event) => {
+            if (event.candidate) {
+                this.sendSignal(targetClientId, event.candidate, 'candidate');
+            }
+        };
+
+        // Send an offer whenever the browser asks for one (initial tracks,
+        // tracks added or removed mid-call, ICE restarts)
+        peerConnection.onnegotiationneeded = async () => {
+            const state = this.negotiation.get(targetClientId);
+            if (!state) return;
+
+            try {
+                state.makingOffer = true;
+                await peerConnection.setLocalDescription();
+                this.sendSignal(targetClientId, peerConnection.localDescription, peerConnection.localDescription.type);
+            } catch (error) {
+                console.error('Error creating offer:', error);
+            } finally {
+                state.makingOffer = false;
+            }
+        };
+
+        peerConnection.ontrack = (event) => {
+            if (isSfu) {
+                // The server decodes what it forwards, so frames can't be encrypted end to end
+                this.syncSfuTracks();
+                return;
+            }
+            this.encryption?.setupReceiver(event.receiver, targetClientId, event.transceiver);
+            // A presenter's screen arrives as a second stream next to their camera
+            const stream = event.streams[0];
+            this.addRemoteStream(targetClientId, stream, this.isScreenStream(targetClientId, stream));
+        };
+
+        peerConnection.onconnectionstatechange = () => {
+            const connectionState = peerConnection.connectionState;
+            console.log(`Connection state with ${targetClientId}:`, connectionState);
+            const state = this.negotiation.get(targetClientId);
+            this.updateParticipant(targetClientId, { quality: this.describeConnectionQuality(connectionState) });
+
+            if (connectionState === 'connected' && state) {
+                state.iceRestarts = 0;
+                // Encodings exist now, and the peer may have missed our layer requests
+                this.bitrate.forgetApplied(targetClientId);
+                this.applyBitrate();
+                this.requestedLayers.delete(targetClientId);
+            } else if (connectionState === 'disconnected') {
+                // Often recovers by itself; restart ICE if it doesn't
+                setTimeout(() => {
+                    if (peerConnection.connectionState === 'disconnected') {
+                        this.restartIce(targetClientId);
+                    }
+                }, 5000);
+            } else if (connectionState === 'failed') {
+                this.restartIce(targetClientId);
+            } else if (connectionState === 'closed') {
+                setTimeout(() => {
+                    this.removePeerConnection(targetClientId);
+                }, 2000);
+            }
+            this.emit('peerConnectionStateChanged', { clientId: targetClientId, state: connectionState });
+        };
+
+        // Add local tracks (this triggers onnegotiationneeded)
+        if (this.localStream) {
+            this.localStream.getTracks().forEach(track => {
+                const sender = peerConnection.addTrack(track, this.localStream);
+                if (!isSfu) this.encryption?.setupSender(sender, peerConnection);
+            });
+            if (this.isSharingScreen) this.addScreenTracks(targetClientId, peerConnection);
+        } else {
+            // Still negotiate so we can receive the other side's media
+            peerConnection.addTransceiver('audio', { direction: 'recvonly' });
+            const video = peerConnection.addTransceiver('video', { direction: 'recvonly' });
+            if (this.encryption && !isSfu) RoomEncryption.preferVp8(video);
+        }
+    }
+
+    async restartIce(targetClientId) {
+        const peerConnection = this.peers.get(targetClientId);
+        const state = this.negotiation.get(targetClientId);
+        if (!peerConnection || !state) return;
+
+        if (state.iceRestarts >= 3) {
+            console.log('Giving up on connection with:', targetClientId);
+            this.removePeerConnection(targetClientId);
+            return;
+        }
+        state.iceRestarts++;
+
+        // Expired TURN credentials would make the restart fail too
+        if (this.iceConfigExpired()) {
+            await this.requestIceConfig();
+        }
+
+        console.log(`Restarting ICE with ${targetClientId} (attempt ${state.iceRestarts})`);
+        // Fires onnegotiationneeded with an ICE-restart offer
+        peerConnection.restartIce();
+    }
+
+    isPolitePeer(targetClientId) {
+        // The media server never rolls back, so we always give way to it
+        if (targetClientId === VideoChatClient.SFU_PEER_ID) return true;
+        // Both sides compare the same pair of IDs, so exactly one is polite
+        return this.clientId < targetClientId;
+    }
+
+    sendSignal(targetClientId, signal, signalType) {
+        if (targetClientId === VideoChatClient.SFU_PEER_ID) {
+            this.send({ type: 'sfu_signal', signal: signal, signal_type: signalType });
+        } else {
+            this.send({ type: 'signal', to: targetClientId, signal: signal, signal_type: signalType });
+        }
+    }
+
+    isSfu() {
+        return this.roomSettings?.topology === 'sfu';
+    }
+
+    async switchTopology() {
+        if (!this.isSfu() || this.peers.has(VideoChatClient.SFU_PEER_ID)) return;
+
+        // Everyone moves at once; their media comes back through the server
+        for (const clientId of [...this.peers.keys()]) {
+            this.removePeerConnection(clientId);
+        }
+        this.emit('topologyChanged', { topology: this.roomSettings.topology });
+        await this.createPeerConnection(VideoChatClient.SFU_PEER_ID);
+        this.sendStateUpdate();
+    }
+
+    syncSfuTracks() {
+        const peerConnection = this.peers.get(VideoChatClient.SFU_PEER_ID);
+        if (!peerConnection) return;
+
+        // All tracks arrive on one connection; regroup them into a camera and a screen stream per publisher
+        const tracks = new Map(); // clientId or screen:clientId -> tracks
+        for (const transceiver of peerConnection.getTransceivers()) {
+            const owner = this.sfuTracks[transceiver.mid];
+            if (!owner || transceiver.currentDirection === 'inactive' || transceiver.currentDirection === 'sendonly') continue;
+
+            const participant = this.participants.get(owner.client_id);
+            let key = owner.client_id;
+            if (participant?.presentation?.tracks.includes(owner.track)) {
+                // A screen share that has since ended can still have an m-line
+                if (!participant.screen) continue;
+                key = `screen:${owner.client_id}`;
+            }
+            if (!tracks.has(key)) tracks.set(key, []);
+            tracks.get(key).push(transceiver.receiver.track);
+        }
+
+        // The server reuses a quiet m-line for the next track, so it must leave the stream it fed before
+        for (const [key, stream] of this.sfuStreams) {
+            if (!tracks.has(key)) stream.getTracks().forEach(track => stream.removeTrack(track));
+        }
+
+        for (const [key, publisherTracks] of tracks) {
+            let stream = this.sfuStreams.get(key);
+            if (!stream) {
+                stream = new MediaStream();
+                this.sfuStreams.set(key, stream);
+            }
+            const current = stream.getTracks();
+            if (current.length === publisherTracks.length && publisherTracks.every(track => current.includes(track))) continue;
+
+            current.filter(track => !publisherTracks.includes(track)).forEach(track => stream.removeTrack(track));
+            publisherTracks.filter(track => !current.includes(track)).forEach(track => stream.addTrack(track));
+            const screen = key.startsWith('screen:');
+            this.addRemoteStream(screen ? key.slice('screen:'.length) : key, stream, screen);
+        }
+    }
+
+    async handleSignal(fromClientId, signal, signalType) {
+        const peerConnection = this.peers.get(fromClientId);
+
+        if (!peerConnection) {
+            // Create peer connection if it doesn't exist
+            await this.createPeerConnection(fromClientId);
+            return this.handleSignal(fromClientId, signal, signalType);
+        }
+
+        const state = this.negotiation.get(fromClientId);
+
+        try {
+            switch (signalType) {
+                case 'offer':
+                case 'answer': {
+                    // An offer collides with ours if we are mid-offer or not stable
+                    const readyForOffer = !state.makingOffer &&
+                        (peerConnection.signalingState === 'stable' || state.isSettingRemoteAnswerPending);
+                    const offerCollision = signalType === 'offer' && !readyForOffer;
+
+                    state.ignoreOffer = !state.polite && offerCollision;
+                    if (state.ignoreOffer) {
+                        console.log('Ignoring colliding offer from:', fromClientId);
+                        return;
+                    }
+
+                    // The polite peer drops its own pending offer and takes theirs
+                    if (offerCollision && peerConnection.signalingState === 'have-local-offer') {
+                        await peerConnection.setLocalDescription({ type: 'rollback' });
+                    }
+
+                    state.isSettingRemoteAnswerPending = signalType === 'answer';
+                    await peerConnection.setRemoteDescription(new RTCSessionDescription(signal));
+                    state.isSettingRemoteAnswerPending = false;
+
+                    await this.flushPendingCandidates(fromClientId);
+
+                    if (signalType === 'offer') {
+                        await peerConnection.setLocalDescription();
+                        this.sendSignal(fromClientId, peerConnection.localDescription, 'answer');
+                    }
+                    break;
+                }
+
+                case 'candidate':
+                    if (!peerConnection.remoteDescription) {
+                        // Hold candidates until there is a description to apply them to
+                        this.pendingCandidates.get(fromClientId)?.push(signal);
+                        break;
+                    }
+                    try {
+                        await peerConnection.addIceCandidate(new RTCIceCandidate(signal));
+                    } catch (error) {
+                        // Candidates for an offer we ignored are expected to fail
+                        if (!state.ignoreOffer) throw error;
+                    }
+                    break;
+            }
+        } catch (error) {
+            console.error('Error handling signal:', error);
+        }
+    }
+
+    async flushPendingCandidates(clientId) {
+        const peerConnection = this.peers.get(clientId);
+        const queued = this.pendingCandidates.get(clientId) || [];
+        this.pendingCandidates.set(clientId, []);
+
+        for (const candidate of queued) {
+            try {
+                await peerConnection.addIceCandidate(new RTCIceCandidate(candidate));
+            } catch (error) {
+                console.error('Error adding queued candidate:', error);
+            }
+        }
+    }
+
+    removePeerConnection(clientId) {
+        const peerConnection = this.peers.get(clientId);
+        if (peerConnection) {
+            peerConnection.close();
+            this.peers.delete(clientId);
+        }
+        this.negotiation.delete(clientId);
+        this.pendingCandidates.delete(clientId);
+        this.fileTransfers.detachPeer(clientId);
+        this.bitrate.removePeer(clientId);
+        this.requestedLayers.delete(clientId);
+        if (clientId === VideoChatClient.SFU_PEER_ID) {
+            // Everyone's media came over this connection
+            for (const key of this.sfuStreams.keys()) {
+                const publisher = key.replace(/^screen:/, '');
+                this.removeRemoteStream(publisher, key !== publisher);
+            }
+            this.sfuStreams.clear();
+            this.sfuTracks = {};
+            this.sfuStats = null;
+        }
+        this.removeRemoteStream(clientId, false);
+        this.removeRemoteStream(clientId, true);
+        // Fewer peers leaves more upload for each of the others
+        this.applyBitrate();
+    }
+
+    // Tells the page about a participant's camera or screen stream
+    addRemoteStream(clientId, stream, screen) {
+        this.remoteStreams.set(screen ? `screen:${clientId}` : clientId, stream);
+        this.emit('trackAdded', { clientId: clientId, stream: stream, screen: screen });
+    }
+
+    removeRemoteStream(clientId, screen) {
+        const key = screen ? `screen:${clientId}` : clientId;
+        this.sfuStreams.delete(key);
+        if (this.remoteStreams.delete(key)) {
+            this.emit('trackRemoved', { clientId: clientId, screen: screen });
+        }
+    }
+
+    // Asks a peer for only as much of their video as we show
+    requestLayer(clientId, layer) {
+        if (this.requestedLayers.get(clientId) === layer) return;
+        if (this.send({ type: 'layer_request', to: clientId, layer: layer })) {
+            this.requestedLayers.set(clientId, layer);
+        }
+    }
+
+    applyBitrate() {
+        this.bitrate.applyAll(this.peers, this.isSharingScreen ? this.screenStream.getVideoTracks() : []);
+    }
+
+    handleAudioOnlyChange(audioOnly) {
+        this.emit('audioOnlyChanged', { audioOnly: audioOnly });
+        this.applyBitrate();
+    }
+
+    handleCallStats(clientId, stats) {
+        this.bitrate.updateStats(clientId, stats);
+        this.applyBitrate();
+        if (clientId === VideoChatClient.SFU_PEER_ID) {
+            this.sfuStats = stats;
+        } else {
+            const participant = this.participants.get(clientId);
+            if (!participant) return;
+            participant.stats = stats;
+            if (participant.quality !== stats.quality) {
+                this.updateParticipant(clientId, { quality: stats.quality });
+            }
+        }
+        this.emit('callStats', { clientId: clientId, stats: stats });
+    }
+
+    describeConnectionQuality(connectionState) {
+        switch (connectionState) {
+            case 'connected':
+                return 'good';
+            case 'disconnected':
+            case 'failed':
+                return 'poor';
+            default:
+                return 'connecting';
+        }
+    }
+
+    // Local media
+
+    getMediaConstraints(kind, deviceId) {
+        // A preferred device is only a preference, so a missing one falls back to the default
+        const preferred = deviceId || this.preferredDevices[kind];
+        const device = preferred ? { deviceId: deviceId ? { exact: deviceId } : { ideal: preferred } } : {};
+
+        if (kind === 'video') {
+            return {
+                ...device,
+                width: { ideal: 1280 },
+                height: { ideal: 720 },
+                frameRate: { ideal: 30 }
+            };
+        }
+        return {
+            ...device,
+            echoCancellation: true,
+            noiseSuppression: true,
+            autoGainControl: true
+        };
+    }
+
+    // Starts the camera and microphone; returns { kind: explanation } for any that couldn't start
+    async startLocalMedia() {
+        this.mediaErrors = {};
+
+        if (!navigator.mediaDevices?.getUserMedia) {
+            this.mediaErrors.video = 'This page cannot use your camera or microphone. It must be opened over HTTPS (or on localhost).';
+        } else {
+            try {
+                this.localStream = await navigator.mediaDevices.getUserMedia({
+                    video: this.getMediaConstraints('video'),
+                    audio: this.getMediaConstraints('audio')
+                });
+            } catch (error) {
+                console.error('Error accessing media devices:', error);
+
+                // Find out which device is the problem and keep whichever one works
+                const tracks = [];
+                for (const kind of ['audio', 'video']) {
+                    try {
+                        const stream = await navigator.mediaDevices.getUserMedia({ [kind]: this.getMediaConstraints(kind) });
+                        tracks.push(...stream.getTracks());
+                    } catch (kindError) {
+                        console.error(`Could not access ${kind}:`, kindError);
+                        this.mediaErrors[kind] = this.describeMediaError(kindError, kind);
+                    }
+                }
+                this.localStream = tracks.length > 0 ? new MediaStream(tracks) : null;
+            }
+        }
+
+        // Effects run here, before any peer sees a frame
+        if (this.localStream && this.effects) {
+            const processed = [];
+            for (const track of this.localStream.getTracks()) {
+                processed.push(await this.effects.process(track));
+            }
+            this.localStream = new MediaStream(processed);
+        }
+
+        // A missing device counts as switched off for the roster
+        this.isVideoOn = Boolean(this.localStream?.getVideoTracks().length);
+        this.isAudioOn = Boolean(this.localStream?.getAudioTracks().length);
+        this.emit('localMediaChanged', { stream: this.localStream, kind: null });
+        return this.mediaErrors;
+    }
+
+    stopLocalMedia() {
+        if (this.localStream) {
+            this.localStream.getTracks().forEach(track => track.stop());
+            this.localStream = null;
+        }
+        this.effects?.stop();
+    }
+
+    describeMediaError(error, kind) {
+        const device = kind === 'video' ? 'camera' : 'microphone';
+        switch (error.name) {
+            case 'NotAllowedError':
+            case 'SecurityError':
+                return `Permission to use your ${device} was denied. Allow it in your browser's site settings, then try again.`;
+            case 'NotReadableError':
+            case 'TrackStartError':
+            case 'AbortError':
+                return `Your ${device} is busy. Close other apps or tabs that might be using it, then try again.`;
+            case 'NotFoundError':
+            case 'DevicesNotFoundError':
+            case 'OverconstrainedError':
+                return `No ${device} was found. Plug one in, then try again.`;
+            default:
+                return `Could not start your ${device}: ${error.message || error.name}`;
+        }
+    }
+
+    toggleVideo() {
+        this.setVideoEnabled(!this.isVideoOn);
+    }
+
+    toggleAudio() {
+        this.setAudioEnabled(!this.isAudioOn);
+    }
+
+    setVideoEnabled(enabled) {
+        const videoTrack = this.localStream?.getVideoTracks()[0];
+        if (!videoTrack) return;
+
+        this.isVideoOn = enabled;
+        videoTrack.enabled = enabled;
+        this.emit('localMediaChanged', { stream: this.localStream, kind: 'video' });
+        this.sendStateUpdate();
+    }
+
+    setAudioEnabled(enabled) {
+        const audioTrack = this.localStream?.getAudioTracks()[0];
+        if (!audioTrack) return;
+
+        this.isAudioOn = enabled;
+        audioTrack.enabled = enabled;
+        this.emit('localMediaChanged', { stream: this.localStream, kind: 'audio' });
+        this.sendStateUpdate();
+    }
+
+    // Puts a new camera or microphone track in place of the one we send
+    replaceTrack(newTrack) {
+        if (!this.localStream) {
+            this.localStream = new MediaStream();
+        }
+
+        const oldTrack = this.localStream.getTracks().find(track => track.kind === newTrack.kind);
+        if (oldTrack) {
+            this.localStream.removeTrack(oldTrack);
+            // Unless it is the device track that now feeds an effect
+            if (oldTrack !== this.effects?.getSource(newTrack)) oldTrack.stop();
+        }
+        this.localStream.addTrack(newTrack);
+
+        // Replace track in all peer connections, leaving any screen share alone
+        const screenTracks = this.screenStream?.getTracks() || [];
+        for (const [clientId, peerConnection] of this.peers.entries()) {
+            const sender = peerConnection.getSenders().find(s =>
+                s.track && s.track.kind === newTrack.kind && !screenTracks.includes(s.track)
+            );
+            if (sender) {
+                sender.replaceTrack(newTrack);
+            } else {
+                // Nothing of this kind was sent before; this one does renegotiate
+                const sender = peerConnection.addTrack(newTrack, this.localStream);
+                if (clientId !== VideoChatClient.SFU_PEER_ID) this.encryption?.setupSender(sender, peerConnection);
+            }
+        }
+        this.emit('localMediaChanged', { stream: this.localStream, kind: newTrack.kind });
+    }
+
+    // Moves to another camera or microphone; an empty device ID means the default one
+    async switchDevice(kind, deviceId) {
+        // No stream yet: the preference applies when media starts
+        if (!this.localStream) return;
+
+        const stream = await navigator.mediaDevices.getUserMedia({
+            [kind]: this.getMediaConstraints(kind, deviceId || undefined)
+        });
+        const track = stream.getTracks()[0];
+        const newTrack = this.effects ? await this.effects.process(track) : track;
+        // Keep mute/camera-off state across the swap
+        newTrack.enabled = kind === 'video' ? this.isVideoOn : this.isAudioOn;
+        this.replaceTrack(newTrack);
+    }
+
+    // Runs the current device track through the effects again, after their settings changed
+    async reprocessTrack(kind) {
+        const current = this.localStream?.getTracks().find(track => track.kind === kind);
+        if (!current || !this.effects) return;
+
+        // Same device track, new pipeline; it goes out through the usual replaceTrack path
+        const newTrack = await this.effects.process(this.effects.getSource(current));
+        newTrack.enabled = kind === 'video' ? this.isVideoOn : this.isAudioOn;
+        if (newTrack !== current) this.replaceTrack(newTrack);
+    }
+
+    async shareScreen() {
+        if (this.screenStream) return;
+
+        // One presenter at a time unless the host allows more; the server has the final say
+        const presenter = [...this.participants.values()].find(participant => !participant.isLocal && participant.screen);
+        if (presenter && !this.roomSettings?.multiple_presenters) {
+            this.emit('screenShareDenied', { presenter: presenter.username });
+            return;
+        }
+
+        let screenStream;
+        try {
+            // Tab or system audio comes along where the browser offers it
+            screenStream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: true, systemAudio: 'include' });
+        } catch (error) {
+            if (error.name !== 'TypeError') {
+                console.error('Error sharing screen:', error);
+                return;
+            }
+            try {
+                screenStream = await navigator.mediaDevices.getDisplayMedia({ video: true });
+            } catch (retryError) {
+                console.error('Error sharing screen:', retryError);
+                return;
+            }
+        }
+
+        // Favour sharp text over smooth motion
+        const screenTrack = screenStream.getVideoTracks()[0];
+        screenTrack.contentHint = 'detail';
+        // Handle when user stops sharing via browser UI
+        screenTrack.onended = () => this.stopScreenShare();
+        this.screenStream = screenStream;
+
+        // The tracks go out once the server confirms we may present
+        this.send({
+            type: 'screen_share',
+            active: true,
+            presentation: {
+                stream: screenStream.id,
+                tracks: screenStream.getTracks().map(track => track.id),
+                audio: screenStream.getAudioTracks().length > 0
+            }
+        });
+    }
+
+    startPresenting() {
+        if (!this.screenStream || this.isSharingScreen) return;
+
+        // Sent alongside the camera, so viewers see both
+        this.isSharingScreen = true;
+        for (const [clientId, peerConnection] of this.peers.entries()) {
+            this.addScreenTracks(clientId, peerConnection);
+        }
+        this.applyBitrate();
+        this.emit('localMediaChanged', { stream: this.screenStream, kind: 'screen' });
+    }
+
+    addScreenTracks(clientId, peerConnection) {
+        this.screenStream.getTracks().forEach(track => {
+            const sender = peerConnection.addTrack(track, this.screenStream);
+            if (clientId !== VideoChatClient.SFU_PEER_ID) this.encryption?.setupSender(sender, peerConnection);
+        });
+    }
+
+    stopScreenShare(announce = true) {
+        if (!this.screenStream) return;
+
+        const screenTracks = this.screenStream.getTracks();
+        screenTracks.forEach(track => track.stop());
+        for (const peerConnection of this.peers.values()) {
+            peerConnection.getSenders()
+                .filter(sender => screenTracks.includes(sender.track))
+                .forEach(sender => peerConnection.removeTrack(sender));
+        }
+        this.screenStream = null;
+        this.isSharingScreen = false;
+        this.applyBitrate();
+        this.emit('localMediaChanged', { stream: null, kind: 'screen' });
+
+        // Also withdraws a request the server hasn't answered yet
+        if (announce) {
+            this.send({ type: 'screen_share', active: false });
+        }
+    }
+
+    handleScreenShare(data) {
+        this.updateParticipant(data.client_id, { screen: data.active, presentation: data.presentation });
+
+        if (data.client_id === this.clientId) {
+            if (data.active) this.startPresenting();
+            return;
+        }
+        if (!data.active) {
+            this.removeRemoteStream(data.client_id, true);
+        }
+        this.emit('screenShare', { clientId: data.client_id, username: data.username, active: data.active });
+    }
+
+    isScreenStream(clientId, stream) {
+        const presentation = this.participants.get(clientId)?.presentation;
+        return Boolean(presentation && stream && presentation.stream === stream.id);
+    }
+
+    setRecording(active) {
+        this.isRecording = active;
+        this.updateParticipant(this.clientId, { recording: active });
+        this.send({ type: 'recording', active: active });
+    }
+
+    // Roster
+
+    getLocalMediaState() {
+        return {
+            audio: this.isAudioOn,
+            video: this.isVideoOn,
+            screen: this.isSharingScreen,
+            recording: this.isRecording,
+            // Only true when our media is encrypted too, not just chat
+            e2ee: Boolean(this.encryption) && RoomEncryption.supportsMedia() && !this.isSfu()
+        };
+    }
+
+    static fromServerState(state = {}) {
+        return {
+            audio: state.audio !== false,
+            video: state.video !== false,
+            screen: state.screen === true,
+            recording: state.recording === true,
+            e2ee: state.e2ee === true
+        };
+    }
+
+    sendStateUpdate() {
+        const state = this.getLocalMediaState();
+        this.updateParticipant(this.clientId, state);
+        this.send({ type: 'state_update', state: state });
+    }
+
+    addLocalParticipant(joinedAt) {
+        this.participants.set(this.clientId, {
+            clientId: this.clientId,
+            username: this.username,
+            ...this.getLocalMediaState(),
+            joinedAt: joinedAt || new Date().toISOString(),
+            quality: 'good',
+            isLocal: true
+        });
+        this.emit('participantUpdated', this.participants.get(this.clientId));
+        this.emitRoster();
+    }
+
+    upsertParticipant(user) {
+        const existing = this.participants.get(user.client_id);
+        this.participants.set(user.client_id, {
+            clientId: user.client_id,
+            username: user.username,
+            ...VideoChatClient.fromServerState(user.state),
+            presentation: user.presentation || null, // which stream and tracks are their screen
+            joinedAt: user.joined_at || existing?.joinedAt || new Date().toISOString(),
+            quality: existing?.quality || 'connecting',
+            stats: existing?.stats,
+            isLocal: false
+        });
+        this.emit('participantUpdated', this.participants.get(user.client_id));
+        this.emitRoster();
+    }
+
+    updateParticipant(clientId, changes) {
+        const participant = this.participants.get(clientId);
+        if (!participant) return;
+
+        Object.assign(participant, changes);
+        this.emit('participantUpdated', participant);
+        this.emitRoster();
+    }
+
+    removeParticipant(clientId) {
+        if (this.participants.delete(clientId)) this.emitRoster();
+    }
+
+    emitRoster() {
+        this.emit('rosterChanged', [...this.participants.values()]);
+    }
+
+    getParticipantName(clientId) {
+        const participant = this.participants.get(clientId);
+        if (participant) return participant.username;
+        return clientId === this.clientId ? this.username : `User ${clientId.substr(0, 8)}`;
+    }
+
+    // Hosting and moderation
+
+    isHost() {
+        return this.roomSettings?.host === this.clientId;
+    }
+
+    applyRoomSettings(settings) {
+        const wasHost = this.isHost();
+        this.roomSettings = settings || null;
+        if (!this.isHost() && this.lobbyRequests.size > 0) {
+            this.lobbyRequests.clear();
+            this.emitLobby();
+        }
+        this.emit('roomSettingsChanged', { settings: this.roomSettings, wasHost: wasHost });
+    }
+
+    // Host only: { locked, lobby, private, multiple_presenters, password }, password '' to remove it
+    updateRoomSettings(settings) {
+        if (!this.isHost()) return;
+        this.send({ type: 'room_settings', settings: settings });
+    }
+
+    answerLobbyRequest(clientId, admit) {
+        this.send({ type: admit ? 'lobby_admit' : 'lobby_reject', client_id: clientId });
+        this.lobbyRequests.delete(clientId);
+        this.emitLobby();
+    }
+
+    emitLobby() {
+        this.emit('lobbyChanged', [...this.lobbyRequests].map(([clientId, username]) => ({ clientId, username })));
+    }
+
+    muteParticipant(clientId, kind) {
+        this.send({ type: 'mute_participant', client_id: clientId, kind: kind });
+    }
+
+    removeFromMeeting(clientId) {
+        this.send({ type: 'remove_participant', client_id: clientId });
+    }
+
+    endMeeting() {
+        if (this.isHost()) this.send({ type: 'end_meeting' });
+    }
+
+    setHandQueue(queue) {
+        this.handQueue = queue;
+        this.emit('handQueueChanged', queue);
+    }
+
+    raiseHand(raised) {
+        this.send({ type: 'raise_hand', raised: raised });
+    }
+
+    toggleHand() {
+        this.raiseHand(!this.handQueue.includes(this.clientId));
+    }
+
+    lowerHand(clientId) {
+        if (this.isHost()) this.send({ type: 'lower_hand', client_id: clientId });
+    }
+
+    callNextHand() {
+        if (this.isHost()) this.send({ type: 'call_next_hand' });
+    }
+
+    sendReaction(emoji) {
+        this.send({ type: 'reaction', emoji: emoji });
+    }
+
+    // Chat
+
+    async sendChat(text, { to = null, replyTo = null } = {}) {
+        text = text.trim();
+        if (!text || this.socket?.readyState !== WebSocket.OPEN) return false;
+
+        this.stopTyping();
+        return this.send({
+            type: 'chat',
+            message: this.encryption ? await this.encryption.encryptText(text) : text,
+            to: to || undefined,
+            reply_to: replyTo ?? undefined
+        });
+    }
+
+    async editChat(id, text) {
+        const message = this.chatMessages.get(id);
+        text = text.trim();
+        if (!message || !text || text === message.message) return;
+        const edited = this.encryption ? await this.encryption.encryptText(text) : text;
+        this.send({ type: 'chat_edit', id: id, message: edited });
+    }
+
+    deleteChat(id) {
+        this.send({ type: 'chat_delete', id: id });
+    }
+
+    reactToChat(id, emoji) {
+        this.send({ type: 'chat_react', id: id, emoji: emoji });
+    }
+
+    loadOlderMessages() {
+        if (this.oldestChatId !== null) {
+            this.send({ type: 'chat_history', before_id: this.oldestChatId });
+        }
+    }
+
+    // Marks everything others sent as read by us
+    markAllRead() {
+        for (const message of this.chatMessages.values()) {
+            if (message.from !== this.clientId && !message.deleted && !message.read_by.includes(this.clientId)) {
+                message.read_by.push(this.clientId);
+                this.pendingReads.add(message.id);
+            }
+        }
+
+        if (this.pendingReads.size > 0 && !this.readTimer) {
+            this.readTimer = setTimeout(() => {
+                const ids = [...this.pendingReads];
+                for (let i = 0; i < ids.length; i += VideoChatClient.MAX_READ_IDS) {
+                    this.send({ type: 'chat_read', ids: ids.slice(i, i + VideoChatClient.MAX_READ_IDS) });
+                }
+                this.pendingReads.clear();
+                this.readTimer = null;
+            }, VideoChatClient.READ_RECEIPT_DELAY_MS);
+        }
+    }
+
+    // Says we are typing to everyone, or to one person; stops by itself when the typing does
+    setTyping(active, to = null) {
+        if (!active) {
+            this.stopTyping();
+            return;
+        }
+
+        const now = Date.now();
+        if (!this.typingState.active || this.typingState.to !== to ||
+            now - this.typingState.sentAt > VideoChatClient.TYPING_REFRESH_MS) {
+            this.send({ type: 'typing', active: true, to: to || undefined });
+            this.typingState = { ...this.typingState, active: true, to: to, sentAt: now };
+        }
+
+        clearTimeout(this.typingState.timer);
+        this.typingState.timer = setTimeout(() => this.stopTyping(), VideoChatClient.TYPING_IDLE_MS);
+    }
+
+    stopTyping() {
+        clearTimeout(this.typingState.timer);
+        if (this.typingState.active) {
+            this.send({ type: 'typing', active: false, to: this.typingState.to || undefined });
+        }
+        this.typingState = { active: false, to: null, timer: null, sentAt: 0 };
+    }
+
+    updateTyping(data) {
+        this.clearTyping(data.client_id, false);
+        if (data.active) {
+            // Drop indicators whose stop message never arrived
+            const timer = setTimeout(() => this.clearTyping(data.client_id), VideoChatClient.TYPING_EXPIRY_MS);
+            this.typingUsers.set(data.client_id, { username: data.username, private: data.private, timer: timer });
+        }
+        this.emitTyping();
+    }
+
+    clearTyping(clientId, notify = true) {
+        const typing = this.typingUsers.get(clientId);
+        if (typing) {
+            clearTimeout(typing.timer);
+            this.typingUsers.delete(clientId);
+            if (notify) this.emitTyping();
+        }
+    }
+
+    emitTyping() {
+        this.emit('typingChanged', [...this.typingUsers].map(([clientId, typing]) => ({
+            clientId: clientId,
+            username: typing.username,
+            private: typing.private
+        })));
+    }
+
+    addChatHistory(messages = [], hasMore = false) {
+        for (const message of messages) {
+            this.addChatMessage(message);
+        }
+
+        // Only the first page we see, or an older one, says whether there is more
+        const oldest = messages.length > 0 ? messages[0].id : null;
+        if (this.oldestChatId === null || (oldest !== null && oldest <= this.oldestChatId)) {
+            if (oldest !== null) this.oldestChatId = oldest;
+            this.emit('chatHistoryLoaded', { hasMore: hasMore });
+        }
+    }
+
+    async decryptChatMessages(messages = []) {
+        // In place, before anyone sees them; the server only ever stores the ciphertext
+        for (const message of messages) {
+            if (!RoomEncryption.isEncrypted(message.message)) continue;
+            const text = this.encryption ? await this.encryption.decryptText(message.message) : null;
+            message.message = text ?? '';
+            message.encrypted = true;
+            message.undecryptable = text === null;
+        }
+    }
+
+    normalizeChatMessage(data) {
+        // v1 messages (before direct messages, edits and reactions) lack the newer fields
+        return {
+            id: data.id ?? null,
+            from: data.from,
+            username: data.username,
+            message: data.message ?? '',
+            timestamp: data.timestamp,
+            to: data.to ?? null,
+            reply_to: data.reply_to ?? null,
+            edited_at: data.edited_at ?? null,
+            deleted: data.deleted === true,
+            reactions: data.reactions || {},
+            read_by: [...(data.read_by || [])],
+            encrypted: data.encrypted === true,
+            undecryptable: data.undecryptable === true
+        };
+    }
+
+    addChatMessage(data) {
+        const message = this.normalizeChatMessage(data);
+
+        // History and live messages overlap after a reconnect
+        if (message.id !== null && this.chatMessages.has(message.id)) return;
+        if (message.id !== null) this.chatMessages.set(message.id, message);
+        this.emit('chatMessage', message);
+    }
+
+    updateChatMessage(data) {
+        const message = this.normalizeChatMessage(data);
+        if (!this.chatMessages.has(message.id)) return;
+
+        // Keep receipts we already know about
+        const known = this.chatMessages.get(message.id).read_by;
+        message.read_by = [...new Set([...known, ...message.read_by])];
+        this.chatMessages.set(message.id, message);
+        this.emit('chatMessageUpdated', message);
+    }
+
+    // Files, to one participant or everyone we are connected to directly
+    sendFiles(files, to = null) {
+        if (this.isSfu()) {
+            throw new Error('Files can only be shared in smaller rooms, where everyone connects directly');
+        }
+        const targets = to ? [to] : [...this.peers.keys()];
+        if (targets.length === 0) {
+            throw new Error('There is no one to send files to yet');
+        }
+
+        for (const file of files) {
+            this.fileTransfers.sendFile(targets, file);
+        }
+    }
+
+    // Captions of our own speech, { id, text, final, durationMs } from LiveCaptions
+    async sendCaption(segment) {
+        if (this.socket?.readyState !== WebSocket.OPEN) return;
+        this.send({
+            type: 'caption',
+            id: segment.id,
+            text: this.encryption ? await this.encryption.encryptText(segment.text) : segment.text,
+            final: segment.final,
+            duration_ms: segment.durationMs
+        });
+    }
+
+    async decryptCaptions(captions = []) {
+        // Like chat, encrypted rooms only send the server ciphertext
+        for (const caption of captions) {
+            if (!RoomEncryption.isEncrypted(caption.text)) continue;
+            const text = this.encryption ? await this.encryption.decryptText(caption.text) : null;
+            caption.text = text ?? '';
+            caption.undecryptable = text === null;
+        }
+    }
+}
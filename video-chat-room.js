@@ -0,0 +1,160 @@
+// <video-chat-room>: a whole call in one element, for pages that want video without
+// building a UI on the client themselves.
+//
+//     <script type="module" src="https://calls.example.com/video-chat-room.js"></script>
+//     <video-chat-room room="Standup" username="Ann" server="https://calls.example.com"></video-chat-room>
+//
+// Attributes: room (joins once set; changing it moves to that room), username,
+// server (defaults to this page's origin), password and passphrase. Every
+// VideoChatClient event is dispatched on the element as a CustomEvent with its
+// data in detail, and the client itself is the element's client property.
+import { VideoChatClient } from './video-chat-client.js';
+
+export class VideoChatRoom extends HTMLElement {
+    static observedAttributes = ['room'];
+
+    static STYLE = `
+        :host { display: block; background: #1a1a1a; color: #fff; font-family: sans-serif; }
+        .tiles { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 4px; padding: 4px; }
+        .tile { position: relative; aspect-ratio: 16 / 9; background: #333; }
+        video { width: 100%; height: 100%; object-fit: cover; }
+        .label { position: absolute; left: 6px; bottom: 6px; font-size: 12px; background: rgba(0, 0, 0, 0.6); padding: 2px 6px; }
+        .controls { display: flex; gap: 6px; justify-content: center; padding: 6px; }
+        button { cursor: pointer; border: none; border-radius: 4px; padding: 6px 12px; }
+        button.off { background: #e74c3c; color: #fff; }
+    `;
+
+    constructor() {
+        super();
+        this.client = null;
+        this.tiles = new Map(); // clientId, or clientId:screen, -> tile element
+        this.generation = 0; // bumped on every join and leave, so a stale join gives up
+        this.attachShadow({ mode: 'open' });
+    }
+
+    connectedCallback() {
+        this.render();
+        if (this.getAttribute('room')) this.join();
+    }
+
+    disconnectedCallback() {
+        this.leave();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        // Before we are in the page (and rendered), connectedCallback joins instead.
+        // Otherwise a new room is joined even after a Leave.
+        if (!this.isConnected || !this.shadowRoot.hasChildNodes() || oldValue === newValue) return;
+        this.leave();
+        if (newValue) this.join();
+    }
+
+    render() {
+        this.shadowRoot.innerHTML = `<style>${VideoChatRoom.STYLE}</style>
+            <div class="tiles" part="tiles"></div>
+            <div class="controls" part="controls">
+                <button data-action="audio">Mic</button>
+                <button data-action="video">Camera</button>
+                <button data-action="leave">Leave</button>
+            </div>`;
+        this.shadowRoot.querySelector('.controls').addEventListener('click', (event) => {
+            const action = event.target.closest('button')?.dataset.action;
+            if (!this.client || !action) return;
+            if (action === 'audio') this.client.toggleAudio();
+            if (action === 'video') this.client.toggleVideo();
+            if (action === 'leave') this.leave();
+            this.renderControls();
+        });
+    }
+
+    async join() {
+        const generation = ++this.generation;
+        const client = new VideoChatClient({ serverUrl: this.getAttribute('server') || undefined });
+        this.client = client;
+
+        for (const event of Object.keys(VideoChatClient.EVENTS)) {
+            client.on(event, (detail) => this.dispatchEvent(new CustomEvent(event, { detail: detail })));
+        }
+        client.on('localMediaChanged', ({ kind }) => {
+            // Our screen share goes out to the others; we keep our camera on our own tile
+            if (kind !== 'screen') this.setTile(client.clientId, client.localStream, true);
+            this.renderControls();
+        });
+        client.on('trackAdded', ({ clientId, stream, screen }) => this.setTile(screen ? `${clientId}:screen` : clientId, stream, false));
+        client.on('trackRemoved', ({ clientId, screen }) => this.removeTile(screen ? `${clientId}:screen` : clientId));
+        client.on('participantUpdated', ({ clientId, username }) => {
+            const label = this.tiles.get(clientId)?.querySelector('.label');
+            if (label) label.textContent = username;
+        });
+        client.on('left', () => {
+            if (this.client === client) this.client = null;
+            for (const key of [...this.tiles.keys()]) this.removeTile(key);
+        });
+
+        await client.startLocalMedia();
+        // Left, or moved to another room, while the camera was starting
+        if (generation !== this.generation) {
+            client.stopLocalMedia();
+            return;
+        }
+
+        try {
+            await client.join({
+                roomId: this.getAttribute('room'),
+                username: this.getAttribute('username') || 'User',
+                password: this.getAttribute('password') || '',
+                passphrase: this.getAttribute('passphrase') || ''
+            });
+        } catch (error) {
+            console.error('Error joining room:', error);
+            client.leave({ reason: 'error', message: error.message });
+        }
+    }
+
+    leave() {
+        this.generation++;
+        this.client?.leave();
+    }
+
+    setTile(key, stream, isLocal) {
+        let tile = this.tiles.get(key);
+        if (!tile) {
+            tile = document.createElement('div');
+            tile.className = 'tile';
+            tile.part = 'tile';
+
+            const video = document.createElement('video');
+            video.autoplay = true;
+            video.playsInline = true;
+            video.muted = isLocal; // no echo of our own microphone
+
+            const label = document.createElement('span');
+            label.className = 'label';
+            const clientId = key.split(':')[0];
+            const name = this.client.getParticipantName(clientId);
+            label.textContent = key.endsWith(':screen') ? `${name} (screen)` : name;
+
+            tile.appendChild(video);
+            tile.appendChild(label);
+            this.shadowRoot.querySelector('.tiles').appendChild(tile);
+            this.tiles.set(key, tile);
+        }
+        tile.querySelector('video').srcObject = stream;
+    }
+
+    removeTile(key) {
+        this.tiles.get(key)?.remove();
+        this.tiles.delete(key);
+    }
+
+    renderControls() {
+        const audio = this.shadowRoot.querySelector('[data-action="audio"]');
+        const video = this.shadowRoot.querySelector('[data-action="video"]');
+        audio.classList.toggle('off', !this.client?.isAudioOn);
+        video.classList.toggle('off', !this.client?.isVideoOn);
+    }
+}
+
+if (!customElements.get('video-chat-room')) {
+    customElements.define('video-chat-room', VideoChatRoom);
+}